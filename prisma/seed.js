@@ -103,11 +103,178 @@ async function main() {
                 email_verified: true,
             },
         ],
+        skipDuplicates: true,
     });
 
+    await prisma.klasifikasi.createMany({
+        data: [
+            {
+                code: "NORMAL",
+                name: "Normal",
+                lead_time_days: 3,
+                color: "#28A745",
+                urgency_rank: 3,
+                skipped_roles: [],
+            },
+            {
+                code: "URGENT",
+                name: "Urgent",
+                lead_time_days: 1,
+                color: "#FD7E14",
+                urgency_rank: 2,
+                skipped_roles: [],
+            },
+            {
+                code: "EMERGENCY",
+                name: "Emergency",
+                lead_time_days: 0,
+                color: "#DC3545",
+                urgency_rank: 1,
+                skipped_roles: ["LEADER"],
+            },
+        ],
+        skipDuplicates: true,
+    });
+
+    await seedParts();
+    await seedLocations();
+    await seedClosedRequests();
+
     console.log("✅ Seeding selesai!");
 }
 
+/**
+ * Parts master with every part already used by requests and their lines,
+ * so deployments that predate the master keep working
+ */
+async function seedParts() {
+    const [requestParts, lineParts] = await Promise.all([
+        prisma.requestKanban.findMany({
+            distinct: ["parts_number"],
+            select: { parts_number: true },
+        }),
+        prisma.kanbanLine.findMany({
+            distinct: ["parts_number"],
+            select: { parts_number: true },
+        }),
+    ]);
+
+    const partsNumbers = [
+        ...new Set(
+            [...requestParts, ...lineParts]
+                .map(({ parts_number }) => parts_number.trim().toUpperCase())
+                .filter(Boolean)
+        ),
+    ];
+
+    await prisma.part.createMany({
+        data: partsNumbers.map((partsNumber) => ({
+            parts_number: partsNumber,
+            description: partsNumber,
+        })),
+        skipDuplicates: true,
+    });
+}
+
+/**
+ * Location master with a default plant and area, and a production line for
+ * every location already used by requests. Existing requests are linked to
+ * their line, so deployments that predate the master keep working.
+ */
+async function seedLocations() {
+    const plant = await prisma.location.upsert({
+        where: { code: "PLANT-1" },
+        update: {},
+        create: { code: "PLANT-1", name: "Plant 1", level: "PLANT" },
+    });
+
+    const area = await prisma.location.upsert({
+        where: { code: "AREA-1" },
+        update: {},
+        create: {
+            code: "AREA-1",
+            name: "Area 1",
+            level: "AREA",
+            id_parent: plant.id_location,
+        },
+    });
+
+    const usedLocations = await prisma.requestKanban.findMany({
+        where: { id_location: null },
+        distinct: ["lokasi"],
+        select: { lokasi: true },
+    });
+
+    const codes = [
+        ...new Set(
+            usedLocations
+                .map(({ lokasi }) => lokasi.trim().toUpperCase())
+                .filter(Boolean)
+        ),
+    ];
+
+    for (const code of codes) {
+        const line = await prisma.location.upsert({
+            where: { code },
+            update: {},
+            create: {
+                code,
+                name: code,
+                level: "LINE",
+                id_parent: area.id_location,
+            },
+        });
+
+        if (line.level !== "LINE") {
+            continue;
+        }
+
+        await prisma.requestKanban.updateMany({
+            where: {
+                id_location: null,
+                lokasi: { equals: code, mode: "insensitive" },
+            },
+            data: { lokasi: line.code, id_location: line.id_location },
+        });
+    }
+}
+
+/**
+ * Requests closed before the CLOSED status stayed APPROVED_BY_PC with a
+ * Closure approval as their last approval. Move them to CLOSED so they
+ * no longer wait for closure.
+ */
+async function seedClosedRequests() {
+    const requests = await prisma.requestKanban.findMany({
+        where: {
+            status: "APPROVED_BY_PC",
+            persetujuan: { some: { note: "Closure", approve: true } },
+        },
+        select: {
+            id_kanban: true,
+            persetujuan: {
+                where: { approve: true, approvedAt: { not: null } },
+                orderBy: { approvedAt: "desc" },
+                take: 1,
+                select: { note: true },
+            },
+        },
+    });
+
+    const closedIds = requests
+        .filter(({ persetujuan }) => persetujuan[0]?.note === "Closure")
+        .map(({ id_kanban }) => id_kanban);
+
+    if (closedIds.length === 0) {
+        return;
+    }
+
+    await prisma.requestKanban.updateMany({
+        where: { id_kanban: { in: closedIds }, status: "APPROVED_BY_PC" },
+        data: { status: "CLOSED" },
+    });
+}
+
 main()
     .catch((e) => {
         console.error(e);
@@ -150,6 +150,16 @@ class ConfigManager {
                         process.env.KANBAN_ALLOW_PAST_DATE === "true",
                     autoCleanupDays:
                         parseInt(process.env.KANBAN_AUTO_CLEANUP_DAYS) || 90,
+                    maxAttachments:
+                        parseInt(process.env.KANBAN_MAX_ATTACHMENTS) || 10,
+                    maxLines: parseInt(process.env.KANBAN_MAX_LINES) || 20,
+                },
+                comment: {
+                    editWindowMinutes:
+                        parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) ||
+                        15,
+                    maxAttachments:
+                        parseInt(process.env.COMMENT_MAX_ATTACHMENTS) || 3,
                 },
                 department: {
                     pcDepartmentId: parseInt(process.env.PC_DEPARTMENT_ID) || 1,
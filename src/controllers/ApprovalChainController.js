@@ -0,0 +1,415 @@
+const prisma = require("../../prisma/client");
+const ApprovalChain = require("../models/ApprovalChain");
+const Department = require("../models/Department");
+const ApprovalService = require("../services/approvalService");
+const AuthService = require("../services/authService");
+const { STATUS, STAGE_DEPARTMENT, QUORUM } = require("../utils/constants");
+const { config } = require("../config");
+const { canTransition } = require("../utils/statusTransitions");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Validate references inside a chain definition against the database
+ */
+const validateChainReferences = async (chainData) => {
+    const errors = [];
+
+    if (
+        chainData.id_department &&
+        !(await Department.exists(chainData.id_department))
+    ) {
+        errors.push({
+            field: "id_department",
+            message: `Department ${chainData.id_department} not found`,
+        });
+    }
+
+    let expectedStatus = STATUS.PENDING_APPROVAL;
+
+    for (const [index, stage] of chainData.stages.entries()) {
+        if (
+            stage.department_source === STAGE_DEPARTMENT.FIXED &&
+            !(await Department.exists(stage.id_department))
+        ) {
+            errors.push({
+                field: `stages[${index}].id_department`,
+                message: `Department ${stage.id_department} not found`,
+            });
+        }
+
+        if (
+            ApprovalService.isCrossDepartmentStage(stage) &&
+            !config.business.department.allowCrossDepartmentApproval
+        ) {
+            errors.push({
+                field: `stages[${index}].id_department`,
+                message:
+                    "Stages for departments other than PC require cross-department approval to be enabled",
+            });
+        }
+
+        if (stage.id_users) {
+            const user = await prisma.user.findUnique({
+                where: { id_users: stage.id_users },
+                select: { role: true },
+            });
+
+            if (
+                !user ||
+                !["LEADER", "SUPERVISOR", "MANAGER", "STAFF"].includes(user.role)
+            ) {
+                errors.push({
+                    field: `stages[${index}].id_users`,
+                    message:
+                        "Approver user not found or does not hold an approval role",
+                });
+            }
+        }
+
+        // A stage with a single approver user has nothing to count
+        if (stage.id_users && stage.quorum !== QUORUM.ANY) {
+            errors.push({
+                field: `stages[${index}].quorum`,
+                message: "Stages with a specific approver user must use ANY quorum",
+            });
+        }
+
+        // Stage statuses must follow the kanban status transition table
+        if (stage.approved_status) {
+            if (!canTransition(expectedStatus, stage.approved_status)) {
+                errors.push({
+                    field: `stages[${index}].approved_status`,
+                    message: `Status ${stage.approved_status} cannot follow ${expectedStatus}`,
+                });
+            } else {
+                expectedStatus = stage.approved_status;
+            }
+        }
+    }
+
+    // Closure moves the request on from the status of the last stage
+    if (
+        chainData.stages.some((stage) => stage.handles_closure) &&
+        !canTransition(expectedStatus, STATUS.CLOSED)
+    ) {
+        errors.push({
+            field: "stages",
+            message: `Requests cannot be closed from ${expectedStatus}, the last stage status must allow closure`,
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError("Invalid approval chain definition", errors);
+    }
+};
+
+/**
+ * Map validated stage input to database fields
+ */
+const toStageData = (stage) => ({
+    name: stage.name.trim(),
+    department_source: stage.department_source,
+    id_department:
+        stage.department_source === STAGE_DEPARTMENT.FIXED
+            ? stage.id_department
+            : null,
+    approver_roles: stage.id_users ? [] : stage.approver_roles,
+    id_users: stage.id_users,
+    final_role: stage.final_role,
+    approved_status: stage.approved_status,
+    rejected_status: stage.rejected_status,
+    handles_closure: stage.handles_closure,
+    quorum: stage.quorum,
+    quorum_count: stage.quorum_count,
+    allow_role_skip: stage.allow_role_skip,
+});
+
+/**
+ * Get all approval chains
+ */
+exports.getAllApprovalChains = asyncHandler(async (req, res) => {
+    const { departmentId, klasifikasi, isActive } = req.query;
+
+    const chains = await ApprovalChain.findAll({
+        departmentId: departmentId ? parseInt(departmentId) : null,
+        klasifikasi: klasifikasi ? klasifikasi.trim() : null,
+        isActive: isActive !== undefined ? isActive === "true" : null,
+    });
+
+    return ResponseUtil.success(
+        res,
+        chains,
+        "Approval chains retrieved successfully"
+    );
+});
+
+/**
+ * Get approval chain by ID
+ */
+exports.getApprovalChainById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid approval chain ID provided");
+    }
+
+    const chain = await ApprovalChain.findById(id);
+    if (!chain) {
+        throw new NotFoundError("Approval chain");
+    }
+
+    return ResponseUtil.success(
+        res,
+        chain,
+        "Approval chain retrieved successfully"
+    );
+});
+
+/**
+ * Preview the chain a request from a department/classification would follow
+ */
+exports.resolveApprovalChain = asyncHandler(async (req, res) => {
+    const { departmentId, klasifikasi = null } = req.query;
+
+    if (!departmentId || isNaN(parseInt(departmentId))) {
+        throw new ValidationError("Valid departmentId is required");
+    }
+
+    const chain = await ApprovalService.resolveChain(
+        parseInt(departmentId),
+        klasifikasi
+    );
+
+    return ResponseUtil.success(
+        res,
+        {
+            ...chain,
+            is_default: !chain.id_chain,
+        },
+        "Effective approval chain resolved successfully"
+    );
+});
+
+/**
+ * Create a new approval chain
+ */
+exports.createApprovalChain = asyncHandler(async (req, res) => {
+    const chainData = req.validatedBody;
+
+    await validateChainReferences(chainData);
+
+    if (chainData.is_active) {
+        const existing = await ApprovalChain.findActiveByScope(
+            chainData.id_department,
+            chainData.klasifikasi
+        );
+
+        if (existing) {
+            throw new ConflictError(
+                "An active approval chain already exists for this department and classification",
+                { id_chain: existing.id_chain }
+            );
+        }
+    }
+
+    const chain = await ApprovalChain.create(
+        {
+            name: chainData.name.trim(),
+            description: chainData.description,
+            id_department: chainData.id_department,
+            klasifikasi: chainData.klasifikasi,
+            is_active: chainData.is_active,
+        },
+        chainData.stages.map(toStageData)
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "APPROVAL_CHAIN_CREATED",
+        table_name: "approval_chains",
+        record_id: chain.id_chain,
+        new_values: chain,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        chain,
+        "Approval chain created successfully"
+    );
+});
+
+/**
+ * Update an approval chain (stages are replaced as a whole)
+ */
+exports.updateApprovalChain = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const chainData = req.validatedBody;
+
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid approval chain ID provided");
+    }
+
+    const currentChain = await ApprovalChain.findById(id);
+    if (!currentChain) {
+        throw new NotFoundError("Approval chain");
+    }
+
+    await validateChainReferences(chainData);
+
+    if (chainData.is_active) {
+        const existing = await ApprovalChain.findActiveByScope(
+            chainData.id_department,
+            chainData.klasifikasi,
+            id
+        );
+
+        if (existing) {
+            throw new ConflictError(
+                "An active approval chain already exists for this department and classification",
+                { id_chain: existing.id_chain }
+            );
+        }
+    }
+
+    // Requests in flight keep their stage sequence, so the stages of a
+    // chain in use cannot be changed underneath them
+    const openRequests = await ApprovalChain.countOpenRequests(id);
+    if (openRequests > 0) {
+        throw new ConflictError(
+            "Approval chain stages cannot be changed while requests are still in progress. Deactivate it and create a new chain instead.",
+            { open_requests: openRequests }
+        );
+    }
+
+    const chain = await ApprovalChain.updateById(
+        id,
+        {
+            name: chainData.name.trim(),
+            description: chainData.description,
+            id_department: chainData.id_department,
+            klasifikasi: chainData.klasifikasi,
+            is_active: chainData.is_active,
+        },
+        chainData.stages.map(toStageData)
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "APPROVAL_CHAIN_UPDATED",
+        table_name: "approval_chains",
+        record_id: chain.id_chain,
+        old_values: currentChain,
+        new_values: chain,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        chain,
+        "Approval chain updated successfully"
+    );
+});
+
+/**
+ * Activate or deactivate an approval chain
+ */
+exports.setApprovalChainActive = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { is_active } = req.body;
+
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid approval chain ID provided");
+    }
+
+    if (typeof is_active !== "boolean") {
+        throw new ValidationError("is_active must be a boolean");
+    }
+
+    const currentChain = await ApprovalChain.findById(id);
+    if (!currentChain) {
+        throw new NotFoundError("Approval chain");
+    }
+
+    if (is_active) {
+        const existing = await ApprovalChain.findActiveByScope(
+            currentChain.id_department,
+            currentChain.klasifikasi,
+            id
+        );
+
+        if (existing) {
+            throw new ConflictError(
+                "An active approval chain already exists for this department and classification",
+                { id_chain: existing.id_chain }
+            );
+        }
+    }
+
+    const chain = await ApprovalChain.updateById(id, { is_active });
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: is_active
+            ? "APPROVAL_CHAIN_ACTIVATED"
+            : "APPROVAL_CHAIN_DEACTIVATED",
+        table_name: "approval_chains",
+        record_id: chain.id_chain,
+        old_values: { is_active: currentChain.is_active },
+        new_values: { is_active },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        chain,
+        `Approval chain ${is_active ? "activated" : "deactivated"} successfully`
+    );
+});
+
+/**
+ * Delete an approval chain that is not used by requests in progress
+ */
+exports.deleteApprovalChain = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid approval chain ID provided");
+    }
+
+    const chain = await ApprovalChain.findById(id);
+    if (!chain) {
+        throw new NotFoundError("Approval chain");
+    }
+
+    const openRequests = await ApprovalChain.countOpenRequests(id);
+    if (openRequests > 0) {
+        throw new ConflictError(
+            "Approval chain cannot be deleted while requests are still in progress",
+            { open_requests: openRequests }
+        );
+    }
+
+    await ApprovalChain.deleteById(id);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "APPROVAL_CHAIN_DELETED",
+        table_name: "approval_chains",
+        record_id: chain.id_chain,
+        old_values: chain,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Approval chain deleted successfully");
+});
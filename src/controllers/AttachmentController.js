@@ -0,0 +1,193 @@
+const RequestKanban = require("../models/RequestKanban");
+const Attachment = require("../models/Attachment");
+const AttachmentService = require("../services/AttachmentService");
+const AuthService = require("../services/authService");
+const { getFilePath } = require("../utils/fileStorage");
+const { isTerminalStatus } = require("../utils/statusTransitions");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ForbiddenError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load the kanban of the route. Who may see it is checked by the router,
+ * the same way as for the request detail.
+ */
+const findKanbanOrFail = async (id_kanban) => {
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanban = await RequestKanban.findById(id_kanban);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    return kanban;
+};
+
+/**
+ * Load an attachment that belongs to the kanban itself
+ */
+const findKanbanAttachment = async (kanban, id_attachment) => {
+    if (!id_attachment || isNaN(parseInt(id_attachment))) {
+        throw new ValidationError("Invalid attachment ID provided");
+    }
+
+    const attachment = await Attachment.findById(id_attachment);
+    if (
+        !attachment ||
+        attachment.id_kanban !== kanban.id_kanban ||
+        attachment.id_comment
+    ) {
+        throw new NotFoundError("Attachment");
+    }
+
+    return attachment;
+};
+
+/**
+ * Uploaders may delete their files until the request is closed or
+ * cancelled, admins may delete any file
+ */
+const canDeleteAttachment = (attachment, kanban, user) =>
+    user.role === "ADMIN" ||
+    (attachment.id_users === user.id_users &&
+        !isTerminalStatus(kanban.status));
+
+/**
+ * Shape an attachment for the response, without its name on disk
+ */
+const toAttachmentResponse = (attachment, kanban, user) => {
+    const { stored_name, ...rest } = attachment;
+
+    return {
+        ...rest,
+        can_delete: canDeleteAttachment(attachment, kanban, user),
+    };
+};
+
+/**
+ * Get the files attached to a Kanban request
+ */
+exports.getAttachments = asyncHandler(async (req, res) => {
+    const kanban = await findKanbanOrFail(req.params.id_kanban);
+    const attachments = await Attachment.findByKanban(kanban.id_kanban);
+
+    return ResponseUtil.success(
+        res,
+        attachments.map((attachment) =>
+            toAttachmentResponse(attachment, kanban, req.user)
+        ),
+        "Attachments retrieved successfully"
+    );
+});
+
+/**
+ * Attach files to a Kanban request
+ */
+exports.uploadAttachments = asyncHandler(async (req, res) => {
+    const uploads = req.validatedAttachments || [];
+
+    if (uploads.length === 0) {
+        throw new ValidationError("At least one attachment is required");
+    }
+
+    const kanban = await findKanbanOrFail(req.params.id_kanban);
+    const files = await AttachmentService.prepareUploads(uploads, kanban);
+
+    const attachments = await AttachmentService.storeForKanban(
+        kanban.id_kanban,
+        req.user.id_users,
+        files
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_ATTACHMENT_UPLOADED",
+        table_name: "attachments",
+        record_id: kanban.id_kanban,
+        new_values: {
+            attachments: attachments.map(({ id_attachment, file_name }) => ({
+                id_attachment,
+                file_name,
+            })),
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        attachments.map((attachment) =>
+            toAttachmentResponse(attachment, kanban, req.user)
+        ),
+        "Attachments uploaded successfully"
+    );
+});
+
+/**
+ * Download a file attached to a Kanban request
+ */
+exports.downloadAttachment = asyncHandler(async (req, res) => {
+    const kanban = await findKanbanOrFail(req.params.id_kanban);
+    const attachment = await findKanbanAttachment(
+        kanban,
+        req.params.id_attachment
+    );
+
+    res.setHeader("Content-Type", attachment.mime_type);
+
+    return res.download(
+        getFilePath(attachment.stored_name),
+        attachment.file_name,
+        (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    message: "Attachment file not found",
+                    code: "NOT_FOUND",
+                    timestamp: new Date().toISOString(),
+                });
+            }
+        }
+    );
+});
+
+/**
+ * Delete a file attached to a Kanban request
+ */
+exports.deleteAttachment = asyncHandler(async (req, res) => {
+    const kanban = await findKanbanOrFail(req.params.id_kanban);
+    const attachment = await findKanbanAttachment(
+        kanban,
+        req.params.id_attachment
+    );
+
+    if (!canDeleteAttachment(attachment, kanban, req.user)) {
+        throw new ForbiddenError(
+            "Only the uploader can delete this attachment while the request is open"
+        );
+    }
+
+    await AttachmentService.remove(attachment);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_ATTACHMENT_DELETED",
+        table_name: "attachments",
+        record_id: attachment.id_attachment,
+        old_values: {
+            id_kanban: attachment.id_kanban,
+            file_name: attachment.file_name,
+            uploaded_by: attachment.id_users,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Attachment deleted successfully");
+});
@@ -0,0 +1,457 @@
+const RequestKanban = require("../models/RequestKanban");
+const KanbanComment = require("../models/KanbanComment");
+const Attachment = require("../models/Attachment");
+const Persetujuan = require("../models/Persetujuan");
+const ApprovalDelegation = require("../models/ApprovalDelegation");
+const User = require("../models/User");
+const AuthService = require("../services/authService");
+const { sendBatchNotifications } = require("../utils/notification");
+const {
+    decodeUpload,
+    saveFile,
+    getFilePath,
+    deleteFile,
+} = require("../utils/fileStorage");
+const { config } = require("../config");
+const { NOTE } = require("../utils/constants");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ForbiddenError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+// @handle matches the part of a user's email before the @
+const MENTION_PATTERN = /@([A-Za-z0-9._-]+)/g;
+
+/**
+ * Collect the distinct @handles used in a comment
+ */
+const extractMentionHandles = (content) => [
+    ...new Set(
+        [...content.matchAll(MENTION_PATTERN)].map(([, handle]) =>
+            handle.toLowerCase()
+        )
+    ),
+];
+
+/**
+ * Load a kanban the current user may discuss: admins, the requester, its
+ * department, its approvers (or their delegates) and mentioned users
+ */
+const findAccessibleKanban = async (id_kanban, user) => {
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanban = await RequestKanban.findById(id_kanban);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    if (
+        user.role === "ADMIN" ||
+        kanban.id_users === user.id_users ||
+        kanban.id_department === user.id_department
+    ) {
+        return kanban;
+    }
+
+    const delegations = (
+        await ApprovalDelegation.findActiveForDelegate(user.id_users)
+    ).filter((delegation) =>
+        ApprovalDelegation.coversDepartment(delegation, kanban.id_department)
+    );
+
+    const isApprover = await Persetujuan.hasApprovalOnKanban(
+        kanban.id_kanban,
+        [
+            user.id_users,
+            ...delegations.map((delegation) => delegation.id_delegator),
+        ]
+    );
+
+    if (
+        isApprover ||
+        (await KanbanComment.isMentionedOnKanban(kanban.id_kanban, user.id_users))
+    ) {
+        return kanban;
+    }
+
+    throw new ForbiddenError("You do not have access to this Kanban request");
+};
+
+/**
+ * Load a comment that belongs to the kanban
+ */
+const findKanbanComment = async (kanban, id_comment) => {
+    if (!id_comment || isNaN(parseInt(id_comment))) {
+        throw new ValidationError("Invalid comment ID provided");
+    }
+
+    const comment = await KanbanComment.findById(id_comment);
+    if (!comment || comment.id_kanban !== kanban.id_kanban) {
+        throw new NotFoundError("Comment");
+    }
+
+    return comment;
+};
+
+/**
+ * Whether the edit window of a comment is still open
+ */
+const isWithinEditWindow = (comment) =>
+    Date.now() - comment.created_at.getTime() <=
+    config.business.comment.editWindowMinutes * 60 * 1000;
+
+/**
+ * Edit and delete rules: authors may edit or delete their own comment
+ * within the edit window, admins may delete any comment
+ */
+const getCommentPermissions = (comment, user) => {
+    const isDeleted = Boolean(comment.deleted_at);
+    const isAuthor = comment.id_users === user.id_users;
+    const inWindow = isWithinEditWindow(comment);
+
+    return {
+        can_edit: !isDeleted && isAuthor && inWindow,
+        can_delete:
+            !isDeleted && ((isAuthor && inWindow) || user.role === "ADMIN"),
+    };
+};
+
+/**
+ * Shape a comment for the response
+ */
+const toCommentResponse = (comment, user) => ({
+    ...comment,
+    mentions: comment.mentions.map((mention) => mention.user),
+    is_deleted: Boolean(comment.deleted_at),
+    is_edited: Boolean(comment.edited_at),
+    ...getCommentPermissions(comment, user),
+});
+
+/**
+ * Resolve mentioned users from @handles and explicit IDs
+ */
+const resolveMentions = async (content, mentionIds, authorId) => {
+    const users = await User.findForMentions(
+        extractMentionHandles(content),
+        mentionIds
+    );
+
+    return users.filter((user) => user.id_users !== authorId);
+};
+
+/**
+ * Notify mentioned users, the requester and the current pending approvers
+ */
+const notifyCommentRecipients = async (kanban, comment, mentionedUsers, author) => {
+    const snippet =
+        comment.content.length > 100
+            ? `${comment.content.slice(0, 100)}...`
+            : comment.content;
+
+    const recipients = new Map();
+
+    for (const user of mentionedUsers) {
+        recipients.set(user.id_users, {
+            user,
+            message: `${author.name} menyebut Anda dalam komentar pada Request Kanban #${kanban.id_kanban}: "${snippet}"`,
+        });
+    }
+
+    const pendingApprovals = await Persetujuan.findManyWithUser({
+        id_kanban: kanban.id_kanban,
+        revision: kanban.revision,
+        approve: false,
+        note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+    });
+
+    const requester = await User.findForMentions([], [kanban.id_users]);
+
+    for (const user of [
+        ...pendingApprovals.map((approval) => approval.user),
+        ...requester,
+    ]) {
+        if (!recipients.has(user.id_users)) {
+            recipients.set(user.id_users, {
+                user,
+                message: `${author.name} menambahkan komentar pada Request Kanban #${kanban.id_kanban}: "${snippet}"`,
+            });
+        }
+    }
+
+    recipients.delete(author.id_users);
+
+    const notifications = [...recipients.values()].map((recipient) => ({
+        ...recipient,
+        request: kanban,
+    }));
+
+    if (notifications.length > 0) {
+        sendBatchNotifications(notifications).catch((err) => {
+            console.error("Failed to send comment notifications:", err);
+        });
+    }
+
+    return notifications.length;
+};
+
+/**
+ * Get comments of a Kanban request
+ */
+exports.getComments = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const kanban = await findAccessibleKanban(id_kanban, req.user);
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const result = await KanbanComment.findByKanban(
+        kanban.id_kanban,
+        pageNum,
+        limitNum
+    );
+
+    return ResponseUtil.successWithPagination(
+        res,
+        result.data.map((comment) => toCommentResponse(comment, req.user)),
+        result.pagination,
+        "Comments retrieved successfully"
+    );
+});
+
+/**
+ * Add a comment to a Kanban request
+ */
+exports.createComment = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+    const { content, mentions } = req.validatedBody;
+    const uploads = req.validatedAttachments || [];
+
+    const kanban = await findAccessibleKanban(id_kanban, req.user);
+
+    if (uploads.length > config.business.comment.maxAttachments) {
+        throw new ValidationError(
+            `A comment can have at most ${config.business.comment.maxAttachments} attachments`
+        );
+    }
+
+    const files = uploads.map(decodeUpload);
+    const mentionedUsers = await resolveMentions(
+        content,
+        mentions,
+        req.user.id_users
+    );
+
+    const storedNames = [];
+    let comment;
+
+    try {
+        for (const file of files) {
+            storedNames.push(await saveFile(file.buffer, file.file_name));
+        }
+
+        comment = await KanbanComment.create(
+            {
+                id_kanban: kanban.id_kanban,
+                id_users: req.user.id_users,
+                content,
+            },
+            mentionedUsers.map((user) => user.id_users),
+            files.map((file, index) => ({
+                file_name: file.file_name,
+                stored_name: storedNames[index],
+                mime_type: file.mime_type,
+                size: file.size,
+            }))
+        );
+    } catch (error) {
+        await Promise.all(storedNames.map((name) => deleteFile(name)));
+        throw error;
+    }
+
+    const notified = await notifyCommentRecipients(
+        kanban,
+        comment,
+        mentionedUsers,
+        comment.author
+    );
+
+    return ResponseUtil.created(
+        res,
+        {
+            ...toCommentResponse(comment, req.user),
+            recipients_notified: notified,
+        },
+        "Comment added successfully"
+    );
+});
+
+/**
+ * Edit a comment
+ */
+exports.updateComment = asyncHandler(async (req, res) => {
+    const { id_kanban, id_comment } = req.params;
+    const { content, mentions } = req.validatedBody;
+
+    const kanban = await findAccessibleKanban(id_kanban, req.user);
+    const currentComment = await findKanbanComment(kanban, id_comment);
+
+    if (currentComment.deleted_at) {
+        throw new ConflictError("Cannot edit a deleted comment");
+    }
+
+    if (currentComment.id_users !== req.user.id_users) {
+        throw new ForbiddenError("Only the author can edit this comment");
+    }
+
+    if (!isWithinEditWindow(currentComment)) {
+        throw new ConflictError(
+            `Comments can only be edited within ${config.business.comment.editWindowMinutes} minutes of posting`
+        );
+    }
+
+    const mentionedUsers = await resolveMentions(
+        content,
+        mentions,
+        req.user.id_users
+    );
+
+    const comment = await KanbanComment.updateContent(
+        currentComment.id_comment,
+        content,
+        mentionedUsers.map((user) => user.id_users)
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "COMMENT_UPDATED",
+        table_name: "kanban_comments",
+        record_id: comment.id_comment,
+        old_values: { content: currentComment.content },
+        new_values: { content },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    // Only users mentioned for the first time hear about the edit
+    const previousMentionIds = currentComment.mentions.map(
+        (mention) => mention.user.id_users
+    );
+    const newMentions = mentionedUsers.filter(
+        (user) => !previousMentionIds.includes(user.id_users)
+    );
+
+    if (newMentions.length > 0) {
+        sendBatchNotifications(
+            newMentions.map((user) => ({
+                user,
+                request: kanban,
+                message: `${comment.author.name} menyebut Anda dalam komentar pada Request Kanban #${kanban.id_kanban}: "${content}"`,
+            }))
+        ).catch((err) => {
+            console.error("Failed to send mention notifications:", err);
+        });
+    }
+
+    return ResponseUtil.updated(
+        res,
+        toCommentResponse(comment, req.user),
+        "Comment updated successfully"
+    );
+});
+
+/**
+ * Delete a comment (soft delete, attachments are removed)
+ */
+exports.deleteComment = asyncHandler(async (req, res) => {
+    const { id_kanban, id_comment } = req.params;
+
+    const kanban = await findAccessibleKanban(id_kanban, req.user);
+    const currentComment = await findKanbanComment(kanban, id_comment);
+
+    if (currentComment.deleted_at) {
+        throw new ConflictError("Comment has already been deleted");
+    }
+
+    if (!getCommentPermissions(currentComment, req.user).can_delete) {
+        throw new ForbiddenError(
+            currentComment.id_users === req.user.id_users
+                ? `Comments can only be deleted within ${config.business.comment.editWindowMinutes} minutes of posting`
+                : "Only the author or an admin can delete this comment"
+        );
+    }
+
+    const attachments = await Attachment.findByComment(
+        currentComment.id_comment
+    );
+
+    await KanbanComment.softDelete(currentComment.id_comment, req.user.id_users);
+
+    await Promise.all(
+        attachments.map((attachment) =>
+            deleteFile(attachment.stored_name).catch((err) => {
+                console.error("Failed to delete attachment file:", err);
+            })
+        )
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "COMMENT_DELETED",
+        table_name: "kanban_comments",
+        record_id: currentComment.id_comment,
+        old_values: {
+            id_kanban: kanban.id_kanban,
+            author_id: currentComment.id_users,
+            content: currentComment.content,
+            attachments: attachments.map((attachment) => attachment.file_name),
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Comment deleted successfully");
+});
+
+/**
+ * Download a file attached to a comment
+ */
+exports.downloadCommentAttachment = asyncHandler(async (req, res) => {
+    const { id_kanban, id_comment, id_attachment } = req.params;
+
+    const kanban = await findAccessibleKanban(id_kanban, req.user);
+    const comment = await findKanbanComment(kanban, id_comment);
+
+    if (!id_attachment || isNaN(parseInt(id_attachment))) {
+        throw new ValidationError("Invalid attachment ID provided");
+    }
+
+    const attachment = await Attachment.findById(id_attachment);
+    if (!attachment || attachment.id_comment !== comment.id_comment) {
+        throw new NotFoundError("Attachment");
+    }
+
+    res.setHeader("Content-Type", attachment.mime_type);
+
+    return res.download(
+        getFilePath(attachment.stored_name),
+        attachment.file_name,
+        (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    message: "Attachment file not found",
+                    code: "NOT_FOUND",
+                    timestamp: new Date().toISOString(),
+                });
+            }
+        }
+    );
+});
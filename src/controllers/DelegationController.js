@@ -0,0 +1,278 @@
+const prisma = require("../../prisma/client");
+const ApprovalDelegation = require("../models/ApprovalDelegation");
+const Department = require("../models/Department");
+const AuthService = require("../services/authService");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ForbiddenError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+const APPROVER_ROLES = ["LEADER", "SUPERVISOR", "MANAGER", "STAFF"];
+
+/**
+ * Validate delegator, delegate, departments and period of a delegation
+ */
+const validateDelegation = async (delegationData, excludeId = null) => {
+    const { id_delegator, id_delegate, id_departments, start_date, end_date } =
+        delegationData;
+
+    if (id_delegator === id_delegate) {
+        throw new ValidationError("Cannot delegate approval authority to yourself");
+    }
+
+    if (end_date < new Date()) {
+        throw new ValidationError("End date must be in the future");
+    }
+
+    const [delegator, delegate] = await Promise.all([
+        prisma.user.findUnique({
+            where: { id_users: id_delegator },
+            select: { role: true },
+        }),
+        prisma.user.findUnique({
+            where: { id_users: id_delegate },
+            select: { role: true },
+        }),
+    ]);
+
+    if (!delegator || !APPROVER_ROLES.includes(delegator.role)) {
+        throw new ValidationError(
+            "Delegator not found or does not hold an approval role"
+        );
+    }
+
+    if (!delegate || !APPROVER_ROLES.includes(delegate.role)) {
+        throw new ValidationError(
+            "Delegate not found or does not hold an approval role"
+        );
+    }
+
+    for (const departmentId of id_departments) {
+        if (!(await Department.exists(departmentId))) {
+            throw new ValidationError(`Department ${departmentId} not found`);
+        }
+    }
+
+    const overlapping = await ApprovalDelegation.findOverlapping(
+        id_delegator,
+        start_date,
+        end_date,
+        excludeId
+    );
+
+    if (overlapping) {
+        throw new ConflictError(
+            "An active delegation already exists for this period",
+            { id_delegation: overlapping.id_delegation }
+        );
+    }
+};
+
+/**
+ * Load a delegation the current user is allowed to manage
+ */
+const findManageableDelegation = async (id, user) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid delegation ID provided");
+    }
+
+    const delegation = await ApprovalDelegation.findById(id);
+    if (!delegation) {
+        throw new NotFoundError("Delegation");
+    }
+
+    if (user.role !== "ADMIN" && delegation.id_delegator !== user.id_users) {
+        throw new ForbiddenError(
+            "Only the delegator or an admin can manage this delegation"
+        );
+    }
+
+    return delegation;
+};
+
+/**
+ * Get delegations given or received by the current user (all for admin)
+ */
+exports.getDelegations = asyncHandler(async (req, res) => {
+    const { id_users, role } = req.user;
+    const { page = 1, limit = 10, isActive, userId } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+    const result = await ApprovalDelegation.findAll({
+        userId: role === "ADMIN" ? userId || null : id_users,
+        isActive: isActive !== undefined ? isActive === "true" : null,
+        page: pageNum,
+        limit: limitNum,
+    });
+
+    return ResponseUtil.successWithPagination(
+        res,
+        result.data,
+        {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+        },
+        "Delegations retrieved successfully"
+    );
+});
+
+/**
+ * Get delegation by ID
+ */
+exports.getDelegationById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { id_users, role } = req.user;
+
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid delegation ID provided");
+    }
+
+    const delegation = await ApprovalDelegation.findById(id);
+    if (!delegation) {
+        throw new NotFoundError("Delegation");
+    }
+
+    if (
+        role !== "ADMIN" &&
+        delegation.id_delegator !== id_users &&
+        delegation.id_delegate !== id_users
+    ) {
+        throw new ForbiddenError("You do not have access to this delegation");
+    }
+
+    return ResponseUtil.success(
+        res,
+        delegation,
+        "Delegation retrieved successfully"
+    );
+});
+
+/**
+ * Create a delegation. Admins may delegate on behalf of another user.
+ */
+exports.createDelegation = asyncHandler(async (req, res) => {
+    const { id_users, role } = req.user;
+    const body = req.validatedBody;
+
+    const delegationData = {
+        id_delegator:
+            role === "ADMIN" && body.id_delegator ? body.id_delegator : id_users,
+        id_delegate: body.id_delegate,
+        id_departments: [...new Set(body.id_departments)],
+        start_date: body.start_date,
+        end_date: body.end_date,
+        reason: body.reason,
+    };
+
+    await validateDelegation(delegationData);
+
+    const delegation = await ApprovalDelegation.create(delegationData);
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "DELEGATION_CREATED",
+        table_name: "approval_delegations",
+        record_id: delegation.id_delegation,
+        new_values: delegationData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        delegation,
+        "Delegation created successfully"
+    );
+});
+
+/**
+ * Update a delegation
+ */
+exports.updateDelegation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const body = req.validatedBody;
+
+    const currentDelegation = await findManageableDelegation(id, req.user);
+
+    if (!currentDelegation.is_active) {
+        throw new ConflictError("Cannot update a revoked delegation");
+    }
+
+    const delegationData = {
+        id_delegator: currentDelegation.id_delegator,
+        id_delegate: body.id_delegate,
+        id_departments: [...new Set(body.id_departments)],
+        start_date: body.start_date,
+        end_date: body.end_date,
+        reason: body.reason,
+    };
+
+    await validateDelegation(delegationData, id);
+
+    const delegation = await ApprovalDelegation.updateById(id, delegationData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "DELEGATION_UPDATED",
+        table_name: "approval_delegations",
+        record_id: delegation.id_delegation,
+        old_values: {
+            id_delegate: currentDelegation.id_delegate,
+            id_departments: currentDelegation.id_departments,
+            start_date: currentDelegation.start_date,
+            end_date: currentDelegation.end_date,
+            reason: currentDelegation.reason,
+        },
+        new_values: delegationData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        delegation,
+        "Delegation updated successfully"
+    );
+});
+
+/**
+ * Revoke a delegation before it ends
+ */
+exports.revokeDelegation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const currentDelegation = await findManageableDelegation(id, req.user);
+
+    if (!currentDelegation.is_active) {
+        throw new ConflictError("Delegation has already been revoked");
+    }
+
+    const delegation = await ApprovalDelegation.updateById(id, {
+        is_active: false,
+    });
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "DELEGATION_REVOKED",
+        table_name: "approval_delegations",
+        record_id: delegation.id_delegation,
+        old_values: { is_active: true },
+        new_values: { is_active: false },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        delegation,
+        "Delegation revoked successfully"
+    );
+});
@@ -1,15 +1,39 @@
-const User = require("../models/User");
 const RequestKanban = require("../models/RequestKanban");
 const Persetujuan = require("../models/Persetujuan");
+const ApprovalDelegation = require("../models/ApprovalDelegation");
+const Department = require("../models/Department");
+const Part = require("../models/Part");
+const Attachment = require("../models/Attachment");
+const KanbanLine = require("../models/KanbanLine");
 const ApprovalService = require("../services/approvalService");
+const BulkApprovalService = require("../services/BulkApprovalService");
+const AttachmentService = require("../services/AttachmentService");
+const AuthService = require("../services/authService");
+const KanbanRequestService = require("../services/KanbanRequestService");
+const KanbanTimelineService = require("../services/KanbanTimelineService");
 const { sendBatchNotifications } = require("../utils/notification");
+const { parseKanbanCode } = require("../utils/kanbanCode");
+const { canAccessKanban } = require("../middlewares/AuthMiddleware");
+const {
+    createKanbanCardPdf,
+    createKanbanCardSheet,
+} = require("../utils/pdfGenerator");
+const {
+    getAllowedTransitions,
+    isTerminalStatus,
+    isOpenForApproval,
+    canTransition,
+} = require("../utils/statusTransitions");
 const {
     PC_DEPARTMENT_ID,
     STATUS,
-    NOTE,
     REJECTED_NOTES,
     REJECTED_STATUSES,
+    CARD_STATUSES,
+    SCAN_RESULT,
+    SCAN_NEXT_ACTION,
 } = require("../utils/constants");
+const { startOfDay, endOfDay, format, subDays } = require("date-fns");
 const {
     asyncHandler,
     ResponseUtil,
@@ -19,41 +43,218 @@ const {
     ConflictError,
 } = require("../middlewares/ErrorHandler");
 
+const EDITABLE_FIELDS = [
+    "tgl_produksi",
+    "nama_requester",
+    "parts_number",
+    "lokasi",
+    "box",
+    "klasifikasi",
+    "keterangan",
+    "priority",
+];
+
 /**
- * Get all Kanban requests with enhanced pagination and filtering
+ * Apply the line changes of an edit or resubmission. The single-part fields
+ * (parts_number, quantity, box) edit the only line of the request; requests
+ * with several lines are edited through lines.
  */
-exports.getAllKanban = asyncHandler(async (req, res) => {
-    const {
-        page = 1,
-        limit = 10,
-        search = "",
-        sortBy = "id_kanban",
-        sortOrder = "desc",
-        status = null,
-        dateFrom = null,
-        dateTo = null,
-    } = req.query;
+const applyLineChanges = async (data, body, kanban) => {
+    if (body.lines) {
+        return {
+            ...data,
+            ...(await KanbanRequestService.prepareLines(body.lines)),
+        };
+    }
 
-    // Validate pagination parameters
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 items per page
+    if (
+        data.parts_number === undefined &&
+        data.box === undefined &&
+        body.quantity === undefined
+    ) {
+        return data;
+    }
 
-    const result = await RequestKanban.findAll(
-        pageNum,
-        limitNum,
-        search,
-        sortBy,
-        sortOrder
-    );
+    if (kanban.lines.length > 1) {
+        throw new ValidationError("Invalid line update", [
+            {
+                field: "lines",
+                message:
+                    "Requests with several lines must be updated through lines",
+            },
+        ]);
+    }
+
+    const [currentLine] = kanban.lines;
+    const partsNumber = data.parts_number || kanban.parts_number;
+    const isSamePart = currentLine?.parts_number === partsNumber;
+
+    return {
+        ...data,
+        ...(await KanbanRequestService.prepareLines([
+            {
+                parts_number: partsNumber,
+                quantity: body.quantity || currentLine?.quantity || 1,
+                unit: isSamePart ? currentLine.unit : null,
+                box: data.box ?? currentLine?.box ?? kanban.box,
+                remark: currentLine?.remark,
+            },
+        ])),
+    };
+};
+
+/**
+ * Record that a requester confirmed a suspected duplicate
+ */
+const logForcedDuplicate = async (req, kanbanId, duplicateIds) =>
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_DUPLICATE_CONFIRMED",
+        table_name: "request_kanban",
+        record_id: kanbanId,
+        new_values: { duplicate_ids: duplicateIds },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+/**
+ * Keep only editable request fields and normalize their values
+ */
+const sanitizeKanbanFields = (updateData) => {
+    const sanitizedData = {};
+    Object.keys(updateData).forEach((key) => {
+        if (EDITABLE_FIELDS.includes(key) && updateData[key] !== undefined) {
+            if (key === "tgl_produksi") {
+                const prodDate = new Date(updateData[key]);
+                if (isNaN(prodDate.getTime())) {
+                    throw new ValidationError("Invalid production date format");
+                }
+                sanitizedData[key] = prodDate;
+            } else if (typeof updateData[key] === "string") {
+                sanitizedData[key] = updateData[key].trim();
+                if (key === "parts_number") {
+                    sanitizedData[key] = sanitizedData[key].toUpperCase();
+                }
+            } else {
+                sanitizedData[key] = updateData[key];
+            }
+        }
+    });
+
+    return sanitizedData;
+};
+
+/**
+ * Read the filters and sort of a validated request list query. List
+ * filters are comma separated; sortBy and sortOrder still apply when no
+ * sort is given.
+ */
+const toListQuery = (query) => {
+    const toList = (value) =>
+        value ? value.split(",").map((item) => item.trim()) : [];
+
+    return {
+        filters: {
+            search: query.search,
+            status: toList(query.status),
+            departmentId: toList(query.departmentId),
+            klasifikasi: toList(query.klasifikasi),
+            priority: toList(query.priority),
+            dateFrom: query.dateFrom,
+            dateTo: query.dateTo,
+            prodFrom: query.prodFrom,
+            prodTo: query.prodTo,
+            approverId: query.approverId,
+        },
+        sort:
+            query.sort ||
+            `${query.sortBy || "id_kanban"}:${query.sortOrder || "desc"}`,
+    };
+};
+
+/**
+ * Search Kanban requests with filters, facet counts and page or cursor
+ * pagination
+ */
+exports.getAllKanban = asyncHandler(async (req, res) => {
+    const { page, limit, cursor } = req.validatedQuery;
+    const { filters, sort } = toListQuery(req.validatedQuery);
+
+    const result = await RequestKanban.findAll({
+        filters,
+        sort,
+        page,
+        limit,
+        cursor: cursor || null,
+    });
 
     return ResponseUtil.successWithPagination(
         res,
         result.data,
         result.pagination,
-        "Kanban requests retrieved successfully"
+        "Kanban requests retrieved successfully",
+        { facets: result.facets }
+    );
+});
+
+/**
+ * Get request counts and approval lead times for a date range
+ */
+exports.getKanbanAnalytics = asyncHandler(async (req, res) => {
+    const { dateFrom, dateTo, departmentId } = req.validatedQuery;
+
+    const analytics = await RequestKanban.getAnalytics({
+        dateFrom,
+        dateTo,
+        departmentId,
+    });
+
+    return ResponseUtil.success(
+        res,
+        analytics,
+        "Analytics data retrieved successfully"
     );
 });
 
+/**
+ * Export Kanban requests with the filters of the request list
+ */
+exports.exportKanban = asyncHandler(async (req, res) => {
+    const extension = req.validatedQuery.format || "csv";
+    const { filters, sort } = toListQuery(req.validatedQuery);
+
+    const exportData = await RequestKanban.exportData({
+        ...filters,
+        format: extension,
+        sort,
+    });
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_EXPORTED",
+        table_name: "request_kanban",
+        new_values: {
+            format: extension,
+            filters,
+            sort,
+            count: exportData.count,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    res.setHeader("Content-Type", exportData.contentType);
+    res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="kanban-export-${format(
+            new Date(),
+            "yyyy-MM-dd"
+        )}.${extension}"`
+    );
+
+    return res.send(exportData.content);
+});
+
 /**
  * Get Kanban request by ID with enhanced data
  */
@@ -70,114 +271,646 @@ exports.getKanbanById = asyncHandler(async (req, res) => {
         throw new NotFoundError("Kanban request");
     }
 
+    // Quorum progress of the stage the request is waiting on
+    const approvalProgress = await ApprovalService.getApprovalProgress(kanban);
+    const attachments = await Attachment.findByKanban(kanban.id_kanban);
+
     return ResponseUtil.success(
         res,
-        kanban,
+        {
+            ...kanban,
+            approval_progress: approvalProgress,
+            attachments,
+        },
         "Kanban request retrieved successfully"
     );
 });
 
+/**
+ * Get everything that happened to a Kanban request as one chronological
+ * list of events
+ */
+exports.getKanbanTimeline = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanban = await RequestKanban.findById(id_kanban);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    const events = await KanbanTimelineService.getTimeline(kanban);
+
+    return ResponseUtil.success(
+        res,
+        {
+            id_kanban: kanban.id_kanban,
+            status: kanban.status,
+            revision: kanban.revision,
+            events,
+        },
+        "Kanban timeline retrieved successfully"
+    );
+});
+
+/**
+ * Descriptions of the parts printed on the cards of the requests
+ */
+const findCardPartDescriptions = async (kanbans) =>
+    await Part.findDescriptions(
+        kanbans.flatMap((kanban) => [
+            kanban.parts_number,
+            ...kanban.lines.map((line) => line.parts_number),
+        ])
+    );
+
+/**
+ * Print the kanban cards of an approved request, one card per line
+ */
+exports.getKanbanCard = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanban = await RequestKanban.findById(id_kanban);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    if (!CARD_STATUSES.includes(kanban.status)) {
+        throw new ConflictError(
+            "Kanban cards can only be printed for approved requests",
+            { current_status: kanban.status, allowed_statuses: CARD_STATUSES }
+        );
+    }
+
+    // The cards carry the approval stamps of the current revision
+    const persetujuan = await Persetujuan.findByKanban(
+        kanban.id_kanban,
+        kanban.revision
+    );
+
+    await createKanbanCardPdf(
+        res,
+        { ...kanban, persetujuan },
+        await findCardPartDescriptions([kanban])
+    );
+});
+
+/**
+ * Print the kanban cards of the approved requests of a production date on
+ * A4 sheets. Outside PC only the user's own department is printed.
+ */
+exports.getKanbanCardSheet = asyncHandler(async (req, res) => {
+    const { date, departmentId } = req.validatedQuery;
+    const { id_department, role } = req.user;
+
+    const day = date ? new Date(date) : new Date();
+
+    const canPrintAll = id_department === PC_DEPARTMENT_ID || role === "ADMIN";
+
+    const kanbans = await RequestKanban.findForCards({
+        startDate: startOfDay(day),
+        endDate: endOfDay(day),
+        statuses: CARD_STATUSES,
+        departmentId: canPrintAll ? departmentId || null : id_department,
+    });
+
+    if (kanbans.length === 0) {
+        throw new NotFoundError("Approved kanban requests for this date");
+    }
+
+    await createKanbanCardSheet(
+        res,
+        kanbans,
+        await findCardPartDescriptions(kanbans),
+        format(day, "yyyy-MM-dd")
+    );
+});
+
+/**
+ * Record a card scan with the device it came from
+ */
+const logScan = async (req, action, kanbanId, values) =>
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action,
+        table_name: "request_kanban",
+        record_id: kanbanId,
+        new_values: {
+            code: req.validatedBody.code,
+            device_id: req.validatedBody.device_id || null,
+            device_name: req.validatedBody.device_name || null,
+            ...values,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+/**
+ * What a scanned request waits for, from the scanning user's point of view
+ */
+const getScanNextAction = async (request, approval, isClosure) => {
+    if (isTerminalStatus(request.status)) {
+        return { next_action: SCAN_NEXT_ACTION.NONE, stage: null };
+    }
+
+    if (REJECTED_STATUSES.includes(request.status)) {
+        return { next_action: SCAN_NEXT_ACTION.RESUBMIT, stage: null };
+    }
+
+    if (approval) {
+        return {
+            next_action: isClosure
+                ? SCAN_NEXT_ACTION.CLOSE
+                : SCAN_NEXT_ACTION.APPROVE,
+            stage: null,
+        };
+    }
+
+    // Without a pending stage the request only waits for closure
+    const progress = await ApprovalService.getApprovalProgress(request);
+
+    return progress
+        ? {
+              next_action: SCAN_NEXT_ACTION.WAIT_APPROVAL,
+              stage: progress.stage.name,
+          }
+        : { next_action: SCAN_NEXT_ACTION.WAIT_CLOSURE, stage: null };
+};
+
+/**
+ * Look up a request from the code of its printed card. PC Staff scans
+ * confirm closure, the step POST /kanban/approve takes otherwise. The
+ * response is kept small for handheld scanners.
+ */
+exports.scanKanban = asyncHandler(async (req, res) => {
+    const { code, lookup_only } = req.validatedBody;
+    const { id_users, role, id_department } = req.user;
+
+    const kanbanId = parseKanbanCode(code);
+
+    const request = await RequestKanban.findById(kanbanId);
+    if (!request) {
+        await logScan(req, "KANBAN_SCAN_NOT_FOUND", null, {
+            id_kanban: kanbanId,
+        });
+        throw new NotFoundError("Kanban request");
+    }
+
+    if (
+        id_department !== PC_DEPARTMENT_ID &&
+        !(await canAccessKanban(req.user, request))
+    ) {
+        throw new ForbiddenError(
+            "You don't have access to this Kanban request"
+        );
+    }
+
+    let approval = null;
+    let delegation = null;
+    let isClosure = false;
+
+    if (isOpenForApproval(request.status)) {
+        ({ approval, delegation } = await ApprovalService.resolveActingApproval(
+            kanbanId,
+            req.user,
+            request
+        ));
+    }
+
+    if (approval) {
+        const chain = await ApprovalService.getChainForKanban(request);
+        const stage = ApprovalService.findStageForApproval(
+            chain,
+            request,
+            approval
+        );
+        isClosure = ApprovalService.isClosureApproval(
+            chain,
+            stage,
+            request,
+            approval
+        );
+    }
+
+    const isPCStaff = role === "STAFF" && id_department === PC_DEPARTMENT_ID;
+    let result = SCAN_RESULT.LOOKUP;
+    let scanned = request;
+
+    if (isPCStaff && isClosure && !lookup_only) {
+        const { notificationData } = await ApprovalService.processApproval(
+            req.user,
+            request,
+            approval
+        );
+
+        result = SCAN_RESULT.CLOSED;
+        scanned = { ...request, status: STATUS.CLOSED };
+
+        // Closing by scan notifies like closing through approval
+        sendBatchNotifications(
+            notificationData.map((item) => ({
+                user: item.user,
+                request,
+                message: item.message,
+            }))
+        ).catch((err) => {
+            console.error("Failed to send closure notifications:", err);
+        });
+    }
+
+    const { next_action, stage } = await getScanNextAction(
+        scanned,
+        approval,
+        isClosure
+    );
+
+    await logScan(
+        req,
+        result === SCAN_RESULT.CLOSED
+            ? "KANBAN_CLOSED_BY_SCAN"
+            : "KANBAN_SCANNED",
+        kanbanId,
+        {
+            result,
+            status: scanned.status,
+            next_action,
+            ...(result === SCAN_RESULT.CLOSED &&
+                delegation && {
+                    id_delegation: delegation.id_delegation,
+                    approver_id: approval.id_users,
+                }),
+        }
+    );
+
+    return ResponseUtil.success(
+        res,
+        {
+            id_kanban: kanbanId,
+            result,
+            status: scanned.status,
+            next_action,
+            stage,
+            parts_number: request.parts_number,
+            lines:
+                request.lines.filter((line) => line.status === "ACTIVE")
+                    .length || 1,
+            lokasi: request.lokasi,
+            klasifikasi: request.klasifikasi,
+        },
+        result === SCAN_RESULT.CLOSED ? "Kanban closed" : "Kanban found"
+    );
+});
+
+/**
+ * Get the actions the current user may take on a Kanban request
+ */
+exports.getKanbanActions = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+    const { id_users } = req.user;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanbanId = parseInt(id_kanban);
+
+    const request = await RequestKanban.findById(kanbanId);
+    if (!request) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    const isTerminal = isTerminalStatus(request.status);
+    const isRejected = REJECTED_STATUSES.includes(request.status);
+    const isOwner = request.id_users === id_users;
+
+    let approval = null;
+    let delegation = null;
+    let stage = null;
+    let isClosure = false;
+    let canAct = false;
+
+    if (isOpenForApproval(request.status)) {
+        ({ approval, delegation } = await ApprovalService.resolveActingApproval(
+            kanbanId,
+            req.user,
+            request
+        ));
+    }
+
+    if (approval) {
+        const chain = await ApprovalService.getChainForKanban(request);
+        stage = ApprovalService.findStageForApproval(chain, request, approval);
+        isClosure = ApprovalService.isClosureApproval(
+            chain,
+            stage,
+            request,
+            approval
+        );
+
+        canAct = !(await ApprovalService.isRoleQuorumMet(request, approval));
+    }
+
+    const canEdit =
+        isOwner &&
+        isOpenForApproval(request.status) &&
+        !(await RequestKanban.hasApprovals(kanbanId, request.revision));
+
+    return ResponseUtil.success(
+        res,
+        {
+            id_kanban: kanbanId,
+            current_status: request.status,
+            revision: request.revision,
+            is_terminal: isTerminal,
+            allowed_transitions: getAllowedTransitions(request.status),
+            current_stage: stage
+                ? { sequence: stage.sequence, name: stage.name }
+                : null,
+            on_behalf_of: delegation
+                ? {
+                      user_id: approval.id_users,
+                      name: delegation.delegator.name,
+                      role: approval.role,
+                  }
+                : null,
+            actions: {
+                can_approve: canAct && !isClosure,
+                can_close: canAct && isClosure,
+                can_reject: canAct,
+                can_edit: canEdit,
+                can_resubmit: isOwner && isRejected,
+                can_cancel:
+                    isOwner && canTransition(request.status, STATUS.CANCELLED),
+            },
+        },
+        "Kanban actions retrieved successfully"
+    );
+});
+
 /**
  * Create a new Kanban request with enhanced validation
  */
 exports.createKanban = asyncHandler(async (req, res) => {
     const { id_users } = req.user;
+
+    // Check attached files before the request is created
+    const files = await AttachmentService.prepareUploads(
+        req.validatedAttachments || []
+    );
+
     const {
-        tgl_produksi,
-        nama_requester,
-        parts_number,
-        lokasi,
-        box,
-        klasifikasi,
-        keterangan,
-    } = req.body;
-
-    // Enhanced input validation
-    if (!tgl_produksi || !nama_requester || !parts_number || !lokasi) {
-        throw new ValidationError("Required fields missing", [
-            { field: "tgl_produksi", message: "Production date is required" },
-            { field: "nama_requester", message: "Requester name is required" },
-            { field: "parts_number", message: "Parts number is required" },
-            { field: "lokasi", message: "Location is required" },
-        ]);
+        request: newRequest,
+        duplicateIds,
+        approversNotified,
+    } = await KanbanRequestService.submit(id_users, req.body, {
+        force: req.validatedBody.force,
+    });
+
+    if (duplicateIds.length > 0) {
+        await logForcedDuplicate(req, newRequest.id_kanban, duplicateIds);
     }
+    const attachments = await AttachmentService.storeForKanban(
+        newRequest.id_kanban,
+        id_users,
+        files
+    );
+
+    return ResponseUtil.created(
+        res,
+        {
+            ...newRequest,
+            attachments: attachments.map(({ stored_name, ...rest }) => rest),
+            duplicate_of: duplicateIds,
+            approvers_notified: approversNotified,
+        },
+        "Kanban request created successfully"
+    );
+});
 
-    // Validate production date
-    const prodDate = new Date(tgl_produksi);
-    if (isNaN(prodDate.getTime())) {
-        throw new ValidationError("Invalid production date format");
+/**
+ * Update a Kanban request with enhanced validation
+ */
+exports.updateKanban = asyncHandler(async (req, res) => {
+    const { id_users } = req.user;
+    const { id_kanban } = req.params;
+    const updateData = req.body;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
     }
 
-    // Check if production date is not in the past (optional business rule)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    if (prodDate < today) {
-        throw new ValidationError("Production date cannot be in the past");
+    const kanbanId = parseInt(id_kanban);
+
+    // Check if Kanban exists and user owns it
+    const kanban = await RequestKanban.findById(kanbanId);
+
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
     }
 
-    // Get user info with department validation
-    const user = await User.findById(id_users);
-    if (!user) {
-        throw new NotFoundError("User");
+    if (!(await RequestKanban.isOwnedByUser(kanbanId, id_users))) {
+        throw new ForbiddenError(
+            "You don't have permission to edit this Kanban request"
+        );
     }
 
-    if (!user.department) {
-        throw new ValidationError("User department not found or invalid");
+    // Rejected requests go through resubmission instead
+    if (!isOpenForApproval(kanban.status)) {
+        throw new ConflictError(
+            REJECTED_STATUSES.includes(kanban.status)
+                ? "Rejected requests must be resubmitted instead of edited"
+                : `Cannot edit a request with status ${kanban.status}`,
+            { current_status: kanban.status }
+        );
     }
 
-    // Prepare request data
-    const requestData = {
-        id_users,
-        id_department: user.id_department,
-        tgl_produksi: prodDate,
-        nama_requester: nama_requester.trim(),
-        parts_number: parts_number.trim().toUpperCase(),
-        lokasi: lokasi.trim(),
-        box: box?.trim() || "",
-        klasifikasi: klasifikasi?.trim() || "",
-        keterangan: keterangan?.trim() || "",
-    };
+    // Check if any approvals have been made
+    if (await RequestKanban.hasApprovals(kanbanId, kanban.revision)) {
+        throw new ConflictError(
+            "Request cannot be edited because approvals have already been made",
+            { hasApprovals: true }
+        );
+    }
+
+    // Validate and sanitize update data
+    const sanitizedUpdateData = await applyLineChanges(
+        await KanbanRequestService.applyMasterData(
+            sanitizeKanbanFields(updateData)
+        ),
+        updateData,
+        kanban
+    );
+
+    if (Object.keys(sanitizedUpdateData).length === 0) {
+        throw new ValidationError("No valid fields provided for update");
+    }
+
+    // Changes to part, location or date are checked for duplicates again
+    const changesMatchFields = ["tgl_produksi", "lokasi", "parts_number"].some(
+        (field) => sanitizedUpdateData[field] !== undefined
+    );
+    const currentLines = kanban.lines.filter(
+        (line) => line.status === "ACTIVE"
+    );
+    const duplicateIds = changesMatchFields
+        ? await KanbanRequestService.checkDuplicates(
+              {
+                  id_department: kanban.id_department,
+                  tgl_produksi:
+                      sanitizedUpdateData.tgl_produksi || kanban.tgl_produksi,
+                  lokasi: sanitizedUpdateData.lokasi || kanban.lokasi,
+                  parts_number:
+                      sanitizedUpdateData.parts_number || kanban.parts_number,
+                  lines:
+                      sanitizedUpdateData.lines ||
+                      (currentLines.length > 0 ? currentLines : undefined),
+              },
+              req.validatedBody.force,
+              kanbanId
+          )
+        : [];
+
+    // Update the Kanban request
+    const updatedKanban = await RequestKanban.updateById(
+        kanbanId,
+        sanitizedUpdateData,
+        id_users
+    );
+    if (duplicateIds.length > 0) {
+        await logForcedDuplicate(req, kanbanId, duplicateIds);
+    }
+
+    // Get pending approvers for notifications
+    const pendingApprovers = (
+        await Persetujuan.findManyWithUser({
+            id_kanban: kanbanId,
+            revision: kanban.revision,
+            approve: false,
+        })
+    ).map((approval) => approval.user);
+
+    // Send batch notifications asynchronously
+    if (pendingApprovers.length > 0) {
+        const notifications = pendingApprovers.map((user) => ({
+            user,
+            request: updatedKanban,
+            message: `Request Kanban dari ${updatedKanban.nama_requester} telah diupdate dan perlu review ulang.`,
+        }));
+
+        sendBatchNotifications(notifications).catch((err) => {
+            console.error("Failed to send update notifications:", err);
+        });
+    }
+
+    return ResponseUtil.updated(
+        res,
+        {
+            ...updatedKanban,
+            duplicate_of: duplicateIds,
+            approvers_notified: pendingApprovers.length,
+        },
+        "Kanban request updated successfully"
+    );
+});
+
+/**
+ * Revise and resubmit a rejected Kanban request as a new revision
+ */
+exports.resubmitKanban = asyncHandler(async (req, res) => {
+    const { id_users } = req.user;
+    const { id_kanban } = req.params;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanbanId = parseInt(id_kanban);
+
+    const kanban = await RequestKanban.findById(kanbanId);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    if (kanban.id_users !== id_users) {
+        throw new ForbiddenError(
+            "You don't have permission to resubmit this Kanban request"
+        );
+    }
 
-    // Create the kanban request
-    const newRequest = await RequestKanban.create(requestData);
+    if (!REJECTED_STATUSES.includes(kanban.status)) {
+        throw new ConflictError("Only rejected requests can be resubmitted", {
+            current_status: kanban.status,
+            allowed_statuses: REJECTED_STATUSES,
+        });
+    }
 
-    // Create LSM approvals and get notification data
-    const lsmUsers = await ApprovalService.createLSMApprovals(
-        user.id_department,
-        newRequest.id_kanban
+    const revisedData = await applyLineChanges(
+        await KanbanRequestService.applyMasterData(
+            sanitizeKanbanFields(req.body)
+        ),
+        req.body,
+        kanban
     );
 
-    // Send batch notifications if there are LSM users
-    if (lsmUsers.length > 0) {
-        const notifications = lsmUsers.map((approver) => ({
+    // The revision must refer to active parts, even when unchanged
+    if (!revisedData.lines) {
+        await Promise.all(
+            (kanban.lines.length > 0 ? kanban.lines : [kanban]).map((line) =>
+                KanbanRequestService.assertActivePart(line.parts_number)
+            )
+        );
+    }
+
+    const updatedKanban = await RequestKanban.resubmit(
+        kanbanId,
+        revisedData,
+        id_users
+    );
+
+    // The new revision starts over at the first stage of the chain
+    const approvers = await ApprovalService.createLSMApprovals(
+        updatedKanban.id_department,
+        kanbanId,
+        updatedKanban.klasifikasi,
+        updatedKanban.revision
+    );
+
+    if (approvers.length > 0) {
+        const notifications = approvers.map((approver) => ({
             user: approver,
-            request: newRequest,
-            message: `Ada request Kanban baru dari ${nama_requester} yang perlu Anda approve.`,
+            request: updatedKanban,
+            message: `Request Kanban dari ${updatedKanban.nama_requester} telah direvisi dan diajukan ulang (revisi ${updatedKanban.revision}). Mohon review kembali.`,
         }));
 
-        // Send notifications asynchronously to avoid blocking response
         sendBatchNotifications(notifications).catch((err) => {
-            console.error("Failed to send notifications:", err);
+            console.error("Failed to send resubmission notifications:", err);
         });
     }
 
-    return ResponseUtil.created(
+    return ResponseUtil.updated(
         res,
         {
-            ...newRequest,
-            approvers_notified: lsmUsers.length,
+            ...updatedKanban,
+            approvers_notified: approvers.length,
         },
-        "Kanban request created successfully"
+        `Kanban request resubmitted as revision ${updatedKanban.revision}`
     );
 });
 
 /**
- * Update a Kanban request with enhanced validation
+ * Cancel (withdraw) a Kanban request before it is closed by PC
  */
-exports.updateKanban = asyncHandler(async (req, res) => {
+exports.cancelKanban = asyncHandler(async (req, res) => {
     const { id_users } = req.user;
     const { id_kanban } = req.params;
-    const updateData = req.body;
+    const { alasan } = req.validatedBody;
 
     if (!id_kanban || isNaN(parseInt(id_kanban))) {
         throw new ValidationError("Invalid kanban ID provided");
@@ -185,95 +918,61 @@ exports.updateKanban = asyncHandler(async (req, res) => {
 
     const kanbanId = parseInt(id_kanban);
 
-    // Check if Kanban exists and user owns it
-    const kanban = await RequestKanban.findByIdWithApprovals(kanbanId);
-
+    const kanban = await RequestKanban.findById(kanbanId);
     if (!kanban) {
         throw new NotFoundError("Kanban request");
     }
 
-    if (!(await RequestKanban.isOwnedByUser(kanbanId, id_users))) {
+    if (kanban.id_users !== id_users) {
         throw new ForbiddenError(
-            "You don't have permission to edit this Kanban request"
+            "You don't have permission to cancel this Kanban request"
         );
     }
 
-    // Check if any approvals have been made
-    if (await RequestKanban.hasApprovals(kanbanId)) {
+    if (!canTransition(kanban.status, STATUS.CANCELLED)) {
         throw new ConflictError(
-            "Request cannot be edited because approvals have already been made",
-            { hasApprovals: true }
+            `Cannot cancel a request with status ${kanban.status}`,
+            { current_status: kanban.status }
         );
     }
 
-    // Validate and sanitize update data
-    const allowedFields = [
-        "tgl_produksi",
-        "nama_requester",
-        "parts_number",
-        "lokasi",
-        "box",
-        "klasifikasi",
-        "keterangan",
-    ];
-
-    const sanitizedUpdateData = {};
-    Object.keys(updateData).forEach((key) => {
-        if (allowedFields.includes(key) && updateData[key] !== undefined) {
-            if (key === "tgl_produksi") {
-                const prodDate = new Date(updateData[key]);
-                if (isNaN(prodDate.getTime())) {
-                    throw new ValidationError("Invalid production date format");
-                }
-                sanitizedUpdateData[key] = prodDate;
-            } else if (typeof updateData[key] === "string") {
-                sanitizedUpdateData[key] = updateData[key].trim();
-                if (key === "parts_number") {
-                    sanitizedUpdateData[key] =
-                        sanitizedUpdateData[key].toUpperCase();
-                }
-            } else {
-                sanitizedUpdateData[key] = updateData[key];
-            }
-        }
+    // Everyone already asked to approve this revision hears about it
+    const approvals = await Persetujuan.findManyWithUser({
+        id_kanban: kanbanId,
+        revision: kanban.revision,
     });
 
-    if (Object.keys(sanitizedUpdateData).length === 0) {
-        throw new ValidationError("No valid fields provided for update");
-    }
-
-    // Update the Kanban request
-    const updatedKanban = await RequestKanban.updateById(
-        kanbanId,
-        sanitizedUpdateData,
-        id_users
-    );
+    const { request: cancelledKanban, closedApprovals } =
+        await RequestKanban.cancel(kanbanId, alasan, id_users);
 
-    // Get pending approvers for notifications
-    const pendingApprovers = kanban.persetujuan
-        .filter((approval) => !approval.approve)
-        .map((approval) => approval.user);
+    const approvers = [
+        ...new Map(
+            approvals
+                .filter((approval) => approval.id_users !== id_users)
+                .map((approval) => [approval.id_users, approval.user])
+        ).values(),
+    ];
 
-    // Send batch notifications asynchronously
-    if (pendingApprovers.length > 0) {
-        const notifications = pendingApprovers.map((user) => ({
+    if (approvers.length > 0) {
+        const notifications = approvers.map((user) => ({
             user,
-            request: updatedKanban,
-            message: `Request Kanban dari ${updatedKanban.nama_requester} telah diupdate dan perlu review ulang.`,
+            request: cancelledKanban,
+            message: `Request Kanban #${kanbanId} dari ${cancelledKanban.nama_requester} telah dibatalkan oleh requester. Alasan: ${alasan}`,
         }));
 
         sendBatchNotifications(notifications).catch((err) => {
-            console.error("Failed to send update notifications:", err);
+            console.error("Failed to send cancellation notifications:", err);
         });
     }
 
     return ResponseUtil.updated(
         res,
         {
-            ...updatedKanban,
-            approvers_notified: pendingApprovers.length,
+            ...cancelledKanban,
+            approvals_closed: closedApprovals,
+            approvers_notified: approvers.length,
         },
-        "Kanban request updated successfully"
+        "Kanban request cancelled successfully"
     );
 });
 
@@ -281,7 +980,7 @@ exports.updateKanban = asyncHandler(async (req, res) => {
  * Get pending approvals for the current user with enhanced filtering
  */
 exports.getPendingApprovals = asyncHandler(async (req, res) => {
-    const { id_users, role, id_department } = req.user;
+    const { id_users } = req.user;
     const {
         page = 1,
         limit = 10,
@@ -294,6 +993,11 @@ exports.getPendingApprovals = asyncHandler(async (req, res) => {
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
 
+    // Include approvals of users who delegated their authority to this user
+    const delegations = await ApprovalDelegation.findActiveForDelegate(
+        id_users
+    );
+
     // Get paginated pending approvals
     const pendingResult = await Persetujuan.findPendingForUser(
         id_users,
@@ -301,37 +1005,26 @@ exports.getPendingApprovals = asyncHandler(async (req, res) => {
         REJECTED_STATUSES,
         pageNum,
         limitNum,
-        search
+        search,
+        delegations
     );
 
+    // Hide rows skipped by a manager or whose role already met its quorum
     let filteredData = await ApprovalService.filterPendingApprovals(
-        pendingResult.data,
-        role,
-        id_department
-    );
-
-    // Check if role has already approved each request
-    filteredData = await Promise.all(
-        filteredData.map(async (approval) => {
-            const isRoleApproved = await Persetujuan.isRoleAlreadyApproved(
-                approval.id_kanban,
-                role,
-                id_department
-            );
-            return isRoleApproved ? null : approval;
-        })
+        pendingResult.data
     );
 
-    // Remove null values and add metadata
-    filteredData = filteredData
-        .filter((approval) => approval !== null)
-        .map((approval) => ({
-            ...approval,
-            can_approve: true,
-            approval_deadline: this.calculateApprovalDeadline(
-                approval.requestKanban.created_at
-            ),
-        }));
+    // Add metadata
+    filteredData = filteredData.map((approval) => ({
+        ...approval,
+        is_delegated: approval.id_users !== id_users,
+        on_behalf_of: approval.id_users !== id_users ? approval.user : null,
+        can_approve: true,
+        approval_deadline: this.calculateApprovalDeadline(
+            approval.requestKanban.created_at,
+            approval.requestKanban.classification?.lead_time_days
+        ),
+    }));
 
     return ResponseUtil.successWithPagination(
         res,
@@ -357,64 +1050,39 @@ exports.approveKanban = asyncHandler(async (req, res) => {
 
     const kanbanId = parseInt(id_kanban);
 
-    // Check if role has already approved
-    const isRoleApproved = await Persetujuan.isRoleAlreadyApproved(
-        kanbanId,
-        role,
-        id_department
-    );
-
-    if (isRoleApproved) {
-        throw new ConflictError(
-            `Role ${role} has already approved this request`,
-            { role, already_approved: true }
-        );
-    }
-
-    // Get request info
-    const request = await RequestKanban.findById(kanbanId);
-    if (!request) {
-        throw new NotFoundError("Kanban request");
-    }
-
-    // Check if request is in a valid state for approval
-    if (REJECTED_STATUSES.includes(request.status)) {
-        throw new ConflictError("Cannot approve a rejected request", {
-            current_status: request.status,
-        });
-    }
+    // The user must hold an open approval on the request's chain, either
+    // their own or one delegated to them
+    const { request, approval, delegation } =
+        await ApprovalService.prepareDecision(kanbanId, req.user, "approve");
 
     const now = new Date();
 
-    // Auto approve all users with same role in same department
-    await Persetujuan.autoApproveRoleInDepartment(
-        kanbanId,
-        role,
-        id_department,
-        now,
-        NOTE.APPROVED
+    // Advance the request along its approval chain
+    const result = await ApprovalService.processApproval(
+        req.user,
+        request,
+        approval
     );
 
-    let notificationData = [];
-    let responseType = "normal";
-
-    // Handle different approval scenarios
-    if (role === "MANAGER") {
-        notificationData = await ApprovalService.handleManagerApproval(
-            id_users,
-            id_department,
-            kanbanId,
-            request.id_department
-        );
-    } else if (role === "STAFF" && id_department === PC_DEPARTMENT_ID) {
-        const result = await ApprovalService.handlePCStaffApproval(
-            id_users,
-            kanbanId,
-            request.status
-        );
+    const responseType = result.type;
+    const notificationData = result.notificationData || [];
 
-        responseType = result.type;
-        notificationData = result.notificationData || [];
+    if (delegation) {
+        await AuthService.createAuditLog({
+            user_id: id_users,
+            action: "KANBAN_APPROVED_ON_BEHALF",
+            table_name: "persetujuan",
+            record_id: kanbanId,
+            new_values: {
+                id_delegation: delegation.id_delegation,
+                approver_id: approval.id_users,
+                acted_by: id_users,
+                role: approval.role,
+                approval_type: responseType,
+            },
+            ip_address: AuthService.getClientIP(req),
+            user_agent: req.get("User-Agent"),
+        });
     }
 
     // Send notifications asynchronously
@@ -446,6 +1114,14 @@ exports.approveKanban = asyncHandler(async (req, res) => {
             department_id: id_department,
             approved_at: now,
         },
+        on_behalf_of: delegation
+            ? {
+                  user_id: approval.id_users,
+                  name: delegation.delegator.name,
+                  role: approval.role,
+                  department_id: approval.id_department,
+              }
+            : null,
         notifications_sent: notificationData.length,
         approval_type: responseType,
     };
@@ -559,7 +1235,7 @@ exports.getIncomingForPC = asyncHandler(async (req, res) => {
 
     const enrichedIncoming = incoming.map((approval) => ({
         ...approval,
-        priority: this.calculatePriority(approval.requestKanban),
+        priority: approval.requestKanban.priority,
         days_pending: this.calculateDaysPending(approval.created_at),
     }));
 
@@ -570,6 +1246,91 @@ exports.getIncomingForPC = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Override the priority of a request awaiting approval. Approvers with a
+ * pending approval on it, their delegates and admins may do so; the
+ * requester is told about the change.
+ */
+exports.overrideKanbanPriority = asyncHandler(async (req, res) => {
+    const { id_kanban } = req.params;
+    const { priority, reason } = req.validatedBody;
+    const { id_users, role } = req.user;
+
+    if (!id_kanban || isNaN(parseInt(id_kanban))) {
+        throw new ValidationError("Invalid kanban ID provided");
+    }
+
+    const kanban = await RequestKanban.findById(id_kanban);
+    if (!kanban) {
+        throw new NotFoundError("Kanban request");
+    }
+
+    if (!isOpenForApproval(kanban.status)) {
+        throw new ConflictError(
+            `Cannot change the priority of a request with status ${kanban.status}`,
+            { current_status: kanban.status }
+        );
+    }
+
+    const { approval, delegation } =
+        role === "ADMIN"
+            ? { approval: null, delegation: null }
+            : await ApprovalService.resolveActingApproval(
+                  kanban.id_kanban,
+                  req.user,
+                  kanban
+              );
+
+    if (role !== "ADMIN" && !approval) {
+        throw new ForbiddenError(
+            "Only approvers with a pending approval can override the priority"
+        );
+    }
+
+    if (kanban.priority === priority) {
+        throw new ConflictError(`Request already has priority ${priority}`, {
+            priority,
+        });
+    }
+
+    const updatedKanban = await RequestKanban.updatePriority(
+        kanban.id_kanban,
+        priority
+    );
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_PRIORITY_CHANGED",
+        table_name: "request_kanban",
+        record_id: kanban.id_kanban,
+        old_values: { priority: kanban.priority },
+        new_values: {
+            priority,
+            reason,
+            role: approval ? approval.role : role,
+            ...(delegation && { on_behalf_of: approval.id_users }),
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    sendBatchNotifications([
+        {
+            user: kanban.user,
+            request: updatedKanban,
+            message: `Prioritas request Kanban Anda diubah dari ${kanban.priority} menjadi ${priority}. Alasan: ${reason}`,
+        },
+    ]).catch((err) => {
+        console.error("Failed to send priority notification:", err);
+    });
+
+    return ResponseUtil.updated(
+        res,
+        updatedKanban,
+        "Kanban priority updated successfully"
+    );
+});
+
 /**
  * Get requests approved by PC
  */
@@ -609,34 +1370,46 @@ exports.rejectKanban = asyncHandler(async (req, res) => {
     const kanbanId = parseInt(id_kanban);
 
     // Get request with user info for notification
-    const request = await RequestKanban.findByIdWithUser(kanbanId);
-    if (!request) {
-        throw new NotFoundError("Kanban request");
-    }
-
-    // Check if request is already rejected
-    if (REJECTED_STATUSES.includes(request.status)) {
-        throw new ConflictError("Request has already been rejected", {
-            current_status: request.status,
-        });
-    }
+    const { request, approval, delegation } =
+        await ApprovalService.prepareDecision(kanbanId, req.user, "reject");
 
     // Handle rejection logic
     const result = await ApprovalService.handleRejection(
         id_users,
-        id_department,
-        kanbanId,
-        role,
+        request,
+        approval,
         alasan.trim()
     );
 
+    if (delegation) {
+        await AuthService.createAuditLog({
+            user_id: id_users,
+            action: "KANBAN_REJECTED_ON_BEHALF",
+            table_name: "persetujuan",
+            record_id: kanbanId,
+            new_values: {
+                id_delegation: delegation.id_delegation,
+                approver_id: approval.id_users,
+                acted_by: id_users,
+                role: approval.role,
+                reason: alasan.trim(),
+            },
+            ip_address: AuthService.getClientIP(req),
+            user_agent: req.get("User-Agent"),
+        });
+    }
+
+    const rejectedBy = delegation
+        ? `${role} (atas nama ${delegation.delegator.name})`
+        : role;
+
     // Send notification to requesting user asynchronously
     if (request.user) {
         const notifications = [
             {
                 user: request.user,
                 request: request,
-                message: `Request Kanban Anda telah ditolak oleh ${role}. Alasan: ${alasan.trim()}`,
+                message: `Request Kanban Anda telah ditolak oleh ${rejectedBy}. Alasan: ${alasan.trim()}`,
             },
         ];
 
@@ -653,6 +1426,14 @@ exports.rejectKanban = asyncHandler(async (req, res) => {
             department_id: id_department,
             rejected_at: new Date(),
         },
+        on_behalf_of: delegation
+            ? {
+                  user_id: approval.id_users,
+                  name: delegation.delegator.name,
+                  role: approval.role,
+                  department_id: approval.id_department,
+              }
+            : null,
         rejection_reason: alasan.trim(),
         new_status: result.status,
     };
@@ -664,6 +1445,154 @@ exports.rejectKanban = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Reject individual lines of a Kanban request. The rest of the request
+ * stays in approval; at least one line must remain.
+ */
+exports.rejectKanbanLines = asyncHandler(async (req, res) => {
+    const { line_ids, reason } = req.validatedBody;
+    const { id_users, role } = req.user;
+
+    const kanbanId = parseInt(req.params.id_kanban);
+
+    // Only an approver who may reject the request may reject its lines
+    const { request, approval, delegation } =
+        await ApprovalService.prepareDecision(kanbanId, req.user, "reject");
+
+    const lineIds = [...new Set(line_ids)];
+    const lines = await KanbanLine.findManyForKanban(kanbanId, lineIds);
+
+    if (lines.length !== lineIds.length) {
+        throw new NotFoundError("Kanban line");
+    }
+
+    const alreadyRejected = lines.filter((line) => line.status !== "ACTIVE");
+    if (alreadyRejected.length > 0) {
+        throw new ConflictError("Some lines have already been rejected", {
+            line_ids: alreadyRejected.map((line) => line.id_line),
+        });
+    }
+
+    const activeCount = await KanbanLine.countActive(kanbanId);
+    if (activeCount - lines.length < 1) {
+        throw new ConflictError(
+            "At least one line must remain. Reject the whole request instead.",
+            { active_lines: activeCount }
+        );
+    }
+
+    const updatedLines = await KanbanLine.rejectMany(
+        kanbanId,
+        lineIds,
+        reason,
+        id_users
+    );
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_LINES_REJECTED",
+        table_name: "kanban_lines",
+        record_id: kanbanId,
+        new_values: {
+            lines: lines.map(({ id_line, line_no, parts_number }) => ({
+                id_line,
+                line_no,
+                parts_number,
+            })),
+            reason,
+            approver_id: approval.id_users,
+            id_delegation: delegation?.id_delegation || null,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    const rejectedBy = delegation
+        ? `${role} (atas nama ${delegation.delegator.name})`
+        : role;
+
+    if (request.user) {
+        const partsNumbers = lines.map((line) => line.parts_number).join(", ");
+
+        sendBatchNotifications([
+            {
+                user: request.user,
+                request,
+                message: `Sebagian item request Kanban Anda (${partsNumbers}) telah ditolak oleh ${rejectedBy}. Alasan: ${reason}`,
+            },
+        ]).catch((err) => {
+            console.error("Failed to send line rejection notifications:", err);
+        });
+    }
+
+    return ResponseUtil.updated(
+        res,
+        {
+            id_kanban: kanbanId,
+            lines: updatedLines,
+            rejected_lines: lines.length,
+        },
+        "Kanban lines rejected successfully"
+    );
+});
+
+/**
+ * Approve several Kanban requests at once
+ */
+exports.bulkApproveKanban = asyncHandler(async (req, res) => {
+    const { kanban_ids, dry_run, transactional } = req.validatedBody;
+
+    const result = await BulkApprovalService.process(
+        "approve",
+        kanban_ids,
+        req.user,
+        {
+            dryRun: dry_run,
+            transactional,
+            ipAddress: AuthService.getClientIP(req),
+            userAgent: req.get("User-Agent"),
+        }
+    );
+
+    return ResponseUtil.success(
+        res,
+        result,
+        dry_run ? "Bulk approval preview completed" : "Bulk approval completed"
+    );
+});
+
+/**
+ * Reject several Kanban requests at once with the same reason
+ */
+exports.bulkRejectKanban = asyncHandler(async (req, res) => {
+    const { kanban_ids, reason, dry_run, transactional } = req.validatedBody;
+
+    if (!reason || reason.trim().length < 10) {
+        throw new ValidationError(
+            "Rejection reason must be at least 10 characters long"
+        );
+    }
+
+    const result = await BulkApprovalService.process(
+        "reject",
+        kanban_ids,
+        req.user,
+        {
+            reason: reason.trim(),
+            dryRun: dry_run,
+            transactional,
+            ipAddress: AuthService.getClientIP(req),
+            userAgent: req.get("User-Agent"),
+        }
+    );
+
+    return ResponseUtil.success(
+        res,
+        result,
+        dry_run ? "Bulk rejection preview completed" : "Bulk rejection completed"
+    );
+});
+
 /**
  * Get dashboard statistics
  */
@@ -701,22 +1630,117 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
     );
 });
 
-// Helper methods
-exports.calculateApprovalDeadline = (createdAt) => {
-    const deadline = new Date(createdAt);
-    deadline.setDate(deadline.getDate() + 3); // 3 days deadline
-    return deadline;
+/**
+ * Requests a user sees on the kanban board. Admins and PC approvers see
+ * every department, as PC handles them all. Department approvers see their
+ * department and the requests they, or users who delegated to them, approve
+ * elsewhere, as on /pending. Requesters see their own requests.
+ */
+const getBoardScope = async (user) => {
+    const { id_users, role, id_department } = user;
+
+    if (
+        role === "ADMIN" ||
+        (id_department === PC_DEPARTMENT_ID && role !== "USER")
+    ) {
+        return {};
+    }
+
+    if (role === "USER") {
+        return { id_users };
+    }
+
+    const delegations = await ApprovalDelegation.findActiveForDelegate(
+        id_users
+    );
+
+    return {
+        OR: [
+            { id_department },
+            { persetujuan: { some: { id_users } } },
+            ...delegations.map((delegation) => ({
+                persetujuan: { some: { id_users: delegation.id_delegator } },
+                ...(delegation.id_departments.length > 0 && {
+                    id_department: { in: delegation.id_departments },
+                }),
+            })),
+        ],
+    };
 };
 
-exports.calculatePriority = (request) => {
-    const daysSinceCreated = Math.floor(
-        (Date.now() - new Date(request.created_at).getTime()) /
-            (1000 * 60 * 60 * 24)
+/**
+ * Get the kanban board: requests grouped into lifecycle columns with their
+ * counts, WIP limits and oldest card age
+ */
+exports.getKanbanBoard = asyncHandler(async (req, res) => {
+    const { departmentId, limit, doneDays } = req.validatedQuery;
+
+    const board = await RequestKanban.getBoard({
+        scope: await getBoardScope(req.user),
+        departmentId: departmentId || null,
+        limit,
+        doneSince: startOfDay(subDays(new Date(), doneDays - 1)),
+    });
+
+    return ResponseUtil.success(
+        res,
+        board,
+        "Kanban board retrieved successfully"
+    );
+});
+
+/**
+ * Set the WIP limits of a department's board columns. Managers may only
+ * set those of their own department.
+ */
+exports.updateWipLimits = asyncHandler(async (req, res) => {
+    const { id_users, role, id_department } = req.user;
+    const departmentId = parseInt(req.params.id_department);
+
+    if (isNaN(departmentId)) {
+        throw new ValidationError("Invalid department ID provided");
+    }
+
+    if (role !== "ADMIN" && departmentId !== id_department) {
+        throw new ForbiddenError(
+            "Managers can only set the WIP limits of their own department"
+        );
+    }
+
+    const currentDepartment = await Department.findById(departmentId);
+    if (!currentDepartment) {
+        throw new NotFoundError("Department");
+    }
+
+    const department = await Department.updateWipLimits(
+        departmentId,
+        req.validatedBody
+    );
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_WIP_LIMITS_UPDATED",
+        table_name: "department",
+        record_id: departmentId,
+        old_values: { wip_limits: currentDepartment.wip_limits },
+        new_values: { wip_limits: req.validatedBody },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        department,
+        "WIP limits updated successfully"
     );
+});
 
-    if (daysSinceCreated >= 3) return "HIGH";
-    if (daysSinceCreated >= 1) return "MEDIUM";
-    return "LOW";
+// Helper methods
+// The classification lead time is the SLA, 3 days for legacy requests
+exports.calculateApprovalDeadline = (createdAt, leadTimeDays = 3) => {
+    const deadline = new Date(createdAt);
+    deadline.setDate(deadline.getDate() + leadTimeDays);
+    return deadline;
 };
 
 exports.calculateDaysPending = (createdAt) => {
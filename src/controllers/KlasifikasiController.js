@@ -0,0 +1,168 @@
+const Klasifikasi = require("../models/Klasifikasi");
+const AuthService = require("../services/authService");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load a classification by the :id route parameter
+ */
+const findKlasifikasiOrFail = async (id) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid classification ID provided");
+    }
+
+    const klasifikasi = await Klasifikasi.findById(id);
+    if (!klasifikasi) {
+        throw new NotFoundError("Classification");
+    }
+
+    return klasifikasi;
+};
+
+/**
+ * Get the classification catalogue, most urgent first
+ */
+exports.getKlasifikasi = asyncHandler(async (req, res) => {
+    const { isActive } = req.query;
+
+    const klasifikasi = await Klasifikasi.findAll(
+        isActive !== undefined ? isActive === "true" : null
+    );
+
+    return ResponseUtil.success(
+        res,
+        klasifikasi,
+        "Classifications retrieved successfully"
+    );
+});
+
+/**
+ * Get classification by ID
+ */
+exports.getKlasifikasiById = asyncHandler(async (req, res) => {
+    const klasifikasi = await findKlasifikasiOrFail(req.params.id);
+
+    return ResponseUtil.success(
+        res,
+        klasifikasi,
+        "Classification retrieved successfully"
+    );
+});
+
+/**
+ * Create a new classification
+ */
+exports.createKlasifikasi = asyncHandler(async (req, res) => {
+    const klasifikasiData = req.validatedBody;
+
+    const existing = await Klasifikasi.findByCode(klasifikasiData.code);
+    if (existing) {
+        throw new ConflictError(
+            `Classification ${klasifikasiData.code} already exists`,
+            { id_klasifikasi: existing.id_klasifikasi }
+        );
+    }
+
+    const klasifikasi = await Klasifikasi.create(klasifikasiData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KLASIFIKASI_CREATED",
+        table_name: "klasifikasi",
+        record_id: klasifikasi.id_klasifikasi,
+        new_values: klasifikasi,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        klasifikasi,
+        "Classification created successfully"
+    );
+});
+
+/**
+ * Update a classification. The code of a classification in use cannot
+ * change, since requests and approval chains refer to it by code.
+ */
+exports.updateKlasifikasi = asyncHandler(async (req, res) => {
+    const klasifikasiData = req.validatedBody;
+    const currentKlasifikasi = await findKlasifikasiOrFail(req.params.id);
+
+    if (klasifikasiData.code !== currentKlasifikasi.code) {
+        const existing = await Klasifikasi.findByCode(klasifikasiData.code);
+        if (existing) {
+            throw new ConflictError(
+                `Classification ${klasifikasiData.code} already exists`,
+                { id_klasifikasi: existing.id_klasifikasi }
+            );
+        }
+
+        const requestCount = await Klasifikasi.countRequests(
+            currentKlasifikasi.code
+        );
+        if (requestCount > 0) {
+            throw new ConflictError(
+                "Classification code cannot be changed because requests use it",
+                { request_count: requestCount }
+            );
+        }
+    }
+
+    const klasifikasi = await Klasifikasi.updateById(
+        currentKlasifikasi.id_klasifikasi,
+        klasifikasiData
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KLASIFIKASI_UPDATED",
+        table_name: "klasifikasi",
+        record_id: klasifikasi.id_klasifikasi,
+        old_values: currentKlasifikasi,
+        new_values: klasifikasi,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        klasifikasi,
+        "Classification updated successfully"
+    );
+});
+
+/**
+ * Delete a classification no request uses
+ */
+exports.deleteKlasifikasi = asyncHandler(async (req, res) => {
+    const klasifikasi = await findKlasifikasiOrFail(req.params.id);
+
+    const requestCount = await Klasifikasi.countRequests(klasifikasi.code);
+    if (requestCount > 0) {
+        throw new ConflictError(
+            "Classification cannot be deleted because requests use it. Deactivate it instead.",
+            { request_count: requestCount }
+        );
+    }
+
+    await Klasifikasi.deleteById(klasifikasi.id_klasifikasi);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KLASIFIKASI_DELETED",
+        table_name: "klasifikasi",
+        record_id: klasifikasi.id_klasifikasi,
+        old_values: klasifikasi,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Classification deleted successfully");
+});
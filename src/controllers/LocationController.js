@@ -0,0 +1,395 @@
+const Location = require("../models/Location");
+const BoxType = require("../models/BoxType");
+const AuthService = require("../services/authService");
+const { LOCATION_LEVEL, LOCATION_PARENT_LEVEL } = require("../utils/constants");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load a location by the :id route parameter
+ */
+const findLocationOrFail = async (id) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid location ID provided");
+    }
+
+    const location = await Location.findById(id);
+    if (!location) {
+        throw new NotFoundError("Location");
+    }
+
+    return location;
+};
+
+/**
+ * Load a box type by the :id route parameter
+ */
+const findBoxTypeOrFail = async (id) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid box type ID provided");
+    }
+
+    const boxType = await BoxType.findById(id);
+    if (!boxType) {
+        throw new NotFoundError("Box type");
+    }
+
+    return boxType;
+};
+
+/**
+ * Check that the parent of a location sits one level up the hierarchy
+ */
+const validateParent = async (locationData) => {
+    const parentLevel = LOCATION_PARENT_LEVEL[locationData.level];
+
+    if (!parentLevel) {
+        return;
+    }
+
+    const parent = await Location.findById(locationData.id_parent);
+
+    if (!parent || parent.level !== parentLevel) {
+        throw new ValidationError("Invalid location hierarchy", [
+            {
+                field: "id_parent",
+                message: `A ${locationData.level.toLowerCase()} must belong to a ${parentLevel.toLowerCase()}`,
+            },
+        ]);
+    }
+};
+
+/**
+ * Get locations with optional level, parent and active filters
+ */
+exports.getLocations = asyncHandler(async (req, res) => {
+    const { level, parentId, isActive, search = "" } = req.query;
+
+    if (level && !LOCATION_LEVEL[level]) {
+        throw new ValidationError("Level must be PLANT, AREA or LINE");
+    }
+
+    const locations = await Location.findAll({
+        level: level || null,
+        parentId: parentId ? parseInt(parentId) : null,
+        isActive: isActive !== undefined ? isActive === "true" : null,
+        search: search.trim(),
+    });
+
+    return ResponseUtil.success(
+        res,
+        locations,
+        "Locations retrieved successfully"
+    );
+});
+
+/**
+ * Get locations nested as plant -> area -> line
+ */
+exports.getLocationTree = asyncHandler(async (req, res) => {
+    const { isActive } = req.query;
+
+    const tree = await Location.findTree(
+        isActive !== undefined ? isActive === "true" : null
+    );
+
+    return ResponseUtil.success(
+        res,
+        tree,
+        "Location tree retrieved successfully"
+    );
+});
+
+/**
+ * Get location by ID
+ */
+exports.getLocationById = asyncHandler(async (req, res) => {
+    const location = await findLocationOrFail(req.params.id);
+
+    return ResponseUtil.success(
+        res,
+        location,
+        "Location retrieved successfully"
+    );
+});
+
+/**
+ * Create a new location
+ */
+exports.createLocation = asyncHandler(async (req, res) => {
+    const locationData = req.validatedBody;
+
+    const existing = await Location.findByCode(locationData.code);
+    if (existing) {
+        throw new ConflictError(
+            `Location ${locationData.code} already exists`,
+            { id_location: existing.id_location }
+        );
+    }
+
+    await validateParent(locationData);
+
+    const location = await Location.create(locationData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "LOCATION_CREATED",
+        table_name: "locations",
+        record_id: location.id_location,
+        new_values: location,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        location,
+        "Location created successfully"
+    );
+});
+
+/**
+ * Update a location. Codes and levels in use stay fixed, since requests
+ * store the line code and children depend on the level.
+ */
+exports.updateLocation = asyncHandler(async (req, res) => {
+    const locationData = req.validatedBody;
+    const currentLocation = await findLocationOrFail(req.params.id);
+
+    if (locationData.code !== currentLocation.code) {
+        const existing = await Location.findByCode(locationData.code);
+        if (existing) {
+            throw new ConflictError(
+                `Location ${locationData.code} already exists`,
+                { id_location: existing.id_location }
+            );
+        }
+
+        const requestCount = await Location.countRequests(
+            currentLocation.id_location
+        );
+        if (requestCount > 0) {
+            throw new ConflictError(
+                "Location code cannot be changed because requests refer to it",
+                { request_count: requestCount }
+            );
+        }
+    }
+
+    if (
+        locationData.level !== currentLocation.level &&
+        currentLocation._count.children > 0
+    ) {
+        throw new ConflictError(
+            "Location level cannot be changed while it has child locations",
+            { children: currentLocation._count.children }
+        );
+    }
+
+    await validateParent(locationData);
+
+    const location = await Location.updateById(
+        currentLocation.id_location,
+        locationData
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "LOCATION_UPDATED",
+        table_name: "locations",
+        record_id: location.id_location,
+        old_values: currentLocation,
+        new_values: location,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        location,
+        "Location updated successfully"
+    );
+});
+
+/**
+ * Delete a location without children that no request refers to
+ */
+exports.deleteLocation = asyncHandler(async (req, res) => {
+    const location = await findLocationOrFail(req.params.id);
+
+    if (location._count.children > 0) {
+        throw new ConflictError(
+            "Location cannot be deleted while it has child locations",
+            { children: location._count.children }
+        );
+    }
+
+    const requestCount = await Location.countRequests(location.id_location);
+    if (requestCount > 0) {
+        throw new ConflictError(
+            "Location cannot be deleted because requests refer to it. Deactivate it instead.",
+            { request_count: requestCount }
+        );
+    }
+
+    await Location.deleteById(location.id_location);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "LOCATION_DELETED",
+        table_name: "locations",
+        record_id: location.id_location,
+        old_values: location,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Location deleted successfully");
+});
+
+/**
+ * Get box types
+ */
+exports.getBoxTypes = asyncHandler(async (req, res) => {
+    const { isActive } = req.query;
+
+    const boxTypes = await BoxType.findAll(
+        isActive !== undefined ? isActive === "true" : null
+    );
+
+    return ResponseUtil.success(
+        res,
+        boxTypes,
+        "Box types retrieved successfully"
+    );
+});
+
+/**
+ * Get box type by ID
+ */
+exports.getBoxTypeById = asyncHandler(async (req, res) => {
+    const boxType = await findBoxTypeOrFail(req.params.id);
+
+    return ResponseUtil.success(
+        res,
+        boxType,
+        "Box type retrieved successfully"
+    );
+});
+
+/**
+ * Create a new box type
+ */
+exports.createBoxType = asyncHandler(async (req, res) => {
+    const boxTypeData = req.validatedBody;
+
+    const existing = await BoxType.findByCode(boxTypeData.code);
+    if (existing) {
+        throw new ConflictError(
+            `Box type ${boxTypeData.code} already exists`,
+            { id_box_type: existing.id_box_type }
+        );
+    }
+
+    const boxType = await BoxType.create(boxTypeData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "BOX_TYPE_CREATED",
+        table_name: "box_types",
+        record_id: boxType.id_box_type,
+        new_values: boxType,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        boxType,
+        "Box type created successfully"
+    );
+});
+
+/**
+ * Update a box type. The code of a box type in use cannot change.
+ */
+exports.updateBoxType = asyncHandler(async (req, res) => {
+    const boxTypeData = req.validatedBody;
+    const currentBoxType = await findBoxTypeOrFail(req.params.id);
+
+    if (boxTypeData.code !== currentBoxType.code) {
+        const existing = await BoxType.findByCode(boxTypeData.code);
+        if (existing) {
+            throw new ConflictError(
+                `Box type ${boxTypeData.code} already exists`,
+                { id_box_type: existing.id_box_type }
+            );
+        }
+
+        const requestCount = await BoxType.countRequests(
+            currentBoxType.id_box_type
+        );
+        if (requestCount > 0) {
+            throw new ConflictError(
+                "Box type code cannot be changed because requests refer to it",
+                { request_count: requestCount }
+            );
+        }
+    }
+
+    const boxType = await BoxType.updateById(
+        currentBoxType.id_box_type,
+        boxTypeData
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "BOX_TYPE_UPDATED",
+        table_name: "box_types",
+        record_id: boxType.id_box_type,
+        old_values: currentBoxType,
+        new_values: boxType,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        boxType,
+        "Box type updated successfully"
+    );
+});
+
+/**
+ * Delete a box type that no request refers to
+ */
+exports.deleteBoxType = asyncHandler(async (req, res) => {
+    const boxType = await findBoxTypeOrFail(req.params.id);
+
+    const requestCount = await BoxType.countRequests(boxType.id_box_type);
+    if (requestCount > 0) {
+        throw new ConflictError(
+            "Box type cannot be deleted because requests refer to it. Deactivate it instead.",
+            { request_count: requestCount }
+        );
+    }
+
+    await BoxType.deleteById(boxType.id_box_type);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "BOX_TYPE_DELETED",
+        table_name: "box_types",
+        record_id: boxType.id_box_type,
+        old_values: boxType,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Box type deleted successfully");
+});
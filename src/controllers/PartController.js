@@ -0,0 +1,181 @@
+const Part = require("../models/Part");
+const AuthService = require("../services/authService");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load a part by the :id route parameter
+ */
+const findPartOrFail = async (id) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid part ID provided");
+    }
+
+    const part = await Part.findById(id);
+    if (!part) {
+        throw new NotFoundError("Part");
+    }
+
+    return part;
+};
+
+/**
+ * Get parts with search, active filter and pagination
+ */
+exports.getParts = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search = "", isActive } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const result = await Part.findAll({
+        search: search.trim(),
+        isActive: isActive !== undefined ? isActive === "true" : null,
+        page: pageNum,
+        limit: limitNum,
+    });
+
+    return ResponseUtil.successWithPagination(
+        res,
+        result.data,
+        result.pagination,
+        "Parts retrieved successfully"
+    );
+});
+
+/**
+ * Autocomplete active parts by number or description
+ */
+exports.searchParts = asyncHandler(async (req, res) => {
+    const { q = "", limit = 10 } = req.query;
+    const query = q.trim();
+
+    if (query.length < 2) {
+        throw new ValidationError(
+            "Search query must be at least 2 characters"
+        );
+    }
+
+    const parts = await Part.search(
+        query,
+        Math.min(50, Math.max(1, parseInt(limit) || 10))
+    );
+
+    return ResponseUtil.success(res, parts, "Parts retrieved successfully");
+});
+
+/**
+ * Get part by ID
+ */
+exports.getPartById = asyncHandler(async (req, res) => {
+    const part = await findPartOrFail(req.params.id);
+
+    return ResponseUtil.success(res, part, "Part retrieved successfully");
+});
+
+/**
+ * Create a new part
+ */
+exports.createPart = asyncHandler(async (req, res) => {
+    const partData = req.validatedBody;
+
+    const existing = await Part.findByNumber(partData.parts_number);
+    if (existing) {
+        throw new ConflictError(
+            `Part ${partData.parts_number} already exists`,
+            { id_part: existing.id_part }
+        );
+    }
+
+    const part = await Part.create(partData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "PART_CREATED",
+        table_name: "parts",
+        record_id: part.id_part,
+        new_values: part,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(res, part, "Part created successfully");
+});
+
+/**
+ * Update a part. The number of a part used by requests cannot change,
+ * deactivate it and create a new part instead.
+ */
+exports.updatePart = asyncHandler(async (req, res) => {
+    const partData = req.validatedBody;
+    const currentPart = await findPartOrFail(req.params.id);
+
+    if (partData.parts_number !== currentPart.parts_number) {
+        const existing = await Part.findByNumber(partData.parts_number);
+        if (existing) {
+            throw new ConflictError(
+                `Part ${partData.parts_number} already exists`,
+                { id_part: existing.id_part }
+            );
+        }
+
+        const requestCount = await Part.countRequests(
+            currentPart.parts_number
+        );
+        if (requestCount > 0) {
+            throw new ConflictError(
+                "Parts number cannot be changed because requests refer to it",
+                { request_count: requestCount }
+            );
+        }
+    }
+
+    const part = await Part.updateById(currentPart.id_part, partData);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "PART_UPDATED",
+        table_name: "parts",
+        record_id: part.id_part,
+        old_values: currentPart,
+        new_values: part,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(res, part, "Part updated successfully");
+});
+
+/**
+ * Delete a part that no request refers to
+ */
+exports.deletePart = asyncHandler(async (req, res) => {
+    const part = await findPartOrFail(req.params.id);
+
+    const requestCount = await Part.countRequests(part.parts_number);
+    if (requestCount > 0) {
+        throw new ConflictError(
+            "Part cannot be deleted because requests refer to it. Deactivate it instead.",
+            { request_count: requestCount }
+        );
+    }
+
+    await Part.deleteById(part.id_part);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "PART_DELETED",
+        table_name: "parts",
+        record_id: part.id_part,
+        old_values: part,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Part deleted successfully");
+});
@@ -5,10 +5,14 @@ const {
     getCustomRangeReport,
     getApprovalReport,
     getRequesterReport,
+    getLocationReport,
+    getDuplicateReport,
+    toLineRows,
 } = require("../utils/reportHelper");
 const { createPdfReport } = require("../utils/pdfGenerator");
 const { createExcelReport } = require("../utils/excelGenerator");
 const { ResponseUtil, asyncHandler } = require("../middlewares/ErrorHandler");
+const { LOCATION_LEVEL } = require("../utils/constants");
 const AuthService = require("../services/authService");
 const {
     format,
@@ -628,6 +632,184 @@ exports.getRequesterReport = asyncHandler(async (req, res) => {
     );
 });
 
+/**
+ * Get request counts grouped by location level
+ */
+exports.getLocationReport = asyncHandler(async (req, res) => {
+    const {
+        period = "month",
+        startDate,
+        endDate,
+        month,
+        year,
+        departmentId,
+        level = LOCATION_LEVEL.LINE,
+    } = req.query;
+
+    if (!LOCATION_LEVEL[level]) {
+        return ResponseUtil.validationError(res, [
+            { field: "level", message: "Level must be PLANT, AREA or LINE" },
+        ]);
+    }
+
+    let start, end;
+
+    switch (period) {
+        case "week":
+            const now = new Date();
+            start = startOfWeek(now, { weekStartsOn: 1 });
+            end = endOfWeek(now, { weekStartsOn: 1 });
+            break;
+        case "month":
+            if (month && year) {
+                const targetDate = new Date(
+                    parseInt(year),
+                    parseInt(month) - 1,
+                    1
+                );
+                start = startOfMonth(targetDate);
+                end = endOfMonth(targetDate);
+            } else {
+                const currentDate = new Date();
+                start = startOfMonth(currentDate);
+                end = endOfMonth(currentDate);
+            }
+            break;
+        case "custom":
+            if (!startDate || !endDate) {
+                return ResponseUtil.validationError(res, [
+                    {
+                        field: "dates",
+                        message:
+                            "Start date and end date are required for custom period",
+                    },
+                ]);
+            }
+            start = parseISO(startDate);
+            end = parseISO(endDate);
+            break;
+        default:
+            const currentDate = new Date();
+            start = startOfMonth(currentDate);
+            end = endOfMonth(currentDate);
+    }
+
+    const locationData = await getLocationReport(
+        start,
+        end,
+        level,
+        departmentId ? parseInt(departmentId) : null
+    );
+
+    // Log location report generation
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "LOCATION_REPORT_GENERATED",
+        table_name: "request_kanban",
+        new_values: {
+            period: period,
+            level: level,
+            departmentId: departmentId || null,
+            startDate: format(start, "yyyy-MM-dd"),
+            endDate: format(end, "yyyy-MM-dd"),
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.success(
+        res,
+        locationData,
+        "Location report generated successfully"
+    );
+});
+
+/**
+ * Get suspected duplicate requests (admin only)
+ */
+exports.getDuplicateReport = asyncHandler(async (req, res) => {
+    const {
+        period = "month",
+        startDate,
+        endDate,
+        month,
+        year,
+        departmentId,
+        includeCancelled,
+    } = req.query;
+
+    let start, end;
+
+    switch (period) {
+        case "week":
+            const now = new Date();
+            start = startOfWeek(now, { weekStartsOn: 1 });
+            end = endOfWeek(now, { weekStartsOn: 1 });
+            break;
+        case "month":
+            if (month && year) {
+                const targetDate = new Date(
+                    parseInt(year),
+                    parseInt(month) - 1,
+                    1
+                );
+                start = startOfMonth(targetDate);
+                end = endOfMonth(targetDate);
+            } else {
+                const currentDate = new Date();
+                start = startOfMonth(currentDate);
+                end = endOfMonth(currentDate);
+            }
+            break;
+        case "custom":
+            if (!startDate || !endDate) {
+                return ResponseUtil.validationError(res, [
+                    {
+                        field: "dates",
+                        message:
+                            "Start date and end date are required for custom period",
+                    },
+                ]);
+            }
+            start = parseISO(startDate);
+            end = parseISO(endDate);
+            break;
+        default:
+            const currentDate = new Date();
+            start = startOfMonth(currentDate);
+            end = endOfMonth(currentDate);
+    }
+
+    const duplicateData = await getDuplicateReport(
+        start,
+        end,
+        departmentId ? parseInt(departmentId) : null,
+        includeCancelled === "true"
+    );
+
+    // Log duplicate report generation
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "DUPLICATE_REPORT_GENERATED",
+        table_name: "request_kanban",
+        new_values: {
+            period: period,
+            departmentId: departmentId || null,
+            includeCancelled: includeCancelled === "true",
+            startDate: format(start, "yyyy-MM-dd"),
+            endDate: format(end, "yyyy-MM-dd"),
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.success(
+        res,
+        duplicateData,
+        "Duplicate report generated successfully"
+    );
+});
+
 /**
  * Get report summary/dashboard
  */
@@ -901,26 +1083,41 @@ exports.exportCustomReport = asyncHandler(async (req, res) => {
                 "Requester",
                 "Department",
                 "Production Date",
+                "Line",
                 "Parts Number",
+                "Part Description",
+                "Quantity",
+                "Unit",
+                "Line Remark",
+                "Line Status",
                 "Location",
                 "Box",
                 "Classification",
                 "Description",
                 "Status",
+                "Attachments",
                 "Created At",
             ];
 
-            const csvData = reportData.map((item) => [
+            // One CSV row per line item
+            const csvData = toLineRows(reportData).map((item) => [
                 item.id_kanban,
                 item.nama_requester,
                 item.department,
                 item.tgl_produksi,
+                item.line_no,
                 item.parts_number,
+                item.part_description || "",
+                item.quantity ?? "",
+                item.unit || "",
+                item.remark || "",
+                item.line_status,
                 item.lokasi,
                 item.box,
                 item.klasifikasi,
                 item.keterangan,
                 item.status,
+                item.attachment_count || 0,
                 format(
                     new Date(item.created_at || item.tgl_produksi),
                     "dd/MM/yyyy HH:mm"
@@ -0,0 +1,309 @@
+const KanbanSchedule = require("../models/KanbanSchedule");
+const KanbanRequestService = require("../services/KanbanRequestService");
+const ScheduleService = require("../services/ScheduleService");
+const AuthService = require("../services/authService");
+const { getUpcomingOccurrences, getRunDate } = require("../utils/recurrence");
+const { startOfDay } = require("date-fns");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ForbiddenError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load a schedule the current user is allowed to manage
+ */
+const findManageableSchedule = async (id, user) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid schedule ID provided");
+    }
+
+    const schedule = await KanbanSchedule.findById(id);
+    if (!schedule) {
+        throw new NotFoundError("Schedule");
+    }
+
+    if (user.role !== "ADMIN" && schedule.id_users !== user.id_users) {
+        throw new ForbiddenError(
+            "Only the owner or an admin can manage this schedule"
+        );
+    }
+
+    return schedule;
+};
+
+/**
+ * Build the stored schedule from a validated body. The saved request is
+ * checked against the masters for its first occurrence, the same way the
+ * request form checks it.
+ */
+const prepareSchedule = async (body, userId) => {
+    const scheduleData = {
+        name: body.name,
+        frequency: body.frequency,
+        weekdays: [...new Set(body.weekdays)].sort((a, b) => a - b),
+        day_of_month: body.day_of_month,
+        lead_days: body.lead_days,
+        start_date: startOfDay(body.start_date),
+        end_date: body.end_date,
+        payload: body.request,
+    };
+
+    const next = ScheduleService.planNext(
+        scheduleData,
+        startOfDay(new Date())
+    );
+    if (!next.next_occurrence) {
+        throw new ValidationError("Schedule has no upcoming occurrence", [
+            { field: "end_date", message: "End date has already passed" },
+        ]);
+    }
+
+    await KanbanRequestService.prepareRequest(userId, {
+        ...body.request,
+        tgl_produksi: next.next_occurrence,
+    });
+
+    return { ...scheduleData, ...next };
+};
+
+/**
+ * Get the recurring schedules of the current user (all for admin)
+ */
+exports.getSchedules = asyncHandler(async (req, res) => {
+    const { id_users, role } = req.user;
+    const { isActive, userId } = req.query;
+
+    const schedules = await KanbanSchedule.findAll({
+        userId: role === "ADMIN" ? userId || null : id_users,
+        isActive: isActive !== undefined ? isActive === "true" : null,
+    });
+
+    return ResponseUtil.success(
+        res,
+        schedules,
+        "Schedules retrieved successfully"
+    );
+});
+
+/**
+ * Get schedule by ID
+ */
+exports.getScheduleById = asyncHandler(async (req, res) => {
+    const schedule = await findManageableSchedule(req.params.id, req.user);
+
+    return ResponseUtil.success(
+        res,
+        schedule,
+        "Schedule retrieved successfully"
+    );
+});
+
+/**
+ * Get the next occurrences of a schedule and when their requests are created
+ */
+exports.getUpcomingOccurrences = asyncHandler(async (req, res) => {
+    const schedule = await findManageableSchedule(req.params.id, req.user);
+    const { count } = req.validatedQuery;
+
+    const occurrences = getUpcomingOccurrences(
+        schedule,
+        count,
+        startOfDay(new Date())
+    ).map((occurrence) => ({
+        tgl_produksi: occurrence,
+        created_at: getRunDate(schedule, occurrence),
+    }));
+
+    return ResponseUtil.success(
+        res,
+        {
+            id_schedule: schedule.id_schedule,
+            is_active: schedule.is_active,
+            occurrences,
+        },
+        "Upcoming occurrences retrieved successfully"
+    );
+});
+
+/**
+ * Create a recurring schedule for the current user
+ */
+exports.createSchedule = asyncHandler(async (req, res) => {
+    const { id_users } = req.user;
+
+    const scheduleData = await prepareSchedule(req.validatedBody, id_users);
+    const schedule = await KanbanSchedule.create({
+        ...scheduleData,
+        id_users,
+    });
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_SCHEDULE_CREATED",
+        table_name: "kanban_schedules",
+        record_id: schedule.id_schedule,
+        new_values: scheduleData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        schedule,
+        "Schedule created successfully"
+    );
+});
+
+/**
+ * Update the rule or the saved request of a schedule
+ */
+exports.updateSchedule = asyncHandler(async (req, res) => {
+    const currentSchedule = await findManageableSchedule(
+        req.params.id,
+        req.user
+    );
+
+    const scheduleData = await prepareSchedule(
+        req.validatedBody,
+        currentSchedule.id_users
+    );
+    const schedule = await KanbanSchedule.updateById(
+        currentSchedule.id_schedule,
+        scheduleData
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_SCHEDULE_UPDATED",
+        table_name: "kanban_schedules",
+        record_id: schedule.id_schedule,
+        old_values: {
+            name: currentSchedule.name,
+            frequency: currentSchedule.frequency,
+            weekdays: currentSchedule.weekdays,
+            day_of_month: currentSchedule.day_of_month,
+            lead_days: currentSchedule.lead_days,
+            start_date: currentSchedule.start_date,
+            end_date: currentSchedule.end_date,
+            payload: currentSchedule.payload,
+        },
+        new_values: scheduleData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        schedule,
+        "Schedule updated successfully"
+    );
+});
+
+/**
+ * Pause a schedule, no requests are created until it is resumed
+ */
+exports.pauseSchedule = asyncHandler(async (req, res) => {
+    const currentSchedule = await findManageableSchedule(
+        req.params.id,
+        req.user
+    );
+
+    if (!currentSchedule.is_active) {
+        throw new ConflictError("Schedule is already paused");
+    }
+
+    const schedule = await KanbanSchedule.updateById(
+        currentSchedule.id_schedule,
+        { is_active: false }
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_SCHEDULE_PAUSED",
+        table_name: "kanban_schedules",
+        record_id: schedule.id_schedule,
+        old_values: { is_active: true },
+        new_values: { is_active: false },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(res, schedule, "Schedule paused successfully");
+});
+
+/**
+ * Resume a paused schedule from today on. Occurrences that passed while
+ * it was paused are not created afterwards.
+ */
+exports.resumeSchedule = asyncHandler(async (req, res) => {
+    const currentSchedule = await findManageableSchedule(
+        req.params.id,
+        req.user
+    );
+
+    if (currentSchedule.is_active) {
+        throw new ConflictError("Schedule is not paused");
+    }
+
+    const next = ScheduleService.planNext(
+        currentSchedule,
+        startOfDay(new Date())
+    );
+    if (!next.next_occurrence) {
+        throw new ConflictError("Schedule has already ended", {
+            end_date: currentSchedule.end_date,
+        });
+    }
+
+    const schedule = await KanbanSchedule.updateById(
+        currentSchedule.id_schedule,
+        { is_active: true, ...next }
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_SCHEDULE_RESUMED",
+        table_name: "kanban_schedules",
+        record_id: schedule.id_schedule,
+        old_values: { is_active: false },
+        new_values: { is_active: true, ...next },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        schedule,
+        "Schedule resumed successfully"
+    );
+});
+
+/**
+ * Delete a schedule. Requests it already created are kept.
+ */
+exports.deleteSchedule = asyncHandler(async (req, res) => {
+    const schedule = await findManageableSchedule(req.params.id, req.user);
+
+    await KanbanSchedule.deleteById(schedule.id_schedule);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_SCHEDULE_DELETED",
+        table_name: "kanban_schedules",
+        record_id: schedule.id_schedule,
+        old_values: {
+            id_users: schedule.id_users,
+            name: schedule.name,
+            frequency: schedule.frequency,
+            payload: schedule.payload,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Schedule deleted successfully");
+});
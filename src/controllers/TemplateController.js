@@ -0,0 +1,290 @@
+const KanbanTemplate = require("../models/KanbanTemplate");
+const KanbanRequestService = require("../services/KanbanRequestService");
+const AuthService = require("../services/authService");
+const { createKanbanSchema } = require("../validators/kanbanValidator");
+const {
+    asyncHandler,
+    ResponseUtil,
+    NotFoundError,
+    ValidationError,
+    ForbiddenError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+/**
+ * Load a template the current user may use: their own, or one shared in
+ * their department. Only the owner or an admin may manage it.
+ */
+const findTemplate = async (id, user, manage = false) => {
+    if (!id || isNaN(parseInt(id))) {
+        throw new ValidationError("Invalid template ID provided");
+    }
+
+    const template = await KanbanTemplate.findById(id);
+    if (!template) {
+        throw new NotFoundError("Template");
+    }
+
+    const isOwner =
+        user.role === "ADMIN" || template.id_users === user.id_users;
+    const isShared =
+        template.is_shared && template.id_department === user.id_department;
+
+    if (!isOwner && (manage || !isShared)) {
+        throw new ForbiddenError(
+            manage
+                ? "Only the owner or an admin can manage this template"
+                : "You do not have access to this template"
+        );
+    }
+
+    return template;
+};
+
+/**
+ * Template names are unique per owner
+ */
+const assertUniqueName = async (userId, name, excludeId = null) => {
+    const existing = await KanbanTemplate.findByName(userId, name);
+
+    if (existing && existing.id_template !== excludeId) {
+        throw new ConflictError("A template with this name already exists", {
+            id_template: existing.id_template,
+        });
+    }
+};
+
+/**
+ * Get the own templates of the current user and those shared in their
+ * department
+ */
+exports.getTemplates = asyncHandler(async (req, res) => {
+    const { id_users, id_department } = req.user;
+    const { scope } = req.query;
+
+    const templates = await KanbanTemplate.findAvailable(
+        id_users,
+        id_department,
+        scope === "mine"
+    );
+
+    return ResponseUtil.success(
+        res,
+        templates.map((template) => ({
+            ...template,
+            is_own: template.id_users === id_users,
+        })),
+        "Templates retrieved successfully"
+    );
+});
+
+/**
+ * Get template by ID
+ */
+exports.getTemplateById = asyncHandler(async (req, res) => {
+    const template = await findTemplate(req.params.id, req.user);
+
+    return ResponseUtil.success(
+        res,
+        template,
+        "Template retrieved successfully"
+    );
+});
+
+/**
+ * Create a template for the current user
+ */
+exports.createTemplate = asyncHandler(async (req, res) => {
+    const { id_users, id_department } = req.user;
+    const body = req.validatedBody;
+
+    await assertUniqueName(id_users, body.name);
+
+    const templateData = {
+        name: body.name,
+        is_shared: body.is_shared,
+        is_favourite: body.is_favourite,
+        payload: body.request,
+    };
+
+    const template = await KanbanTemplate.create({
+        ...templateData,
+        id_users,
+        id_department,
+    });
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_TEMPLATE_CREATED",
+        table_name: "kanban_templates",
+        record_id: template.id_template,
+        new_values: templateData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        template,
+        "Template created successfully"
+    );
+});
+
+/**
+ * Update a template
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+    const body = req.validatedBody;
+    const currentTemplate = await findTemplate(req.params.id, req.user, true);
+
+    await assertUniqueName(
+        currentTemplate.id_users,
+        body.name,
+        currentTemplate.id_template
+    );
+
+    const templateData = {
+        name: body.name,
+        is_shared: body.is_shared,
+        is_favourite: body.is_favourite,
+        payload: body.request,
+    };
+
+    const template = await KanbanTemplate.updateById(
+        currentTemplate.id_template,
+        templateData
+    );
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_TEMPLATE_UPDATED",
+        table_name: "kanban_templates",
+        record_id: template.id_template,
+        old_values: {
+            name: currentTemplate.name,
+            is_shared: currentTemplate.is_shared,
+            is_favourite: currentTemplate.is_favourite,
+            payload: currentTemplate.payload,
+        },
+        new_values: templateData,
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.updated(
+        res,
+        template,
+        "Template updated successfully"
+    );
+});
+
+/**
+ * Mark a template as favourite, or unmark it
+ */
+exports.toggleFavourite = asyncHandler(async (req, res) => {
+    const currentTemplate = await findTemplate(req.params.id, req.user, true);
+
+    const template = await KanbanTemplate.updateById(
+        currentTemplate.id_template,
+        { is_favourite: !currentTemplate.is_favourite }
+    );
+
+    return ResponseUtil.updated(
+        res,
+        template,
+        template.is_favourite
+            ? "Template added to favourites"
+            : "Template removed from favourites"
+    );
+});
+
+/**
+ * Delete a template
+ */
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+    const template = await findTemplate(req.params.id, req.user, true);
+
+    await KanbanTemplate.deleteById(template.id_template);
+
+    await AuthService.createAuditLog({
+        user_id: req.user.id_users,
+        action: "KANBAN_TEMPLATE_DELETED",
+        table_name: "kanban_templates",
+        record_id: template.id_template,
+        old_values: {
+            id_users: template.id_users,
+            name: template.name,
+            is_shared: template.is_shared,
+            payload: template.payload,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.deleted(res, "Template deleted successfully");
+});
+
+/**
+ * Create a Kanban request from a template with the production date of the
+ * body. The requester name may be given when the template has none. The
+ * resulting request is validated like a request from the form.
+ */
+exports.createRequestFromTemplate = asyncHandler(async (req, res) => {
+    const { id_users } = req.user;
+    const { tgl_produksi, nama_requester, force } = req.body;
+    const template = await findTemplate(req.params.id, req.user);
+
+    let requestBody;
+    try {
+        requestBody = await createKanbanSchema.validate(
+            {
+                ...template.payload,
+                nama_requester:
+                    nama_requester || template.payload.nama_requester,
+                tgl_produksi,
+                force,
+            },
+            { abortEarly: false, stripUnknown: true }
+        );
+    } catch (error) {
+        throw new ValidationError(
+            "Validation failed",
+            error.inner?.map((err) => ({
+                field: err.path,
+                message: err.message,
+            })) || [{ message: error.message }]
+        );
+    }
+
+    const { request, duplicateIds, approversNotified } =
+        await KanbanRequestService.submit(id_users, requestBody, {
+            force: requestBody.force,
+        });
+
+    await KanbanTemplate.markUsed(template.id_template);
+
+    await AuthService.createAuditLog({
+        user_id: id_users,
+        action: "KANBAN_CREATED_FROM_TEMPLATE",
+        table_name: "request_kanban",
+        record_id: request.id_kanban,
+        new_values: {
+            id_template: template.id_template,
+            tgl_produksi: requestBody.tgl_produksi,
+            duplicate_ids: duplicateIds,
+        },
+        ip_address: AuthService.getClientIP(req),
+        user_agent: req.get("User-Agent"),
+    });
+
+    return ResponseUtil.created(
+        res,
+        {
+            ...request,
+            id_template: template.id_template,
+            duplicate_of: duplicateIds,
+            approvers_notified: approversNotified,
+        },
+        "Kanban request created successfully"
+    );
+});
@@ -95,9 +95,26 @@ app.use(globalRateLimit);
 /**
  * BODY PARSING & SANITIZATION
  */
+// Attachments arrive base64 encoded in the JSON body, 4/3 of their size, so
+// the body must fit the most attachments a request or comment takes at the
+// upload size limit, plus 1MB for the other fields
+const MB = 1024 * 1024;
+const jsonBodyLimit = Math.max(
+    10 * MB,
+    Math.ceil(
+        (config.upload.maxSize *
+            Math.max(
+                config.business.kanban.maxAttachments,
+                config.business.comment.maxAttachments
+            ) *
+            4) /
+            3
+    ) + MB
+);
+
 app.use(
     express.json({
-        limit: "10mb",
+        limit: jsonBodyLimit,
         verify: (req, res, buf) => {
             try {
                 JSON.parse(buf);
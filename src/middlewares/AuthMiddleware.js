@@ -1,5 +1,8 @@
 // middleware/AuthMiddleware.js - Enhanced version with database token verification
 const User = require("../models/User");
+const RequestKanban = require("../models/RequestKanban");
+const Persetujuan = require("../models/Persetujuan");
+const ApprovalDelegation = require("../models/ApprovalDelegation");
 const AuthService = require("../services/authService");
 
 // JWT authentication middleware with database verification
@@ -198,7 +201,37 @@ const authorizeRoles = (...allowedRoles) => {
     };
 };
 
-// Middleware to check if user belongs to Department ID 1 (PC)
+// Whether the user holds an approval on the kanban in the route, either
+// their own or one delegated to them. Approvers of cross-department stages
+// do not belong to the requester's department or to PC.
+const isKanbanApprover = async (user, kanban) => {
+    const delegations = (
+        await ApprovalDelegation.findActiveForDelegate(user.id_users)
+    ).filter((delegation) =>
+        ApprovalDelegation.coversDepartment(delegation, kanban.id_department)
+    );
+
+    return await Persetujuan.hasApprovalOnKanban(kanban.id_kanban, [
+        user.id_users,
+        ...delegations.map((delegation) => delegation.id_delegator),
+    ]);
+};
+
+// Outside the allowed departments a kanban is visible to admins, its
+// requester, the requester's department and its approvers
+const canAccessKanban = async (user, kanban) =>
+    user.role === "ADMIN" ||
+    kanban.id_users === user.id_users ||
+    kanban.id_department === user.id_department ||
+    (await isKanbanApprover(user, kanban));
+
+// Load the kanban a route refers to through :id_kanban, if any
+const findRouteKanban = async (req) => {
+    const kanbanId = parseInt(req.params?.id_kanban);
+
+    return isNaN(kanbanId) ? null : await RequestKanban.findById(kanbanId);
+};
+
 const checkDepartmentAccess = async (req, res, next) => {
     try {
         const userId = req.user?.id_users;
@@ -214,7 +247,14 @@ const checkDepartmentAccess = async (req, res, next) => {
         // Use User model to get user data with fresh department info
         const user = await User.findById(userId);
 
-        if (!user || user.id_department !== 1) {
+        // Approvers of a kanban may view it from outside PC
+        const isPCMember = user?.id_department === 1;
+        const kanban = user && !isPCMember ? await findRouteKanban(req) : null;
+
+        if (
+            !user ||
+            (!isPCMember && !(kanban && (await isKanbanApprover(user, kanban))))
+        ) {
             return res.status(403).json({
                 success: false,
                 message: "Only PC Department can perform this action",
@@ -236,7 +276,10 @@ const checkDepartmentAccess = async (req, res, next) => {
     }
 };
 
-// Middleware to check if user belongs to specific department(s)
+// Middleware to check if user belongs to specific department(s). On routes
+// of a single kanban (:id_kanban) users outside those departments pass as
+// well when they may see the kanban: admins, its requester, the requester's
+// department and its approvers.
 const checkDepartmentMembership = (...allowedDepartmentIds) => {
     return async (req, res, next) => {
         try {
@@ -255,7 +298,16 @@ const checkDepartmentMembership = (...allowedDepartmentIds) => {
             // Convert to numbers for comparison
             const allowedIds = allowedDepartmentIds.map((id) => parseInt(id));
 
-            if (!allowedIds.includes(userDepartmentId)) {
+            // Routes on a single kanban also admit the requester's
+            // department and the kanban's approvers from other departments
+            const kanban = !allowedIds.includes(userDepartmentId)
+                ? await findRouteKanban(req)
+                : null;
+
+            const hasKanbanAccess =
+                kanban && (await canAccessKanban(req.user, kanban));
+
+            if (!allowedIds.includes(userDepartmentId) && !hasKanbanAccess) {
                 return res.status(403).json({
                     success: false,
                     message: `Access denied. This action is restricted to specific departments.`,
@@ -472,6 +524,7 @@ module.exports = {
     authorizeRoles,
     checkDepartmentAccess,
     checkDepartmentMembership,
+    canAccessKanban,
     checkResourceOwnership,
     requireEmailVerification,
     rateLimitSensitive,
@@ -123,13 +123,15 @@ class ResponseUtil {
         res,
         data,
         pagination,
-        message = "Data retrieved successfully"
+        message = "Data retrieved successfully",
+        meta = {}
     ) {
         return res.status(200).json({
             success: true,
             message,
             data,
             pagination,
+            ...meta,
             timestamp: new Date().toISOString(),
         });
     }
@@ -0,0 +1,204 @@
+const prisma = require("../../prisma/client");
+const { NOTE, REJECTED_STATUSES } = require("../utils/constants");
+
+const chainInclude = {
+    department: {
+        select: {
+            id_department: true,
+            name: true,
+        },
+    },
+    stages: {
+        include: {
+            department: {
+                select: {
+                    id_department: true,
+                    name: true,
+                },
+            },
+            user: {
+                select: {
+                    id_users: true,
+                    name: true,
+                    role: true,
+                },
+            },
+        },
+        orderBy: {
+            sequence: "asc",
+        },
+    },
+};
+
+class ApprovalChain {
+    /**
+     * Find all approval chains with optional filters
+     */
+    static async findAll(options = {}) {
+        const { departmentId = null, klasifikasi = null, isActive = null } =
+            options;
+
+        const where = {};
+        if (departmentId) where.id_department = parseInt(departmentId);
+        if (klasifikasi) {
+            where.klasifikasi = { equals: klasifikasi, mode: "insensitive" };
+        }
+        if (isActive !== null) where.is_active = isActive;
+
+        return await prisma.approvalChain.findMany({
+            where,
+            include: chainInclude,
+            orderBy: [{ id_department: "asc" }, { id_chain: "asc" }],
+        });
+    }
+
+    /**
+     * Find approval chain by ID with ordered stages
+     */
+    static async findById(id) {
+        return await prisma.approvalChain.findUnique({
+            where: { id_chain: parseInt(id) },
+            include: chainInclude,
+        });
+    }
+
+    /**
+     * Find the most specific active chain for a department and classification.
+     * Department + classification wins over department only, which wins over
+     * classification only, which wins over the global chain.
+     */
+    static async findEffective(departmentId, klasifikasi = null) {
+        const candidates = await prisma.approvalChain.findMany({
+            where: {
+                is_active: true,
+                OR: [
+                    { id_department: parseInt(departmentId) },
+                    { id_department: null },
+                ],
+            },
+            include: chainInclude,
+            orderBy: { updated_at: "desc" },
+        });
+
+        const normalizedKlasifikasi = klasifikasi
+            ? klasifikasi.trim().toUpperCase()
+            : null;
+
+        const ranked = candidates
+            .filter(
+                (chain) =>
+                    !chain.klasifikasi ||
+                    chain.klasifikasi.toUpperCase() === normalizedKlasifikasi
+            )
+            .map((chain) => ({
+                chain,
+                score:
+                    (chain.id_department ? 2 : 0) + (chain.klasifikasi ? 1 : 0),
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        return ranked.length > 0 ? ranked[0].chain : null;
+    }
+
+    /**
+     * Find an active chain with exactly the same scope
+     */
+    static async findActiveByScope(departmentId, klasifikasi, excludeId = null) {
+        return await prisma.approvalChain.findFirst({
+            where: {
+                is_active: true,
+                id_department: departmentId ? parseInt(departmentId) : null,
+                klasifikasi: klasifikasi
+                    ? { equals: klasifikasi, mode: "insensitive" }
+                    : null,
+                ...(excludeId && { id_chain: { not: parseInt(excludeId) } }),
+            },
+        });
+    }
+
+    /**
+     * Create chain together with its stages
+     */
+    static async create(chainData, stages) {
+        return await prisma.$transaction(async (tx) => {
+            const chain = await tx.approvalChain.create({
+                data: chainData,
+            });
+
+            await tx.approvalStage.createMany({
+                data: stages.map((stage, index) => ({
+                    ...stage,
+                    id_chain: chain.id_chain,
+                    sequence: index + 1,
+                })),
+            });
+
+            return await tx.approvalChain.findUnique({
+                where: { id_chain: chain.id_chain },
+                include: chainInclude,
+            });
+        });
+    }
+
+    /**
+     * Update chain, replacing all stages when provided
+     */
+    static async updateById(id, chainData, stages = null) {
+        const chainId = parseInt(id);
+
+        return await prisma.$transaction(async (tx) => {
+            await tx.approvalChain.update({
+                where: { id_chain: chainId },
+                data: chainData,
+            });
+
+            if (stages) {
+                await tx.approvalStage.deleteMany({
+                    where: { id_chain: chainId },
+                });
+
+                await tx.approvalStage.createMany({
+                    data: stages.map((stage, index) => ({
+                        ...stage,
+                        id_chain: chainId,
+                        sequence: index + 1,
+                    })),
+                });
+            }
+
+            return await tx.approvalChain.findUnique({
+                where: { id_chain: chainId },
+                include: chainInclude,
+            });
+        });
+    }
+
+    /**
+     * Delete chain (stages are removed by cascade)
+     */
+    static async deleteById(id) {
+        return await prisma.approvalChain.delete({
+            where: { id_chain: parseInt(id) },
+        });
+    }
+
+    /**
+     * Count requests that are still moving through the chain
+     */
+    static async countOpenRequests(id) {
+        return await prisma.requestKanban.count({
+            where: {
+                id_chain: parseInt(id),
+                status: { notIn: REJECTED_STATUSES },
+                persetujuan: {
+                    some: {
+                        approve: false,
+                        note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+                    },
+                },
+            },
+        });
+    }
+}
+
+module.exports = ApprovalChain;
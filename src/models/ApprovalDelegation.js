@@ -0,0 +1,156 @@
+const prisma = require("../../prisma/client");
+
+const delegationInclude = {
+    delegator: {
+        select: {
+            id_users: true,
+            name: true,
+            email: true,
+            no_hp: true,
+            role: true,
+            id_department: true,
+        },
+    },
+    delegate: {
+        select: {
+            id_users: true,
+            name: true,
+            email: true,
+            no_hp: true,
+            role: true,
+            id_department: true,
+        },
+    },
+};
+
+class ApprovalDelegation {
+    /**
+     * Find delegations with optional filters and pagination
+     */
+    static async findAll(options = {}) {
+        const {
+            userId = null,
+            isActive = null,
+            page = 1,
+            limit = 10,
+        } = options;
+
+        const where = {};
+        if (userId) {
+            where.OR = [
+                { id_delegator: parseInt(userId) },
+                { id_delegate: parseInt(userId) },
+            ];
+        }
+        if (isActive !== null) where.is_active = isActive;
+
+        const skip = (page - 1) * limit;
+
+        const [data, total] = await Promise.all([
+            prisma.approvalDelegation.findMany({
+                where,
+                include: delegationInclude,
+                orderBy: { start_date: "desc" },
+                skip,
+                take: parseInt(limit),
+            }),
+            prisma.approvalDelegation.count({ where }),
+        ]);
+
+        return {
+            data,
+            total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            totalPages: Math.ceil(total / limit),
+        };
+    }
+
+    /**
+     * Find delegation by ID
+     */
+    static async findById(id) {
+        return await prisma.approvalDelegation.findUnique({
+            where: { id_delegation: parseInt(id) },
+            include: delegationInclude,
+        });
+    }
+
+    /**
+     * Find an active delegation of the same delegator overlapping a period
+     */
+    static async findOverlapping(delegatorId, startDate, endDate, excludeId = null) {
+        return await prisma.approvalDelegation.findFirst({
+            where: {
+                id_delegator: parseInt(delegatorId),
+                is_active: true,
+                start_date: { lte: endDate },
+                end_date: { gte: startDate },
+                ...(excludeId && { id_delegation: { not: parseInt(excludeId) } }),
+            },
+        });
+    }
+
+    /**
+     * Find delegations currently in effect for a delegate
+     */
+    static async findActiveForDelegate(delegateId, at = new Date()) {
+        return await prisma.approvalDelegation.findMany({
+            where: {
+                id_delegate: parseInt(delegateId),
+                is_active: true,
+                start_date: { lte: at },
+                end_date: { gte: at },
+            },
+            include: delegationInclude,
+        });
+    }
+
+    /**
+     * Find delegations currently in effect for a set of delegators
+     */
+    static async findActiveForDelegators(delegatorIds, at = new Date()) {
+        return await prisma.approvalDelegation.findMany({
+            where: {
+                id_delegator: { in: delegatorIds.map((id) => parseInt(id)) },
+                is_active: true,
+                start_date: { lte: at },
+                end_date: { gte: at },
+            },
+            include: delegationInclude,
+        });
+    }
+
+    /**
+     * Create delegation
+     */
+    static async create(delegationData) {
+        return await prisma.approvalDelegation.create({
+            data: delegationData,
+            include: delegationInclude,
+        });
+    }
+
+    /**
+     * Update delegation
+     */
+    static async updateById(id, updateData) {
+        return await prisma.approvalDelegation.update({
+            where: { id_delegation: parseInt(id) },
+            data: updateData,
+            include: delegationInclude,
+        });
+    }
+
+    /**
+     * Whether a delegation covers requests from a department
+     */
+    static coversDepartment(delegation, departmentId) {
+        return (
+            delegation.id_departments.length === 0 ||
+            delegation.id_departments.includes(parseInt(departmentId))
+        );
+    }
+}
+
+module.exports = ApprovalDelegation;
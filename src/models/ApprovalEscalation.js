@@ -0,0 +1,56 @@
+const prisma = require("../../prisma/client");
+
+class ApprovalEscalation {
+    /**
+     * Create escalation record
+     */
+    static async create(escalationData) {
+        return await prisma.approvalEscalation.create({
+            data: escalationData,
+        });
+    }
+
+    /**
+     * Find the latest escalation of a pending stage
+     */
+    static async findLatest(
+        kanbanId,
+        departmentId,
+        stageSequence = null,
+        revision = 1
+    ) {
+        return await prisma.approvalEscalation.findFirst({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                id_department: parseInt(departmentId),
+                stage_sequence: stageSequence,
+                revision: parseInt(revision),
+            },
+            orderBy: {
+                created_at: "desc",
+            },
+        });
+    }
+
+    /**
+     * Find the escalations of a request, oldest first
+     */
+    static async findByKanban(kanbanId) {
+        return await prisma.approvalEscalation.findMany({
+            where: { id_kanban: parseInt(kanbanId) },
+            include: {
+                department: {
+                    select: {
+                        id_department: true,
+                        name: true,
+                    },
+                },
+            },
+            orderBy: {
+                created_at: "asc",
+            },
+        });
+    }
+}
+
+module.exports = ApprovalEscalation;
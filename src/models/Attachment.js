@@ -0,0 +1,94 @@
+const prisma = require("../../prisma/client");
+
+const uploaderSelect = {
+    id_users: true,
+    name: true,
+    role: true,
+};
+
+class Attachment {
+    /**
+     * Find attachment by ID
+     */
+    static async findById(id) {
+        return await prisma.attachment.findUnique({
+            where: { id_attachment: parseInt(id) },
+        });
+    }
+
+    /**
+     * Find the attachments of a comment
+     */
+    static async findByComment(commentId) {
+        return await prisma.attachment.findMany({
+            where: { id_comment: parseInt(commentId) },
+        });
+    }
+
+    /**
+     * Find the files attached to a kanban request itself, as opposed to
+     * its comments
+     */
+    static async findByKanban(kanbanId) {
+        return await prisma.attachment.findMany({
+            where: { id_kanban: parseInt(kanbanId), id_comment: null },
+            omit: { stored_name: true },
+            include: {
+                uploader: {
+                    select: uploaderSelect,
+                },
+            },
+            orderBy: { created_at: "asc" },
+        });
+    }
+
+    /**
+     * Count the files attached to a kanban request itself
+     */
+    static async countByKanban(kanbanId) {
+        return await prisma.attachment.count({
+            where: { id_kanban: parseInt(kanbanId), id_comment: null },
+        });
+    }
+
+    /**
+     * Which of the given stored file names still belong to an attachment
+     */
+    static async findExistingStoredNames(storedNames) {
+        const attachments = await prisma.attachment.findMany({
+            where: { stored_name: { in: storedNames } },
+            select: { stored_name: true },
+        });
+
+        return new Set(attachments.map((attachment) => attachment.stored_name));
+    }
+
+    /**
+     * Create attachments in one transaction
+     */
+    static async createMany(attachmentsData) {
+        return await prisma.$transaction(
+            attachmentsData.map((attachmentData) =>
+                prisma.attachment.create({
+                    data: attachmentData,
+                    include: {
+                        uploader: {
+                            select: uploaderSelect,
+                        },
+                    },
+                })
+            )
+        );
+    }
+
+    /**
+     * Delete attachment by ID
+     */
+    static async deleteById(id) {
+        return await prisma.attachment.delete({
+            where: { id_attachment: parseInt(id) },
+        });
+    }
+}
+
+module.exports = Attachment;
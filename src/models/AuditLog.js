@@ -171,6 +171,12 @@ class AuditLog {
                         id_users: true,
                         name: true,
                         role: true,
+                        department: {
+                            select: {
+                                id_department: true,
+                                name: true,
+                            },
+                        },
                     },
                 },
             },
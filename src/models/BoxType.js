@@ -0,0 +1,79 @@
+const prisma = require("../../prisma/client");
+
+class BoxType {
+    /**
+     * Find box types with optional active filter
+     */
+    static async findAll(isActive = null) {
+        return await prisma.boxType.findMany({
+            where: isActive !== null ? { is_active: isActive } : {},
+            orderBy: { code: "asc" },
+        });
+    }
+
+    /**
+     * Find box type by ID
+     */
+    static async findById(id) {
+        return await prisma.boxType.findUnique({
+            where: { id_box_type: parseInt(id) },
+        });
+    }
+
+    /**
+     * Find box type by code
+     */
+    static async findByCode(code) {
+        return await prisma.boxType.findUnique({
+            where: { code: code.trim().toUpperCase() },
+        });
+    }
+
+    /**
+     * Find an active box type by code
+     */
+    static async findActive(code) {
+        const boxType = await this.findByCode(code);
+
+        return boxType && boxType.is_active ? boxType : null;
+    }
+
+    /**
+     * Create box type
+     */
+    static async create(boxTypeData) {
+        return await prisma.boxType.create({
+            data: boxTypeData,
+        });
+    }
+
+    /**
+     * Update box type by ID
+     */
+    static async updateById(id, updateData) {
+        return await prisma.boxType.update({
+            where: { id_box_type: parseInt(id) },
+            data: updateData,
+        });
+    }
+
+    /**
+     * Delete box type by ID
+     */
+    static async deleteById(id) {
+        return await prisma.boxType.delete({
+            where: { id_box_type: parseInt(id) },
+        });
+    }
+
+    /**
+     * Count kanban requests referring to a box type
+     */
+    static async countRequests(id) {
+        return await prisma.requestKanban.count({
+            where: { id_box_type: parseInt(id) },
+        });
+    }
+}
+
+module.exports = BoxType;
@@ -11,6 +11,15 @@ class Department {
         const department = await this.findById(id);
         return !!department;
     }
+
+    // Set the kanban board WIP limits of a department
+    static async updateWipLimits(id, wipLimits) {
+        return await prisma.department.update({
+            where: { id_department: parseInt(id) },
+            data: { wip_limits: wipLimits },
+            select: { id_department: true, name: true, wip_limits: true }
+        });
+    }
 }
 
 module.exports = Department;
\ No newline at end of file
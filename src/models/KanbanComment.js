@@ -0,0 +1,163 @@
+const prisma = require("../../prisma/client");
+
+const commentInclude = {
+    author: {
+        select: {
+            id_users: true,
+            name: true,
+            role: true,
+            id_department: true,
+        },
+    },
+    mentions: {
+        select: {
+            user: {
+                select: {
+                    id_users: true,
+                    name: true,
+                    email: true,
+                },
+            },
+        },
+    },
+    attachments: {
+        select: {
+            id_attachment: true,
+            file_name: true,
+            mime_type: true,
+            size: true,
+            created_at: true,
+        },
+    },
+};
+
+class KanbanComment {
+    /**
+     * Find comments of a kanban, oldest first
+     */
+    static async findByKanban(kanbanId, page = 1, limit = 20) {
+        const where = { id_kanban: parseInt(kanbanId) };
+        const skip = (page - 1) * limit;
+
+        const [data, total] = await Promise.all([
+            prisma.kanbanComment.findMany({
+                where,
+                include: commentInclude,
+                orderBy: { created_at: "asc" },
+                skip,
+                take: parseInt(limit),
+            }),
+            prisma.kanbanComment.count({ where }),
+        ]);
+
+        return {
+            data,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Find comment by ID
+     */
+    static async findById(id) {
+        return await prisma.kanbanComment.findUnique({
+            where: { id_comment: parseInt(id) },
+            include: commentInclude,
+        });
+    }
+
+    /**
+     * Create a comment with its mentions and attachments
+     */
+    static async create(commentData, mentionIds = [], attachmentsData = []) {
+        return await prisma.kanbanComment.create({
+            data: {
+                ...commentData,
+                mentions: {
+                    create: mentionIds.map((id_users) => ({ id_users })),
+                },
+                attachments: {
+                    create: attachmentsData.map((attachment) => ({
+                        ...attachment,
+                        id_kanban: commentData.id_kanban,
+                        id_users: commentData.id_users,
+                    })),
+                },
+            },
+            include: commentInclude,
+        });
+    }
+
+    /**
+     * Update comment content and replace its mentions
+     */
+    static async updateContent(id, content, mentionIds = []) {
+        return await prisma.$transaction(async (tx) => {
+            await tx.commentMention.deleteMany({
+                where: { id_comment: parseInt(id) },
+            });
+
+            return await tx.kanbanComment.update({
+                where: { id_comment: parseInt(id) },
+                data: {
+                    content,
+                    edited_at: new Date(),
+                    mentions: {
+                        create: mentionIds.map((id_users) => ({ id_users })),
+                    },
+                },
+                include: commentInclude,
+            });
+        });
+    }
+
+    /**
+     * Soft delete a comment. Mentions and attachment records are removed,
+     * the comment itself stays so the thread keeps its order.
+     */
+    static async softDelete(id, userId) {
+        return await prisma.$transaction(async (tx) => {
+            await tx.commentMention.deleteMany({
+                where: { id_comment: parseInt(id) },
+            });
+
+            await tx.attachment.deleteMany({
+                where: { id_comment: parseInt(id) },
+            });
+
+            return await tx.kanbanComment.update({
+                where: { id_comment: parseInt(id) },
+                data: {
+                    content: "",
+                    deleted_at: new Date(),
+                    deleted_by: parseInt(userId),
+                },
+                include: commentInclude,
+            });
+        });
+    }
+
+    /**
+     * Whether a user was mentioned in any comment of a kanban
+     */
+    static async isMentionedOnKanban(kanbanId, userId) {
+        const count = await prisma.commentMention.count({
+            where: {
+                id_users: parseInt(userId),
+                comment: {
+                    id_kanban: parseInt(kanbanId),
+                    deleted_at: null,
+                },
+            },
+        });
+
+        return count > 0;
+    }
+}
+
+module.exports = KanbanComment;
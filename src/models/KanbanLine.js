@@ -0,0 +1,76 @@
+const prisma = require("../../prisma/client");
+
+const lineInclude = {
+    boxType: {
+        select: {
+            id_box_type: true,
+            code: true,
+            name: true,
+        },
+    },
+    rejectedBy: {
+        select: {
+            id_users: true,
+            name: true,
+            role: true,
+        },
+    },
+};
+
+class KanbanLine {
+    /**
+     * Find the lines of a request in line order
+     */
+    static async findByKanban(kanbanId) {
+        return await prisma.kanbanLine.findMany({
+            where: { id_kanban: parseInt(kanbanId) },
+            include: lineInclude,
+            orderBy: { line_no: "asc" },
+        });
+    }
+
+    /**
+     * Find lines of a request by ID, ignoring IDs of other requests
+     */
+    static async findManyForKanban(kanbanId, lineIds) {
+        return await prisma.kanbanLine.findMany({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                id_line: { in: lineIds.map((id) => parseInt(id)) },
+            },
+            orderBy: { line_no: "asc" },
+        });
+    }
+
+    /**
+     * Count the lines of a request that are still requested
+     */
+    static async countActive(kanbanId) {
+        return await prisma.kanbanLine.count({
+            where: { id_kanban: parseInt(kanbanId), status: "ACTIVE" },
+        });
+    }
+
+    /**
+     * Reject lines of a request, leaving the rest of it in approval
+     */
+    static async rejectMany(kanbanId, lineIds, reason, userId) {
+        await prisma.kanbanLine.updateMany({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                id_line: { in: lineIds.map((id) => parseInt(id)) },
+                status: "ACTIVE",
+            },
+            data: {
+                status: "REJECTED",
+                rejected_reason: reason,
+                id_rejected_by: parseInt(userId),
+                rejected_at: new Date(),
+            },
+        });
+
+        return await this.findByKanban(kanbanId);
+    }
+}
+
+module.exports = KanbanLine;
@@ -0,0 +1,89 @@
+const prisma = require("../../prisma/client");
+
+const scheduleInclude = {
+    user: {
+        select: {
+            id_users: true,
+            id_department: true,
+            name: true,
+            email: true,
+            no_hp: true,
+            role: true,
+        },
+    },
+};
+
+class KanbanSchedule {
+    /**
+     * Find the schedules of a user, or of everyone when no user is given
+     */
+    static async findAll(options = {}) {
+        const { userId = null, isActive = null } = options;
+
+        const where = {};
+        if (userId) where.id_users = parseInt(userId);
+        if (isActive !== null) where.is_active = isActive;
+
+        return await prisma.kanbanSchedule.findMany({
+            where,
+            include: scheduleInclude,
+            orderBy: [{ is_active: "desc" }, { next_run_at: "asc" }],
+        });
+    }
+
+    /**
+     * Find schedule by ID
+     */
+    static async findById(id) {
+        return await prisma.kanbanSchedule.findUnique({
+            where: { id_schedule: parseInt(id) },
+            include: scheduleInclude,
+        });
+    }
+
+    /**
+     * Find active schedules whose next request is due
+     */
+    static async findDue(now = new Date()) {
+        return await prisma.kanbanSchedule.findMany({
+            where: {
+                is_active: true,
+                next_run_at: { lte: now },
+            },
+            include: scheduleInclude,
+            orderBy: { next_run_at: "asc" },
+        });
+    }
+
+    /**
+     * Create schedule
+     */
+    static async create(scheduleData) {
+        return await prisma.kanbanSchedule.create({
+            data: scheduleData,
+            include: scheduleInclude,
+        });
+    }
+
+    /**
+     * Update schedule
+     */
+    static async updateById(id, updateData) {
+        return await prisma.kanbanSchedule.update({
+            where: { id_schedule: parseInt(id) },
+            data: updateData,
+            include: scheduleInclude,
+        });
+    }
+
+    /**
+     * Delete schedule. Requests it created keep existing without it.
+     */
+    static async deleteById(id) {
+        return await prisma.kanbanSchedule.delete({
+            where: { id_schedule: parseInt(id) },
+        });
+    }
+}
+
+module.exports = KanbanSchedule;
@@ -0,0 +1,111 @@
+const prisma = require("../../prisma/client");
+
+const templateInclude = {
+    user: {
+        select: {
+            id_users: true,
+            name: true,
+            role: true,
+        },
+    },
+    department: {
+        select: {
+            id_department: true,
+            name: true,
+        },
+    },
+};
+
+class KanbanTemplate {
+    /**
+     * Find the templates a user can use: their own and, unless only their
+     * own are asked for, those shared in their department. Favourites and
+     * recently used templates come first.
+     */
+    static async findAvailable(userId, departmentId, ownOnly = false) {
+        const ownTemplates = { id_users: parseInt(userId) };
+
+        return await prisma.kanbanTemplate.findMany({
+            where: ownOnly
+                ? ownTemplates
+                : {
+                      OR: [
+                          ownTemplates,
+                          {
+                              id_department: parseInt(departmentId),
+                              is_shared: true,
+                          },
+                      ],
+                  },
+            include: templateInclude,
+            orderBy: [
+                { is_favourite: "desc" },
+                { last_used_at: { sort: "desc", nulls: "last" } },
+                { name: "asc" },
+            ],
+        });
+    }
+
+    /**
+     * Find template by ID
+     */
+    static async findById(id) {
+        return await prisma.kanbanTemplate.findUnique({
+            where: { id_template: parseInt(id) },
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Find a template of a user by name
+     */
+    static async findByName(userId, name) {
+        return await prisma.kanbanTemplate.findUnique({
+            where: {
+                id_users_name: { id_users: parseInt(userId), name },
+            },
+        });
+    }
+
+    /**
+     * Create template
+     */
+    static async create(templateData) {
+        return await prisma.kanbanTemplate.create({
+            data: templateData,
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Update template
+     */
+    static async updateById(id, updateData) {
+        return await prisma.kanbanTemplate.update({
+            where: { id_template: parseInt(id) },
+            data: updateData,
+            include: templateInclude,
+        });
+    }
+
+    /**
+     * Record that a request was made from a template
+     */
+    static async markUsed(id) {
+        return await prisma.kanbanTemplate.update({
+            where: { id_template: parseInt(id) },
+            data: { last_used_at: new Date() },
+        });
+    }
+
+    /**
+     * Delete template
+     */
+    static async deleteById(id) {
+        return await prisma.kanbanTemplate.delete({
+            where: { id_template: parseInt(id) },
+        });
+    }
+}
+
+module.exports = KanbanTemplate;
@@ -0,0 +1,107 @@
+const prisma = require("../../prisma/client");
+
+class Klasifikasi {
+    /**
+     * Find classifications with optional active filter, most urgent first
+     */
+    static async findAll(isActive = null) {
+        return await prisma.klasifikasi.findMany({
+            where: isActive !== null ? { is_active: isActive } : {},
+            orderBy: [{ urgency_rank: "asc" }, { code: "asc" }],
+        });
+    }
+
+    /**
+     * Find classification by ID
+     */
+    static async findById(id) {
+        return await prisma.klasifikasi.findUnique({
+            where: { id_klasifikasi: parseInt(id) },
+        });
+    }
+
+    /**
+     * Find classification by code
+     */
+    static async findByCode(code) {
+        if (!code) {
+            return null;
+        }
+
+        return await prisma.klasifikasi.findUnique({
+            where: { code: code.trim().toUpperCase() },
+        });
+    }
+
+    /**
+     * Find an active classification by code
+     */
+    static async findActive(code) {
+        const klasifikasi = await this.findByCode(code);
+
+        return klasifikasi && klasifikasi.is_active ? klasifikasi : null;
+    }
+
+    /**
+     * Map classification codes to their catalogue entries. Requests store
+     * the code, so legacy requests are matched as well.
+     */
+    static async findByCodes(codes) {
+        const uniqueCodes = [
+            ...new Set(
+                codes
+                    .filter(Boolean)
+                    .map((code) => code.trim().toUpperCase())
+            ),
+        ];
+
+        if (uniqueCodes.length === 0) {
+            return new Map();
+        }
+
+        const entries = await prisma.klasifikasi.findMany({
+            where: { code: { in: uniqueCodes } },
+        });
+
+        return new Map(entries.map((entry) => [entry.code, entry]));
+    }
+
+    /**
+     * Create classification
+     */
+    static async create(klasifikasiData) {
+        return await prisma.klasifikasi.create({
+            data: klasifikasiData,
+        });
+    }
+
+    /**
+     * Update classification by ID
+     */
+    static async updateById(id, updateData) {
+        return await prisma.klasifikasi.update({
+            where: { id_klasifikasi: parseInt(id) },
+            data: updateData,
+        });
+    }
+
+    /**
+     * Delete classification by ID
+     */
+    static async deleteById(id) {
+        return await prisma.klasifikasi.delete({
+            where: { id_klasifikasi: parseInt(id) },
+        });
+    }
+
+    /**
+     * Count kanban requests using a classification code
+     */
+    static async countRequests(code) {
+        return await prisma.requestKanban.count({
+            where: { klasifikasi: { equals: code, mode: "insensitive" } },
+        });
+    }
+}
+
+module.exports = Klasifikasi;
@@ -0,0 +1,184 @@
+const prisma = require("../../prisma/client");
+const { LOCATION_LEVEL } = require("../utils/constants");
+
+const locationInclude = {
+    parent: {
+        select: {
+            id_location: true,
+            code: true,
+            name: true,
+            level: true,
+        },
+    },
+    _count: {
+        select: {
+            children: true,
+        },
+    },
+};
+
+// A line with its area and plant, for reports and request detail
+const lineInclude = {
+    parent: {
+        include: {
+            parent: true,
+        },
+    },
+};
+
+class Location {
+    /**
+     * Find locations with optional filters
+     */
+    static async findAll(options = {}) {
+        const {
+            level = null,
+            parentId = null,
+            isActive = null,
+            search = "",
+        } = options;
+
+        const where = {};
+        if (level) where.level = level;
+        if (parentId) where.id_parent = parseInt(parentId);
+        if (isActive !== null) where.is_active = isActive;
+        if (search) {
+            where.OR = [
+                { code: { contains: search, mode: "insensitive" } },
+                { name: { contains: search, mode: "insensitive" } },
+            ];
+        }
+
+        return await prisma.location.findMany({
+            where,
+            include: locationInclude,
+            orderBy: [{ level: "asc" }, { code: "asc" }],
+        });
+    }
+
+    /**
+     * All locations nested as plant -> area -> line
+     */
+    static async findTree(isActive = null) {
+        const locations = await prisma.location.findMany({
+            where: isActive !== null ? { is_active: isActive } : {},
+            orderBy: { code: "asc" },
+        });
+
+        const childrenOf = (parentId) =>
+            locations
+                .filter((location) => location.id_parent === parentId)
+                .map((location) => ({
+                    ...location,
+                    children: childrenOf(location.id_location),
+                }));
+
+        return locations
+            .filter((location) => location.level === LOCATION_LEVEL.PLANT)
+            .map((plant) => ({
+                ...plant,
+                children: childrenOf(plant.id_location),
+            }));
+    }
+
+    /**
+     * Find location by ID
+     */
+    static async findById(id) {
+        return await prisma.location.findUnique({
+            where: { id_location: parseInt(id) },
+            include: locationInclude,
+        });
+    }
+
+    /**
+     * Find location by code
+     */
+    static async findByCode(code) {
+        return await prisma.location.findUnique({
+            where: { code: code.trim().toUpperCase() },
+        });
+    }
+
+    /**
+     * Find a production line by code, the level requests refer to. The line
+     * and its area and plant must all be active.
+     */
+    static async findActiveLine(code) {
+        const line = await prisma.location.findUnique({
+            where: { code: code.trim().toUpperCase() },
+            include: lineInclude,
+        });
+
+        const isActive =
+            line?.level === LOCATION_LEVEL.LINE &&
+            line.is_active &&
+            line.parent?.is_active &&
+            line.parent.parent?.is_active;
+
+        return isActive ? line : null;
+    }
+
+    /**
+     * Whether the location master has any production line yet. Until it
+     * does, request locations are taken as entered.
+     */
+    static async hasLines() {
+        const count = await prisma.location.count({
+            where: { level: LOCATION_LEVEL.LINE },
+        });
+
+        return count > 0;
+    }
+
+    /**
+     * Find lines with their area and plant
+     */
+    static async findLinesWithHierarchy(ids) {
+        return await prisma.location.findMany({
+            where: { id_location: { in: ids.map((id) => parseInt(id)) } },
+            include: lineInclude,
+        });
+    }
+
+    /**
+     * Create location
+     */
+    static async create(locationData) {
+        return await prisma.location.create({
+            data: locationData,
+            include: locationInclude,
+        });
+    }
+
+    /**
+     * Update location by ID
+     */
+    static async updateById(id, updateData) {
+        return await prisma.location.update({
+            where: { id_location: parseInt(id) },
+            data: updateData,
+            include: locationInclude,
+        });
+    }
+
+    /**
+     * Delete location by ID
+     */
+    static async deleteById(id) {
+        return await prisma.location.delete({
+            where: { id_location: parseInt(id) },
+        });
+    }
+
+    /**
+     * Count kanban requests referring to a location
+     */
+    static async countRequests(id) {
+        return await prisma.requestKanban.count({
+            where: { id_location: parseInt(id) },
+        });
+    }
+}
+
+module.exports = Location;
@@ -0,0 +1,166 @@
+const prisma = require("../../prisma/client");
+
+class Part {
+    /**
+     * Find parts with optional search and active filter
+     */
+    static async findAll(options = {}) {
+        const { search = "", isActive = null, page = 1, limit = 20 } = options;
+
+        const where = {};
+        if (isActive !== null) where.is_active = isActive;
+        if (search) {
+            where.OR = [
+                { parts_number: { contains: search, mode: "insensitive" } },
+                { description: { contains: search, mode: "insensitive" } },
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [data, total] = await Promise.all([
+            prisma.part.findMany({
+                where,
+                orderBy: { parts_number: "asc" },
+                skip,
+                take: parseInt(limit),
+            }),
+            prisma.part.count({ where }),
+        ]);
+
+        return {
+            data,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit),
+            },
+        };
+    }
+
+    /**
+     * Autocomplete active parts. Numbers starting with the query come first.
+     */
+    static async search(query, limit = 10) {
+        const select = {
+            id_part: true,
+            parts_number: true,
+            description: true,
+            unit: true,
+            default_lokasi: true,
+            default_box: true,
+        };
+
+        const prefixMatches = await prisma.part.findMany({
+            where: {
+                is_active: true,
+                parts_number: { startsWith: query, mode: "insensitive" },
+            },
+            select,
+            orderBy: { parts_number: "asc" },
+            take: limit,
+        });
+
+        if (prefixMatches.length >= limit) {
+            return prefixMatches;
+        }
+
+        const otherMatches = await prisma.part.findMany({
+            where: {
+                is_active: true,
+                id_part: { notIn: prefixMatches.map((part) => part.id_part) },
+                OR: [
+                    { parts_number: { contains: query, mode: "insensitive" } },
+                    { description: { contains: query, mode: "insensitive" } },
+                ],
+            },
+            select,
+            orderBy: { parts_number: "asc" },
+            take: limit - prefixMatches.length,
+        });
+
+        return [...prefixMatches, ...otherMatches];
+    }
+
+    /**
+     * Find part by ID
+     */
+    static async findById(id) {
+        return await prisma.part.findUnique({
+            where: { id_part: parseInt(id) },
+        });
+    }
+
+    /**
+     * Find part by its number
+     */
+    static async findByNumber(partsNumber) {
+        return await prisma.part.findUnique({
+            where: { parts_number: partsNumber.trim().toUpperCase() },
+        });
+    }
+
+    /**
+     * Whether the parts master has any part yet. Until it does, request
+     * parts are taken as entered.
+     */
+    static async hasParts() {
+        const count = await prisma.part.count();
+
+        return count > 0;
+    }
+
+    /**
+     * Map parts numbers to their descriptions
+     */
+    static async findDescriptions(partsNumbers) {
+        const parts = await prisma.part.findMany({
+            where: { parts_number: { in: [...new Set(partsNumbers)] } },
+            select: { parts_number: true, description: true },
+        });
+
+        return new Map(
+            parts.map((part) => [part.parts_number, part.description])
+        );
+    }
+
+    /**
+     * Create part
+     */
+    static async create(partData) {
+        return await prisma.part.create({
+            data: partData,
+        });
+    }
+
+    /**
+     * Update part by ID
+     */
+    static async updateById(id, updateData) {
+        return await prisma.part.update({
+            where: { id_part: parseInt(id) },
+            data: updateData,
+        });
+    }
+
+    /**
+     * Delete part by ID
+     */
+    static async deleteById(id) {
+        return await prisma.part.delete({
+            where: { id_part: parseInt(id) },
+        });
+    }
+
+    /**
+     * Count kanban requests referring to a part number
+     */
+    static async countRequests(partsNumber) {
+        return await prisma.requestKanban.count({
+            where: { parts_number: partsNumber },
+        });
+    }
+}
+
+module.exports = Part;
@@ -1,4 +1,25 @@
 const prisma = require("../../prisma/client");
+const { NOTE, REJECTED_STATUSES } = require("../utils/constants");
+
+// Catalogue details shown on approval queues
+const classificationSelect = {
+    code: true,
+    name: true,
+    color: true,
+    lead_time_days: true,
+    urgency_rank: true,
+};
+
+// Approval queues put the highest priority first, then the most urgent
+// classification (legacy requests last), the earliest production date and
+// the oldest request
+const queueOrderBy = [
+    { requestKanban: { priority: "desc" } },
+    { requestKanban: { classification: { urgency_rank: "asc" } } },
+    { requestKanban: { tgl_produksi: "asc" } },
+    { requestKanban: { created_at: "asc" } },
+    { id_kanban: "asc" },
+];
 
 class Persetujuan {
     /**
@@ -13,8 +34,8 @@ class Persetujuan {
     /**
      * Create multiple approvals with skip duplicates
      */
-    static async createManySkipDuplicates(approvalsData) {
-        return await prisma.persetujuan.createMany({
+    static async createManySkipDuplicates(approvalsData, db = prisma) {
+        return await db.persetujuan.createMany({
             data: approvalsData,
             skipDuplicates: true,
         });
@@ -23,14 +44,23 @@ class Persetujuan {
     /**
      * Find approval by composite key
      */
-    static async findByCompositeKey(userId, departmentId, kanbanId, role) {
+    static async findByCompositeKey(
+        userId,
+        departmentId,
+        kanbanId,
+        role,
+        revision = 1,
+        stageSequence = 0
+    ) {
         return await prisma.persetujuan.findUnique({
             where: {
-                id_users_id_department_id_kanban_role: {
+                id_users_id_department_id_kanban_role_revision_stage_sequence: {
                     id_users: parseInt(userId),
                     id_department: parseInt(departmentId),
                     id_kanban: parseInt(kanbanId),
                     role,
+                    revision: parseInt(revision),
+                    stage_sequence: parseInt(stageSequence),
                 },
             },
         });
@@ -44,33 +74,124 @@ class Persetujuan {
         departmentId,
         kanbanId,
         role,
-        updateData
+        revision,
+        stageSequence,
+        updateData,
+        db = prisma
     ) {
-        return await prisma.persetujuan.update({
+        return await db.persetujuan.update({
             where: {
-                id_users_id_department_id_kanban_role: {
+                id_users_id_department_id_kanban_role_revision_stage_sequence: {
                     id_users: parseInt(userId),
                     id_department: parseInt(departmentId),
                     id_kanban: parseInt(kanbanId),
                     role,
+                    revision: parseInt(revision),
+                    stage_sequence: parseInt(stageSequence),
                 },
             },
             data: updateData,
         });
     }
 
+    /**
+     * Find the open (pending or pending closure) approval of a user for a kanban
+     */
+    static async findOpenForUser(kanbanId, userId, revision = 1, db = prisma) {
+        return await db.persetujuan.findFirst({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                id_users: parseInt(userId),
+                revision: parseInt(revision),
+                approve: false,
+                note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+            },
+        });
+    }
+
+    /**
+     * Whether any of the users holds an approval (of any revision) on a kanban
+     */
+    static async hasApprovalOnKanban(kanbanId, userIds) {
+        const count = await prisma.persetujuan.count({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                id_users: { in: userIds.map((id) => parseInt(id)) },
+            },
+        });
+
+        return count > 0;
+    }
+
+    /**
+     * Find approvals with approver contact data (for notifications)
+     */
+    static async findManyWithUser(whereCondition, db = prisma) {
+        return await db.persetujuan.findMany({
+            where: whereCondition,
+            include: {
+                user: {
+                    select: {
+                        id_users: true,
+                        name: true,
+                        email: true,
+                        no_hp: true,
+                        role: true,
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find the approvals of a request, of every revision unless one is
+     * given, in the order they were requested
+     */
+    static async findByKanban(kanbanId, revision = null) {
+        return await prisma.persetujuan.findMany({
+            where: {
+                id_kanban: parseInt(kanbanId),
+                ...(revision !== null && { revision: parseInt(revision) }),
+            },
+            include: {
+                user: {
+                    select: {
+                        id_users: true,
+                        name: true,
+                        role: true,
+                    },
+                },
+                actedBy: {
+                    select: {
+                        id_users: true,
+                        name: true,
+                        role: true,
+                    },
+                },
+                department: {
+                    select: {
+                        id_department: true,
+                        name: true,
+                    },
+                },
+            },
+            orderBy: [{ created_at: "asc" }, { stage_sequence: "asc" }],
+        });
+    }
+
     /**
      * Update multiple approvals
      */
-    static async updateMany(whereCondition, updateData) {
-        return await prisma.persetujuan.updateMany({
+    static async updateMany(whereCondition, updateData, db = prisma) {
+        return await db.persetujuan.updateMany({
             where: whereCondition,
             data: updateData,
         });
     }
 
     /**
-     * Find pending approvals for user
+     * Find pending approvals for user, including those of users who
+     * delegated their approval authority to them
      */
     static async findPendingForUser(
         userId,
@@ -78,7 +199,8 @@ class Persetujuan {
         rejectedStatuses,
         page = 1,
         limit = 10,
-        search = ""
+        search = "",
+        delegations = []
     ) {
         const skip = (page - 1) * limit;
 
@@ -99,35 +221,50 @@ class Persetujuan {
               }
             : {};
 
-        // Hitung total data
-        const total = await prisma.persetujuan.count({
-            where: {
-                id_users: parseInt(userId),
-                approve: false,
-                note: { notIn: rejectedNotes },
-                requestKanban: {
-                    status: { notIn: rejectedStatuses },
-                    ...requestKanbanSearch,
-                },
+        const approverConditions = [
+            { id_users: parseInt(userId) },
+            ...delegations.map((delegation) => ({
+                id_users: delegation.id_delegator,
+                ...(delegation.id_departments.length > 0 && {
+                    requestKanban: {
+                        id_department: { in: delegation.id_departments },
+                    },
+                }),
+            })),
+        ];
+
+        const where = {
+            OR: approverConditions,
+            approve: false,
+            note: {
+                in: [NOTE.PENDING, NOTE.PENDING_CLOSURE],
+                notIn: rejectedNotes,
             },
-        });
+            requestKanban: {
+                status: { notIn: rejectedStatuses },
+                ...requestKanbanSearch,
+            },
+        };
+
+        // Hitung total data
+        const total = await prisma.persetujuan.count({ where });
 
         const data = await prisma.persetujuan.findMany({
-            where: {
-                id_users: parseInt(userId),
-                approve: false,
-                note: { notIn: rejectedNotes },
-                requestKanban: {
-                    status: { notIn: rejectedStatuses },
-                    ...requestKanbanSearch,
-                },
-            },
+            where,
             include: {
+                user: {
+                    select: {
+                        id_users: true,
+                        name: true,
+                        role: true,
+                    },
+                },
                 requestKanban: {
                     select: {
                         id_kanban: true,
                         id_users: true,
                         id_department: true,
+                        id_chain: true,
                         tgl_produksi: true,
                         nama_requester: true,
                         parts_number: true,
@@ -135,13 +272,16 @@ class Persetujuan {
                         box: true,
                         klasifikasi: true,
                         keterangan: true,
+                        priority: true,
                         status: true,
+                        created_at: true,
+                        classification: {
+                            select: classificationSelect,
+                        },
                     },
                 },
             },
-            orderBy: {
-                id_kanban: "desc",
-            },
+            orderBy: queueOrderBy,
             skip,
             take: parseInt(limit),
         });
@@ -170,27 +310,38 @@ class Persetujuan {
                 id_department: parseInt(departmentId),
                 approve: false,
                 role: "STAFF",
-                note: { notIn: rejectedNotes },
+                note: {
+                    in: [NOTE.PENDING, NOTE.PENDING_CLOSURE],
+                    notIn: rejectedNotes,
+                },
                 requestKanban: {
                     status: { notIn: rejectedStatuses },
                 },
             },
             include: {
-                requestKanban: true,
-            },
-            orderBy: {
-                id_kanban: "desc",
+                requestKanban: {
+                    include: {
+                        classification: {
+                            select: classificationSelect,
+                        },
+                    },
+                },
             },
+            orderBy: queueOrderBy,
         });
     }
 
     /**
-     * Find manager approved Kanban IDs
+     * Find manager approved Kanban IDs. Each entry of kanbanRevisions is an
+     * { id_kanban, revision } pair so earlier approval rounds are ignored.
      */
-    static async findManagerApprovedKanbanIds(kanbanIds, departmentId) {
+    static async findManagerApprovedKanbanIds(kanbanRevisions, departmentId) {
         const approvals = await prisma.persetujuan.findMany({
             where: {
-                id_kanban: { in: kanbanIds },
+                OR: kanbanRevisions.map(({ id_kanban, revision }) => ({
+                    id_kanban: parseInt(id_kanban),
+                    revision: parseInt(revision),
+                })),
                 role: "MANAGER",
                 approve: true,
                 id_department: parseInt(departmentId),
@@ -202,36 +353,24 @@ class Persetujuan {
     }
 
     /**
-     * Check if role already approved for a kanban
-     */
-    static async isRoleAlreadyApproved(kanbanId, role, departmentId) {
-        const existingApproval = await prisma.persetujuan.findFirst({
-            where: {
-                id_kanban: parseInt(kanbanId),
-                role: role,
-                id_department: parseInt(departmentId),
-                approve: true,
-            },
-        });
-
-        return !!existingApproval;
-    }
-
-    /**
-     * Auto approve all pending approvals for the same role in same department
+     * Close all pending approvals for the same role in same department, once
+     * the role has met its quorum
      */
     static async autoApproveRoleInDepartment(
         kanbanId,
         role,
         departmentId,
         approvedAt,
-        note
+        note,
+        revision = 1,
+        db = prisma
     ) {
-        return await prisma.persetujuan.updateMany({
+        return await db.persetujuan.updateMany({
             where: {
                 id_kanban: parseInt(kanbanId),
                 role: role,
                 id_department: parseInt(departmentId),
+                revision: parseInt(revision),
                 approve: false,
             },
             data: {
@@ -241,6 +380,47 @@ class Persetujuan {
             },
         });
     }
+
+    /**
+     * Find approvals still open since before the cutoff. updated_at marks
+     * when a row entered its current pending state.
+     */
+    static async findOverdue(cutoff) {
+        return await prisma.persetujuan.findMany({
+            where: {
+                approve: false,
+                note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+                updated_at: { lt: cutoff },
+                requestKanban: {
+                    status: { notIn: REJECTED_STATUSES },
+                },
+            },
+            include: {
+                user: {
+                    select: {
+                        id_users: true,
+                        name: true,
+                        email: true,
+                        no_hp: true,
+                        role: true,
+                    },
+                },
+                requestKanban: {
+                    select: {
+                        id_kanban: true,
+                        id_department: true,
+                        nama_requester: true,
+                        lokasi: true,
+                        status: true,
+                        created_at: true,
+                    },
+                },
+            },
+            orderBy: {
+                updated_at: "asc",
+            },
+        });
+    }
 }
 
 module.exports = Persetujuan;
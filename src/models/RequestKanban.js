@@ -1,64 +1,257 @@
 const prisma = require("../../prisma/client");
+const { ConflictError } = require("../middlewares/ErrorHandler");
+const {
+    BOARD_COLUMNS,
+    NOTE,
+    OPEN_STATUSES,
+    PRIORITY,
+    STATUS,
+} = require("../utils/constants");
+const { createDataSheetBuffer } = require("../utils/excelGenerator");
+const { endOfDay, format, startOfDay, subDays } = require("date-fns");
+const {
+    assertTransition,
+    canTransition,
+    getAllowedTransitions,
+} = require("../utils/statusTransitions");
+
+// Line items of a request in line order
+const linesInclude = {
+    orderBy: { line_no: "asc" },
+};
+
+// Line items are written as a whole, replacing the previous ones
+const writeLines = ({ lines, ...data }, replace = false) =>
+    lines
+        ? {
+              ...data,
+              lines: replace
+                  ? { deleteMany: {}, create: lines }
+                  : { create: lines },
+          }
+        : data;
+
+// Filters of the request list, shared by its exports and analytics.
+// Status, department, classification and priority take one value or a list
+// of them.
+const buildFilterWhere = (filters = {}) => {
+    const {
+        search,
+        status,
+        departmentId,
+        klasifikasi,
+        priority,
+        dateFrom,
+        dateTo,
+        prodFrom,
+        prodTo,
+        approverId,
+    } = filters;
+    const where = {};
+    const toList = (value) => [].concat(value).filter(Boolean);
+
+    // Free text over requester, parts, location and remarks
+    if (search) {
+        const contains = { contains: search, mode: "insensitive" };
+
+        where.OR = [
+            { nama_requester: contains },
+            { parts_number: contains },
+            { lokasi: contains },
+            { keterangan: contains },
+            {
+                lines: {
+                    some: {
+                        OR: [{ parts_number: contains }, { remark: contains }],
+                    },
+                },
+            },
+        ];
+    }
+
+    if (toList(status).length > 0) {
+        where.status = { in: toList(status) };
+    }
+    if (toList(departmentId).length > 0) {
+        where.id_department = {
+            in: toList(departmentId).map((id) => parseInt(id)),
+        };
+    }
+    if (toList(klasifikasi).length > 0) {
+        where.klasifikasi = { in: toList(klasifikasi) };
+    }
+    if (toList(priority).length > 0) {
+        where.priority = { in: toList(priority) };
+    }
+
+    // Submission date range
+    if (dateFrom || dateTo) {
+        where.created_at = {};
+        if (dateFrom) where.created_at.gte = startOfDay(new Date(dateFrom));
+        if (dateTo) where.created_at.lte = endOfDay(new Date(dateTo));
+    }
+
+    // Production date range
+    if (prodFrom || prodTo) {
+        where.tgl_produksi = {};
+        if (prodFrom) where.tgl_produksi.gte = startOfDay(new Date(prodFrom));
+        if (prodTo) where.tgl_produksi.lte = endOfDay(new Date(prodTo));
+    }
+
+    // Requests the user is an approver of, or acted on as a delegate
+    if (approverId) {
+        where.persetujuan = {
+            some: {
+                OR: [
+                    { id_users: parseInt(approverId) },
+                    { id_acted_by: parseInt(approverId) },
+                ],
+            },
+        };
+    }
+
+    return where;
+};
+
+// Fields the request list can be sorted by
+const SORT_FIELDS = [
+    "id_kanban",
+    "tgl_produksi",
+    "created_at",
+    "updated_at",
+    "nama_requester",
+    "lokasi",
+    "klasifikasi",
+    "priority",
+    "status",
+];
+
+// Sort of the request list from "field:order" pairs separated by commas.
+// The ID is always the last key so the order is stable for cursors.
+const toOrderBy = (sort = "") => {
+    const orderBy = [];
+
+    sort.split(",").forEach((pair) => {
+        const [field, order = "asc"] = pair.trim().split(":");
+        const direction = order.toLowerCase();
+
+        if (
+            SORT_FIELDS.includes(field) &&
+            ["asc", "desc"].includes(direction) &&
+            !orderBy.some((key) => key[field])
+        ) {
+            orderBy.push({ [field]: direction });
+        }
+    });
+
+    if (!orderBy.some((key) => key.id_kanban)) {
+        orderBy.push({ id_kanban: orderBy.length > 0 ? "asc" : "desc" });
+    }
+
+    return orderBy;
+};
+
+// Facets counted for the request list, each without its own filter so
+// every option shows how many requests selecting it would give
+const FACETS = {
+    status: { field: "status", filter: "status" },
+    department: { field: "id_department", filter: "departmentId" },
+    klasifikasi: { field: "klasifikasi", filter: "klasifikasi" },
+    priority: { field: "priority", filter: "priority" },
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sortedValues, p) =>
+    sortedValues.length > 0
+        ? sortedValues[Math.ceil((p / 100) * sortedValues.length) - 1]
+        : null;
+
+// Count, mean, range and percentiles of lead times in hours, to one
+// decimal
+const summarizeLeadTimes = (hours) => {
+    const sorted = [...hours].sort((a, b) => a - b);
+    const round = (value) =>
+        value === null ? null : Math.round(value * 10) / 10;
+
+    return {
+        count: sorted.length,
+        average: round(
+            sorted.length > 0
+                ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+                : null
+        ),
+        min: round(sorted.length > 0 ? sorted[0] : null),
+        max: round(sorted.length > 0 ? sorted[sorted.length - 1] : null),
+        p50: round(percentile(sorted, 50)),
+        p75: round(percentile(sorted, 75)),
+        p90: round(percentile(sorted, 90)),
+        p95: round(percentile(sorted, 95)),
+    };
+};
+
+// Export columns, one row per line item of a request
+const EXPORT_COLUMNS = [
+    { header: "ID Kanban", key: "id_kanban", width: 10 },
+    { header: "Requester", key: "nama_requester", width: 20 },
+    { header: "Department", key: "department", width: 18 },
+    { header: "Production Date", key: "tgl_produksi", width: 15 },
+    { header: "Line", key: "line_no", width: 6 },
+    { header: "Parts Number", key: "parts_number", width: 18 },
+    { header: "Quantity", key: "quantity", width: 10 },
+    { header: "Unit", key: "unit", width: 8 },
+    { header: "Line Status", key: "line_status", width: 12 },
+    { header: "Location", key: "lokasi", width: 15 },
+    { header: "Box", key: "box", width: 12 },
+    { header: "Classification", key: "klasifikasi", width: 15 },
+    { header: "Priority", key: "priority", width: 10 },
+    { header: "Description", key: "keterangan", width: 30 },
+    { header: "Status", key: "status", width: 22 },
+    { header: "Revision", key: "revision", width: 9 },
+    { header: "Attachments", key: "attachment_count", width: 12 },
+    { header: "Created At", key: "created_at", width: 17 },
+];
+
+// Requests read per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+// Hours since a date, to one decimal
+const ageInHours = (date, now) =>
+    Math.round(((now.getTime() - date.getTime()) / (1000 * 60 * 60)) * 10) /
+    10;
+
+const toCsvCell = (value) => {
+    const cell = value ?? "";
+    return typeof cell === "string" &&
+        (cell.includes(",") || cell.includes('"') || cell.includes("\n"))
+        ? `"${cell.replace(/"/g, '""')}"`
+        : cell;
+};
 
 class RequestKanban {
     /**
-     * Find all Kanban requests with optimized pagination and includes
+     * Search Kanban requests with filters, multi-field sort and either page
+     * or cursor pagination. The cursor is the ID of the last request of
+     * the previous page.
      */
-    static async findAll(
-        page = 1,
-        limit = 10,
-        search = "",
-        sortBy = "id_kanban",
-        sortOrder = "desc"
-    ) {
-        const skip = (page - 1) * limit;
-        const take = parseInt(limit);
-
-        // Build search conditions more efficiently
-        const searchConditions = search
-            ? {
-                  OR: [
-                      {
-                          nama_requester: {
-                              contains: search,
-                              mode: "insensitive",
-                          },
-                      },
-                      {
-                          parts_number: {
-                              contains: search,
-                              mode: "insensitive",
-                          },
-                      },
-                      {
-                          lokasi: {
-                              contains: search,
-                              mode: "insensitive",
-                          },
-                      },
-                  ],
-              }
-            : {};
+    static async findAll(options = {}) {
+        const {
+            filters = {},
+            sort = "id_kanban:desc",
+            page = 1,
+            limit = 10,
+            cursor = null,
+        } = options;
 
-        // Validate sort parameters
-        const allowedSortFields = [
-            "id_kanban",
-            "tgl_produksi",
-            "created_at",
-            "nama_requester",
-            "status",
-        ];
-        const sortField = allowedSortFields.includes(sortBy)
-            ? sortBy
-            : "id_kanban";
-        const order = ["asc", "desc"].includes(sortOrder.toLowerCase())
-            ? sortOrder.toLowerCase()
-            : "desc";
+        const take = parseInt(limit);
+        const where = buildFilterWhere(filters);
+        const paging = cursor
+            ? { cursor: { id_kanban: parseInt(cursor) }, skip: 1 }
+            : { skip: (page - 1) * take };
 
         // Use Promise.all for parallel execution
-        const [data, total] = await Promise.all([
+        const [rows, total, facets] = await Promise.all([
             prisma.requestKanban.findMany({
-                where: searchConditions,
+                where,
                 include: {
                     user: {
                         select: {
@@ -74,6 +267,7 @@ class RequestKanban {
                             name: true,
                         },
                     },
+                    lines: linesInclude,
                     persetujuan: {
                         select: {
                             role: true,
@@ -92,13 +286,18 @@ class RequestKanban {
                         },
                     },
                 },
-                orderBy: { [sortField]: order },
-                skip,
-                take,
+                orderBy: toOrderBy(sort),
+                ...paging,
+                // One more than the page tells whether another page follows
+                take: take + 1,
             }),
-            prisma.requestKanban.count({ where: searchConditions }),
+            prisma.requestKanban.count({ where }),
+            this.countFacets(filters),
         ]);
 
+        const hasNextPage = rows.length > take;
+        const data = rows.slice(0, take);
+
         return {
             data: data.map((request) => ({
                 ...request,
@@ -113,22 +312,85 @@ class RequestKanban {
                     p.note.toLowerCase().includes("reject")
                 ).length,
             })),
-            pagination: {
-                total,
-                page: parseInt(page),
-                limit: take,
-                totalPages: Math.ceil(total / take),
-                hasNextPage: page < Math.ceil(total / take),
-                hasPreviousPage: page > 1,
-            },
+            pagination: cursor
+                ? {
+                      total,
+                      limit: take,
+                      cursor: parseInt(cursor),
+                      nextCursor: hasNextPage
+                          ? data[data.length - 1].id_kanban
+                          : null,
+                      hasNextPage,
+                  }
+                : {
+                      total,
+                      page: parseInt(page),
+                      limit: take,
+                      totalPages: Math.ceil(total / take),
+                      nextCursor: hasNextPage
+                          ? data[data.length - 1].id_kanban
+                          : null,
+                      hasNextPage,
+                      hasPreviousPage: page > 1,
+                  },
+            facets,
         };
     }
 
+    /**
+     * Count the requests matching the filters per status, department and
+     * classification
+     */
+    static async countFacets(filters = {}) {
+        const entries = await Promise.all(
+            Object.entries(FACETS).map(async ([name, facet]) => {
+                const groups = await prisma.requestKanban.groupBy({
+                    by: [facet.field],
+                    where: buildFilterWhere({
+                        ...filters,
+                        [facet.filter]: null,
+                    }),
+                    _count: { _all: true },
+                });
+
+                return [
+                    name,
+                    groups
+                        .map((group) => ({
+                            value: group[facet.field],
+                            count: group._count._all,
+                        }))
+                        .sort((a, b) => b.count - a.count),
+                ];
+            })
+        );
+        const facets = Object.fromEntries(entries);
+
+        // Departments are shown by name
+        const departments = await prisma.department.findMany({
+            where: {
+                id_department: {
+                    in: facets.department.map((option) => option.value),
+                },
+            },
+            select: { id_department: true, name: true },
+        });
+        facets.department = facets.department.map((option) => ({
+            ...option,
+            label:
+                departments.find(
+                    (department) => department.id_department === option.value
+                )?.name || "Unknown",
+        }));
+
+        return facets;
+    }
+
     /**
      * Enhanced create with transaction and better error handling
      */
-    static async create(requestData) {
-        return await prisma.$transaction(async (tx) => {
+    static async create(requestData, db = prisma) {
+        const apply = async (tx) => {
             // Validate department exists
             const department = await tx.department.findUnique({
                 where: { id_department: requestData.id_department },
@@ -140,13 +402,14 @@ class RequestKanban {
                 );
             }
 
-            // Create the request
+            // Create the request with its line items
             const newRequest = await tx.requestKanban.create({
-                data: {
+                data: writeLines({
                     ...requestData,
                     tgl_produksi: new Date(requestData.tgl_produksi),
-                },
+                }),
                 include: {
+                    lines: linesInclude,
                     user: {
                         select: {
                             name: true,
@@ -163,13 +426,18 @@ class RequestKanban {
             });
 
             return newRequest;
-        });
+        };
+
+        return db === prisma
+            ? await prisma.$transaction(apply)
+            : await apply(db);
     }
 
     /**
-     * Optimized findById with selective includes
+     * Find a request with its requester, department, classification and
+     * lines
      */
-    static async findById(id, includeApprovals = false) {
+    static async findById(id) {
         const include = {
             user: {
                 select: {
@@ -185,47 +453,172 @@ class RequestKanban {
                     name: true,
                 },
             },
+            classification: {
+                select: {
+                    code: true,
+                    name: true,
+                    color: true,
+                    lead_time_days: true,
+                    urgency_rank: true,
+                },
+            },
+            lines: linesInclude,
         };
 
-        if (includeApprovals) {
-            include.persetujuan = {
-                select: {
-                    id_users: true,
-                    role: true,
-                    approve: true,
-                    approvedAt: true,
-                    note: true,
-                    created_at: true,
-                    user: {
-                        select: {
-                            name: true,
-                            email: true,
-                            role: true,
-                        },
+        return await prisma.requestKanban.findUnique({
+            where: { id_kanban: parseInt(id) },
+            include,
+        });
+    }
+
+    /**
+     * Find requests of a production date in the given statuses, with what
+     * their printed kanban cards show
+     */
+    static async findForCards(options = {}) {
+        const { startDate, endDate, statuses, departmentId = null } = options;
+
+        const where = {
+            tgl_produksi: { gte: startDate, lte: endDate },
+            status: { in: statuses },
+        };
+        if (departmentId) where.id_department = parseInt(departmentId);
+
+        return await prisma.requestKanban.findMany({
+            where,
+            include: {
+                department: {
+                    select: {
+                        id_department: true,
+                        name: true,
                     },
-                    department: {
-                        select: {
-                            name: true,
+                },
+                classification: {
+                    select: {
+                        code: true,
+                        color: true,
+                    },
+                },
+                lines: linesInclude,
+                persetujuan: {
+                    where: { approve: true },
+                    select: {
+                        role: true,
+                        approve: true,
+                        approvedAt: true,
+                        revision: true,
+                        user: { select: { name: true } },
+                        actedBy: { select: { name: true } },
+                    },
+                },
+            },
+            orderBy: [{ lokasi: "asc" }, { id_kanban: "asc" }],
+        });
+    }
+
+    /**
+     * Find open requests of a department for the same location and
+     * production day that ask for any of the given parts
+     */
+    static async findDuplicates(options = {}) {
+        const {
+            departmentId,
+            lokasi,
+            startDate,
+            endDate,
+            partsNumbers,
+            excludeId = null,
+        } = options;
+
+        const where = {
+            id_department: parseInt(departmentId),
+            lokasi: { equals: lokasi, mode: "insensitive" },
+            tgl_produksi: { gte: startDate, lte: endDate },
+            status: { in: OPEN_STATUSES },
+            OR: [
+                {
+                    lines: {
+                        some: {
+                            parts_number: { in: partsNumbers },
+                            status: "ACTIVE",
                         },
                     },
                 },
-                orderBy: {
-                    created_at: "asc",
+                // Requests from before line items only have the header part
+                { lines: { none: {} }, parts_number: { in: partsNumbers } },
+            ],
+        };
+        if (excludeId) where.id_kanban = { not: parseInt(excludeId) };
+
+        return await prisma.requestKanban.findMany({
+            where,
+            select: {
+                id_kanban: true,
+                nama_requester: true,
+                parts_number: true,
+                lokasi: true,
+                tgl_produksi: true,
+                status: true,
+                created_at: true,
+                lines: {
+                    where: { status: "ACTIVE" },
+                    select: { parts_number: true },
                 },
-            };
-        }
+            },
+            orderBy: { id_kanban: "asc" },
+        });
+    }
 
-        return await prisma.requestKanban.findUnique({
+    /**
+     * Snapshots of the revisions a request went through before the current
+     * one, oldest first
+     */
+    static async findRevisions(id) {
+        return await prisma.kanbanRevision.findMany({
             where: { id_kanban: parseInt(id) },
-            include,
+            orderBy: { revision: "asc" },
         });
     }
 
     /**
-     * Optimized findKanbanById with better structure
+     * Find a request with every revision it went through, the current one
+     * included. Approvals are listed on its timeline.
      */
     static async findKanbanById(id) {
-        return await this.findById(id, true);
+        const kanban = await this.findById(id);
+        if (!kanban) {
+            return null;
+        }
+
+        const revisionHistory = await this.findRevisions(kanban.id_kanban);
+        const revisions = revisionHistory.map((revision) => ({
+            ...revision,
+            is_current: false,
+        }));
+
+        const lastRevision = revisionHistory[revisionHistory.length - 1];
+
+        revisions.push({
+            id_kanban: kanban.id_kanban,
+            revision: kanban.revision,
+            tgl_produksi: kanban.tgl_produksi,
+            nama_requester: kanban.nama_requester,
+            parts_number: kanban.parts_number,
+            lokasi: kanban.lokasi,
+            box: kanban.box,
+            klasifikasi: kanban.klasifikasi,
+            keterangan: kanban.keterangan,
+            status: kanban.status,
+            id_chain: kanban.id_chain,
+            lines: kanban.lines,
+            submitted_at: lastRevision
+                ? lastRevision.superseded_at
+                : kanban.created_at,
+            superseded_at: null,
+            is_current: true,
+        });
+
+        return { ...kanban, revisions };
     }
 
     /**
@@ -242,8 +635,8 @@ class RequestKanban {
                 throw new Error(`Request Kanban with ID ${id} not found`);
             }
 
-            // Prepare update data
-            const data = { ...updateData };
+            // Prepare update data, replacing the lines when given
+            const data = writeLines(updateData, true);
             if (data.tgl_produksi) {
                 data.tgl_produksi = new Date(data.tgl_produksi);
             }
@@ -254,6 +647,7 @@ class RequestKanban {
                 where: { id_kanban: parseInt(id) },
                 data,
                 include: {
+                    lines: linesInclude,
                     user: {
                         select: {
                             name: true,
@@ -288,10 +682,17 @@ class RequestKanban {
     }
 
     /**
-     * Optimized status update with audit
+     * Optimized status update with audit. Joins the caller's transaction
+     * when one is given.
      */
-    static async updateStatus(id, status, userId = null, note = null) {
-        return await prisma.$transaction(async (tx) => {
+    static async updateStatus(
+        id,
+        status,
+        userId = null,
+        note = null,
+        db = prisma
+    ) {
+        const apply = async (tx) => {
             const currentData = await tx.requestKanban.findUnique({
                 where: { id_kanban: parseInt(id) },
                 select: { id_kanban: true, status: true },
@@ -301,6 +702,8 @@ class RequestKanban {
                 throw new Error(`Request Kanban with ID ${id} not found`);
             }
 
+            assertTransition(currentData.status, status, currentData.id_kanban);
+
             const updatedRequest = await tx.requestKanban.update({
                 where: { id_kanban: parseInt(id) },
                 data: {
@@ -323,10 +726,223 @@ class RequestKanban {
                 });
             }
 
+            return updatedRequest;
+        };
+
+        return db === prisma
+            ? await prisma.$transaction(apply)
+            : await apply(db);
+    }
+
+    /**
+     * Start a new revision of a rejected request: the current revision is
+     * archived and the request goes back to PENDING_APPROVAL with the
+     * updated fields
+     */
+    static async resubmit(id, updateData, userId) {
+        return await prisma.$transaction(async (tx) => {
+            const currentData = await tx.requestKanban.findUnique({
+                where: { id_kanban: parseInt(id) },
+            });
+
+            if (!currentData) {
+                throw new Error(`Request Kanban with ID ${id} not found`);
+            }
+
+            assertTransition(
+                currentData.status,
+                "PENDING_APPROVAL",
+                currentData.id_kanban
+            );
+
+            const previousRevision = await tx.kanbanRevision.findFirst({
+                where: { id_kanban: currentData.id_kanban },
+                orderBy: { revision: "desc" },
+            });
+
+            const currentLines = await tx.kanbanLine.findMany({
+                where: { id_kanban: currentData.id_kanban },
+                select: {
+                    line_no: true,
+                    parts_number: true,
+                    quantity: true,
+                    unit: true,
+                    box: true,
+                    remark: true,
+                    status: true,
+                    rejected_reason: true,
+                },
+                orderBy: { line_no: "asc" },
+            });
+
+            await tx.kanbanRevision.create({
+                data: {
+                    id_kanban: currentData.id_kanban,
+                    revision: currentData.revision,
+                    tgl_produksi: currentData.tgl_produksi,
+                    nama_requester: currentData.nama_requester,
+                    parts_number: currentData.parts_number,
+                    lokasi: currentData.lokasi,
+                    box: currentData.box,
+                    klasifikasi: currentData.klasifikasi,
+                    keterangan: currentData.keterangan,
+                    status: currentData.status,
+                    id_chain: currentData.id_chain,
+                    lines: currentLines,
+                    submitted_at: previousRevision
+                        ? previousRevision.superseded_at
+                        : currentData.created_at,
+                },
+            });
+
+            const updatedRequest = await tx.requestKanban.update({
+                where: { id_kanban: currentData.id_kanban },
+                data: writeLines(
+                    {
+                        ...updateData,
+                        status: "PENDING_APPROVAL",
+                        revision: currentData.revision + 1,
+                        updated_at: new Date(),
+                    },
+                    true
+                ),
+                include: {
+                    lines: linesInclude,
+                    user: {
+                        select: {
+                            name: true,
+                            email: true,
+                        },
+                    },
+                    department: {
+                        select: {
+                            name: true,
+                        },
+                    },
+                },
+            });
+
+            await tx.auditLog.create({
+                data: {
+                    user_id: parseInt(userId),
+                    action: "RESUBMIT_REQUEST",
+                    table_name: "request_kanban",
+                    record_id: currentData.id_kanban,
+                    old_values: {
+                        revision: currentData.revision,
+                        status: currentData.status,
+                    },
+                    new_values: {
+                        revision: updatedRequest.revision,
+                        status: updatedRequest.status,
+                        changes: updateData,
+                    },
+                },
+            });
+
             return updatedRequest;
         });
     }
 
+    /**
+     * Cancel a request on behalf of its requester and close every approval
+     * that is still open on the current revision
+     */
+    static async cancel(id, reason, userId) {
+        return await prisma.$transaction(async (tx) => {
+            const currentData = await tx.requestKanban.findUnique({
+                where: { id_kanban: parseInt(id) },
+            });
+
+            if (!currentData) {
+                throw new Error(`Request Kanban with ID ${id} not found`);
+            }
+
+            assertTransition(
+                currentData.status,
+                "CANCELLED",
+                currentData.id_kanban
+            );
+
+            const closedApprovals = await tx.persetujuan.updateMany({
+                where: {
+                    id_kanban: currentData.id_kanban,
+                    revision: currentData.revision,
+                    approve: false,
+                    note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+                },
+                data: {
+                    note: NOTE.CANCELLED,
+                },
+            });
+
+            const cancelledAt = new Date();
+
+            const updatedRequest = await tx.requestKanban.update({
+                where: { id_kanban: currentData.id_kanban },
+                data: {
+                    status: "CANCELLED",
+                    cancel_reason: reason,
+                    cancelled_at: cancelledAt,
+                    updated_at: cancelledAt,
+                },
+                include: {
+                    user: {
+                        select: {
+                            name: true,
+                            email: true,
+                        },
+                    },
+                    department: {
+                        select: {
+                            name: true,
+                        },
+                    },
+                },
+            });
+
+            await tx.auditLog.create({
+                data: {
+                    user_id: parseInt(userId),
+                    action: "CANCEL_REQUEST",
+                    table_name: "request_kanban",
+                    record_id: currentData.id_kanban,
+                    old_values: { status: currentData.status },
+                    new_values: {
+                        status: updatedRequest.status,
+                        cancel_reason: reason,
+                        closed_approvals: closedApprovals.count,
+                    },
+                },
+            });
+
+            return {
+                request: updatedRequest,
+                closedApprovals: closedApprovals.count,
+            };
+        });
+    }
+
+    /**
+     * Link a request to the approval chain it follows
+     */
+    static async assignChain(id, chainId, db = prisma) {
+        return await db.requestKanban.update({
+            where: { id_kanban: parseInt(id) },
+            data: { id_chain: chainId ? parseInt(chainId) : null },
+        });
+    }
+
+    /**
+     * Set the priority of a request
+     */
+    static async updatePriority(id, priority) {
+        return await prisma.requestKanban.update({
+            where: { id_kanban: parseInt(id) },
+            data: { priority },
+        });
+    }
+
     /**
      * Optimized findByUserId with pagination
      */
@@ -639,7 +1255,7 @@ class RequestKanban {
         const [data, total] = await Promise.all([
             prisma.requestKanban.findMany({
                 where: {
-                    status: "APPROVED_BY_PC",
+                    status: { in: ["APPROVED_BY_PC", "CLOSED"] },
                 },
                 include: {
                     user: {
@@ -663,7 +1279,7 @@ class RequestKanban {
             }),
             prisma.requestKanban.count({
                 where: {
-                    status: "APPROVED_BY_PC",
+                    status: { in: ["APPROVED_BY_PC", "CLOSED"] },
                 },
             }),
         ]);
@@ -682,10 +1298,11 @@ class RequestKanban {
     /**
      * Optimized hasApprovals check
      */
-    static async hasApprovals(id) {
+    static async hasApprovals(id, revision = 1) {
         const count = await prisma.persetujuan.count({
             where: {
                 id_kanban: parseInt(id),
+                revision: parseInt(revision),
                 approve: true,
             },
         });
@@ -705,6 +1322,420 @@ class RequestKanban {
         return kanban?.id_users === parseInt(userId);
     }
 
+    /**
+     * Count requests submitted in a date range by status, department,
+     * classification and day, with approval lead-time percentiles overall
+     * and by priority. The range defaults to the last 30 days.
+     */
+    static async getAnalytics(options = {}) {
+        const { departmentId = null } = options;
+        const dateTo = options.dateTo ? new Date(options.dateTo) : new Date();
+        const dateFrom = options.dateFrom
+            ? new Date(options.dateFrom)
+            : subDays(dateTo, 30);
+
+        const where = buildFilterWhere({ dateFrom, dateTo, departmentId });
+
+        const [byStatus, byDepartment, byClassification, requests] =
+            await Promise.all([
+                prisma.requestKanban.groupBy({
+                    by: ["status"],
+                    where,
+                    _count: { _all: true },
+                }),
+                prisma.requestKanban.groupBy({
+                    by: ["id_department"],
+                    where,
+                    _count: { _all: true },
+                }),
+                prisma.requestKanban.groupBy({
+                    by: ["klasifikasi"],
+                    where,
+                    _count: { _all: true },
+                }),
+                prisma.requestKanban.findMany({
+                    where,
+                    select: {
+                        created_at: true,
+                        status: true,
+                        priority: true,
+                        revision: true,
+                        persetujuan: {
+                            where: { approve: true, approvedAt: { not: null } },
+                            select: { approvedAt: true, revision: true },
+                        },
+                    },
+                }),
+            ]);
+
+        const departments = await prisma.department.findMany({
+            where: {
+                id_department: {
+                    in: byDepartment.map((group) => group.id_department),
+                },
+            },
+            select: { id_department: true, name: true },
+        });
+
+        const byDay = new Map();
+        const leadTimes = [];
+
+        requests.forEach((request) => {
+            const day = format(request.created_at, "yyyy-MM-dd");
+            byDay.set(day, (byDay.get(day) || 0) + 1);
+
+            // Lead time runs from submission to the last approval of the
+            // current revision, for requests PC has approved
+            if (
+                request.status !== STATUS.APPROVED_BY_PC &&
+                request.status !== STATUS.CLOSED
+            ) {
+                return;
+            }
+
+            const approvedAt = request.persetujuan
+                .filter((approval) => approval.revision === request.revision)
+                .map((approval) => approval.approvedAt.getTime());
+
+            if (approvedAt.length > 0) {
+                leadTimes.push({
+                    priority: request.priority,
+                    hours:
+                        (Math.max(...approvedAt) -
+                            request.created_at.getTime()) /
+                        (1000 * 60 * 60),
+                });
+            }
+        });
+
+        return {
+            period: {
+                dateFrom: format(dateFrom, "yyyy-MM-dd"),
+                dateTo: format(dateTo, "yyyy-MM-dd"),
+            },
+            total: requests.length,
+            byStatus: byStatus.reduce((acc, group) => {
+                acc[group.status] = group._count._all;
+                return acc;
+            }, {}),
+            byDepartment: byDepartment
+                .map((group) => ({
+                    id_department: group.id_department,
+                    name:
+                        departments.find(
+                            (department) =>
+                                department.id_department ===
+                                group.id_department
+                        )?.name || "Unknown",
+                    count: group._count._all,
+                }))
+                .sort((a, b) => b.count - a.count),
+            byClassification: byClassification
+                .map((group) => ({
+                    klasifikasi: group.klasifikasi,
+                    count: group._count._all,
+                }))
+                .sort((a, b) => b.count - a.count),
+            byDay: [...byDay.entries()]
+                .map(([date, count]) => ({ date, count }))
+                .sort((a, b) => a.date.localeCompare(b.date)),
+            leadTime: {
+                unit: "hours",
+                ...summarizeLeadTimes(leadTimes.map((item) => item.hours)),
+            },
+            // Highest priority first
+            leadTimeByPriority: Object.values(PRIORITY)
+                .reverse()
+                .map((priority) => ({
+                    priority,
+                    unit: "hours",
+                    ...summarizeLeadTimes(
+                        leadTimes
+                            .filter((item) => item.priority === priority)
+                            .map((item) => item.hours)
+                    ),
+                })),
+        };
+    }
+
+    /**
+     * Export the requests matching the filters of the request list as CSV,
+     * JSON or XLSX. CSV and XLSX have one row per line item.
+     */
+    static async exportData(options = {}) {
+        const {
+            format: fileFormat = "csv",
+            sort = "id_kanban:desc",
+            ...filters
+        } = options;
+
+        const where = buildFilterWhere(filters);
+        const orderBy = toOrderBy(sort);
+        const requests = [];
+
+        // Read every matching request in batches, the order ends on
+        // id_kanban so batches do not overlap
+        for (;;) {
+            const batch = await prisma.requestKanban.findMany({
+                where,
+                include: {
+                    department: {
+                        select: {
+                            name: true,
+                        },
+                    },
+                    lines: linesInclude,
+                    _count: {
+                        select: {
+                            attachments: true,
+                        },
+                    },
+                },
+                orderBy,
+                skip: requests.length,
+                take: EXPORT_BATCH_SIZE,
+            });
+
+            requests.push(...batch);
+
+            if (batch.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+        }
+
+        if (fileFormat === "json") {
+            return {
+                content: JSON.stringify(
+                    requests.map(({ department, _count, ...request }) => ({
+                        ...request,
+                        department: department.name,
+                        attachment_count: _count.attachments,
+                    })),
+                    null,
+                    2
+                ),
+                contentType: "application/json",
+                count: requests.length,
+            };
+        }
+
+        // Requests from before line items were added export as one line
+        const rows = requests.flatMap((request) =>
+            (request.lines.length > 0
+                ? request.lines
+                : [
+                      {
+                          line_no: 1,
+                          parts_number: request.parts_number,
+                          quantity: null,
+                          unit: "",
+                          status: "ACTIVE",
+                      },
+                  ]
+            ).map((line) => ({
+                id_kanban: request.id_kanban,
+                nama_requester: request.nama_requester,
+                department: request.department.name,
+                tgl_produksi: format(request.tgl_produksi, "yyyy-MM-dd"),
+                line_no: line.line_no,
+                parts_number: line.parts_number,
+                quantity: line.quantity,
+                unit: line.unit,
+                line_status: line.status,
+                lokasi: request.lokasi,
+                box: line.box ?? request.box,
+                klasifikasi: request.klasifikasi,
+                priority: request.priority,
+                keterangan: request.keterangan,
+                status: request.status,
+                revision: request.revision,
+                attachment_count: request._count.attachments,
+                created_at: format(request.created_at, "yyyy-MM-dd HH:mm"),
+            }))
+        );
+
+        if (fileFormat === "xlsx") {
+            return {
+                content: await createDataSheetBuffer(
+                    "Kanban Requests",
+                    EXPORT_COLUMNS,
+                    rows
+                ),
+                contentType:
+                    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+                count: requests.length,
+            };
+        }
+
+        return {
+            content: [
+                EXPORT_COLUMNS.map((column) => column.header).join(","),
+                ...rows.map((row) =>
+                    EXPORT_COLUMNS.map((column) =>
+                        toCsvCell(row[column.key])
+                    ).join(",")
+                ),
+            ].join("\n"),
+            contentType: "text/csv",
+            count: requests.length,
+        };
+    }
+
+    /**
+     * Group the requests in scope into the kanban board columns. Columns
+     * count their requests per department against the department's WIP
+     * limit and list at most `limit` cards, oldest first, the done column
+     * most recently closed first and only back to doneSince.
+     */
+    static async getBoard(options = {}) {
+        const {
+            scope = {},
+            departmentId = null,
+            limit = 20,
+            doneSince = null,
+        } = options;
+        const now = new Date();
+
+        const where = departmentId
+            ? { AND: [scope, { id_department: parseInt(departmentId) }] }
+            : scope;
+
+        const columns = await Promise.all(
+            BOARD_COLUMNS.map(async (column) => {
+                const isDone = column.key === "done";
+                const columnWhere = {
+                    ...where,
+                    status: { in: column.statuses },
+                    ...(isDone &&
+                        doneSince && { updated_at: { gte: doneSince } }),
+                };
+
+                const [groups, cards] = await Promise.all([
+                    prisma.requestKanban.groupBy({
+                        by: ["id_department"],
+                        where: columnWhere,
+                        _count: { _all: true },
+                        _min: { created_at: true },
+                    }),
+                    prisma.requestKanban.findMany({
+                        where: columnWhere,
+                        select: {
+                            id_kanban: true,
+                            id_users: true,
+                            id_department: true,
+                            nama_requester: true,
+                            parts_number: true,
+                            lokasi: true,
+                            klasifikasi: true,
+                            priority: true,
+                            tgl_produksi: true,
+                            status: true,
+                            revision: true,
+                            created_at: true,
+                            updated_at: true,
+                            department: {
+                                select: { id_department: true, name: true },
+                            },
+                            _count: { select: { lines: true } },
+                        },
+                        orderBy: isDone
+                            ? [{ updated_at: "desc" }, { id_kanban: "desc" }]
+                            : [{ created_at: "asc" }, { id_kanban: "asc" }],
+                        take: parseInt(limit),
+                    }),
+                ]);
+
+                return { column, groups, cards };
+            })
+        );
+
+        const departments = await prisma.department.findMany({
+            where: {
+                id_department: {
+                    in: [
+                        ...new Set(
+                            columns
+                                .flatMap(({ groups }) => groups)
+                                .map((group) => group.id_department)
+                                .concat(
+                                    departmentId ? [parseInt(departmentId)] : []
+                                )
+                        ),
+                    ],
+                },
+            },
+            select: { id_department: true, name: true, wip_limits: true },
+        });
+
+        const wipLimitOf = (column, id) => {
+            const limitValue = departments.find(
+                (department) => department.id_department === id
+            )?.wip_limits?.[column.key];
+
+            return column.has_wip_limit && Number.isInteger(limitValue)
+                ? limitValue
+                : null;
+        };
+
+        const boardColumns = columns.map(({ column, groups, cards }) => {
+            const count = groups.reduce(
+                (sum, group) => sum + group._count._all,
+                0
+            );
+            const oldest = groups
+                .map((group) => group._min.created_at)
+                .sort((a, b) => a - b)[0];
+            // A single department board carries that department's limit
+            const wipLimit = departmentId
+                ? wipLimitOf(column, parseInt(departmentId))
+                : null;
+
+            return {
+                key: column.key,
+                name: column.name,
+                statuses: column.statuses,
+                count,
+                wip_limit: wipLimit,
+                over_limit: wipLimit !== null && count > wipLimit,
+                oldest_created_at: oldest || null,
+                oldest_age_hours: oldest ? ageInHours(oldest, now) : null,
+                departments: groups
+                    .map((group) => {
+                        const groupLimit = wipLimitOf(
+                            column,
+                            group.id_department
+                        );
+
+                        return {
+                            id_department: group.id_department,
+                            name:
+                                departments.find(
+                                    (department) =>
+                                        department.id_department ===
+                                        group.id_department
+                                )?.name || "Unknown",
+                            count: group._count._all,
+                            wip_limit: groupLimit,
+                            over_limit:
+                                groupLimit !== null &&
+                                group._count._all > groupLimit,
+                        };
+                    })
+                    .sort((a, b) => b.count - a.count),
+                cards: cards.map((card) => ({
+                    ...card,
+                    age_hours: ageInHours(card.created_at, now),
+                })),
+            };
+        });
+
+        return {
+            generated_at: now,
+            total: boardColumns.reduce((sum, column) => sum + column.count, 0),
+            columns: boardColumns,
+        };
+    }
+
     /**
      * Get request statistics for dashboard
      */
@@ -713,14 +1744,17 @@ class RequestKanban {
         if (userId) where.id_users = parseInt(userId);
         if (departmentId) where.id_department = parseInt(departmentId);
 
-        const [total, pending, approved, rejected, byStatus] =
+        const [total, pending, approved, rejected, cancelled, byStatus] =
             await Promise.all([
                 prisma.requestKanban.count({ where }),
                 prisma.requestKanban.count({
                     where: { ...where, status: "PENDING_APPROVAL" },
                 }),
                 prisma.requestKanban.count({
-                    where: { ...where, status: "APPROVED_BY_PC" },
+                    where: {
+                        ...where,
+                        status: { in: ["APPROVED_BY_PC", "CLOSED"] },
+                    },
                 }),
                 prisma.requestKanban.count({
                     where: {
@@ -730,6 +1764,9 @@ class RequestKanban {
                         },
                     },
                 }),
+                prisma.requestKanban.count({
+                    where: { ...where, status: "CANCELLED" },
+                }),
                 prisma.requestKanban.groupBy({
                     by: ["status"],
                     where,
@@ -744,6 +1781,7 @@ class RequestKanban {
             pending,
             approved,
             rejected,
+            cancelled,
             byStatus: byStatus.map((item) => ({
                 status: item.status,
                 count: item._count.status,
@@ -764,6 +1802,30 @@ class RequestKanban {
                 throw new Error("No valid kanban IDs provided");
             }
 
+            // Every request must be allowed to move to the new status
+            const currentRequests = await tx.requestKanban.findMany({
+                where: { id_kanban: { in: validIds } },
+                select: { id_kanban: true, status: true },
+            });
+
+            const illegalTransitions = currentRequests
+                .filter((request) => !canTransition(request.status, status))
+                .map((request) => ({
+                    id_kanban: request.id_kanban,
+                    current_status: request.status,
+                    allowed_statuses: getAllowedTransitions(request.status),
+                }));
+
+            if (illegalTransitions.length > 0) {
+                throw new ConflictError(
+                    `Cannot change status of ${illegalTransitions.length} request(s) to ${status}`,
+                    {
+                        attempted_status: status,
+                        requests: illegalTransitions,
+                    }
+                );
+            }
+
             // Update all requests
             const result = await tx.requestKanban.updateMany({
                 where: {
@@ -1,4 +1,5 @@
 const prisma = require("../../prisma/client");
+const { ConflictError } = require("../middlewares/ErrorHandler");
 const {
     validatePassword,
     hashPassword,
@@ -514,6 +515,19 @@ class User {
         return await prisma.$transaction(async (tx) => {
             const userId = parseInt(id);
 
+            // Chain stages naming the user would be left without approver
+            const stages = await tx.approvalStage.findMany({
+                where: { id_users: userId },
+                select: { id_chain: true, sequence: true },
+            });
+
+            if (stages.length > 0) {
+                throw new ConflictError(
+                    "User is the approver of approval chain stages, assign them to another approver first",
+                    { stages }
+                );
+            }
+
             // Delete related records first (in order of dependencies)
             await tx.token.deleteMany({
                 where: { user_id: userId },
@@ -527,10 +541,45 @@ class User {
                 where: { id_users: userId },
             });
 
+            // Keep the decisions the user took on behalf of others or on
+            // request lines, without the user
+            await tx.persetujuan.updateMany({
+                where: { id_acted_by: userId },
+                data: { id_acted_by: null },
+            });
+
+            await tx.kanbanLine.updateMany({
+                where: { id_rejected_by: userId },
+                data: { id_rejected_by: null },
+            });
+
+            await tx.approvalDelegation.deleteMany({
+                where: {
+                    OR: [{ id_delegator: userId }, { id_delegate: userId }],
+                },
+            });
+
+            await tx.attachment.deleteMany({
+                where: { id_users: userId },
+            });
+
+            await tx.kanbanComment.deleteMany({
+                where: { id_users: userId },
+            });
+
             await tx.requestKanban.deleteMany({
                 where: { id_users: userId },
             });
 
+            // Schedules after the requests, which refer to their schedule
+            await tx.kanbanSchedule.deleteMany({
+                where: { id_users: userId },
+            });
+
+            await tx.kanbanTemplate.deleteMany({
+                where: { id_users: userId },
+            });
+
             // Anonymize audit logs instead of deleting (for compliance)
             await tx.auditLog.updateMany({
                 where: { user_id: userId },
@@ -719,6 +768,37 @@ class User {
         });
     }
 
+    /**
+     * Find users referenced by a comment: by ID, or by @handle matching the
+     * part of their email before the @
+     */
+    static async findForMentions(handles = [], ids = []) {
+        if (handles.length === 0 && ids.length === 0) {
+            return [];
+        }
+
+        return await prisma.user.findMany({
+            where: {
+                OR: [
+                    ...(ids.length > 0
+                        ? [{ id_users: { in: ids.map((id) => parseInt(id)) } }]
+                        : []),
+                    ...handles.map((handle) => ({
+                        email: { startsWith: `${handle}@`, mode: "insensitive" },
+                    })),
+                ],
+            },
+            select: {
+                id_users: true,
+                id_department: true,
+                name: true,
+                email: true,
+                no_hp: true,
+                role: true,
+            },
+        });
+    }
+
     /**
      * Search users with advanced filters
      */
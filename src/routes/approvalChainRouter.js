@@ -0,0 +1,48 @@
+const express = require("express");
+const {
+    authenticateToken,
+    authorizeAdmin,
+} = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { validateApprovalChain } = require("../validators/approvalChainValidator");
+const {
+    getAllApprovalChains,
+    getApprovalChainById,
+    resolveApprovalChain,
+    createApprovalChain,
+    updateApprovalChain,
+    setApprovalChainActive,
+    deleteApprovalChain,
+} = require("../controllers/ApprovalChainController");
+
+const approvalChainRouter = express.Router();
+
+// Apply authentication and admin authorization to all routes
+approvalChainRouter.use(authenticateToken);
+approvalChainRouter.use(authorizeAdmin); // Only admin can configure approval chains
+
+// Apply input sanitization
+approvalChainRouter.use(sanitizeInput);
+
+// Get all approval chains
+approvalChainRouter.get("/", getAllApprovalChains);
+
+// Preview the chain used for a department/classification
+approvalChainRouter.get("/resolve", resolveApprovalChain);
+
+// Get approval chain by ID
+approvalChainRouter.get("/:id", getApprovalChainById);
+
+// Create approval chain
+approvalChainRouter.post("/", validateApprovalChain, createApprovalChain);
+
+// Replace approval chain and its stages
+approvalChainRouter.put("/:id", validateApprovalChain, updateApprovalChain);
+
+// Activate or deactivate approval chain
+approvalChainRouter.patch("/:id/active", setApprovalChainActive);
+
+// Delete approval chain
+approvalChainRouter.delete("/:id", deleteApprovalChain);
+
+module.exports = approvalChainRouter;
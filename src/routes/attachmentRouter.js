@@ -0,0 +1,47 @@
+const express = require("express");
+
+// Mounted under /kanban/:id_kanban/attachments
+const attachmentRouter = express.Router({ mergeParams: true });
+
+// Controllers
+const {
+    getAttachments,
+    uploadAttachments,
+    downloadAttachment,
+    deleteAttachment,
+} = require("../controllers/AttachmentController");
+
+// Middleware
+const {
+    authenticateToken,
+    checkDepartmentMembership,
+} = require("../middlewares/AuthMiddleware");
+const { securityValidation } = require("../validators/kanbanValidator");
+const { validateAttachments } = require("../validators/attachmentValidator");
+const { PC_DEPARTMENT_ID } = require("../utils/constants");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+
+// Apply global middleware to all routes.
+// Attachments are validated and set aside before sanitization.
+attachmentRouter.use(authenticateToken);
+attachmentRouter.use(validateAttachments);
+attachmentRouter.use(sanitizeInput);
+attachmentRouter.use(securityValidation);
+
+// Same visibility as the request detail: PC, the requester's department
+// and the request's approvers
+attachmentRouter.use(checkDepartmentMembership(PC_DEPARTMENT_ID));
+
+// Get files attached to a kanban request
+attachmentRouter.get("/", getAttachments);
+
+// Attach files
+attachmentRouter.post("/", uploadAttachments);
+
+// Download an attachment
+attachmentRouter.get("/:id_attachment", downloadAttachment);
+
+// Delete an attachment (uploader while the request is open, or admin)
+attachmentRouter.delete("/:id_attachment", deleteAttachment);
+
+module.exports = attachmentRouter;
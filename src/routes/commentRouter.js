@@ -0,0 +1,49 @@
+const express = require("express");
+
+// Mounted under /kanban/:id_kanban/comments
+const commentRouter = express.Router({ mergeParams: true });
+
+// Controllers
+const {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment,
+    downloadCommentAttachment,
+} = require("../controllers/CommentController");
+
+// Middleware
+const { authenticateToken } = require("../middlewares/AuthMiddleware");
+const { securityValidation } = require("../validators/kanbanValidator");
+const {
+    validateComment,
+    validateCommentAttachments,
+} = require("../validators/commentValidator");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+
+// Apply global middleware to all routes.
+// Attachments are validated and set aside before sanitization.
+commentRouter.use(authenticateToken);
+commentRouter.use(validateCommentAttachments);
+commentRouter.use(sanitizeInput);
+commentRouter.use(securityValidation);
+
+// Get comments of a kanban request
+commentRouter.get("/", getComments);
+
+// Add a comment
+commentRouter.post("/", validateComment, createComment);
+
+// Edit a comment (author only, within the edit window)
+commentRouter.put("/:id_comment", validateComment, updateComment);
+
+// Delete a comment (author within the edit window, or admin)
+commentRouter.delete("/:id_comment", deleteComment);
+
+// Download a comment attachment
+commentRouter.get(
+    "/:id_comment/attachments/:id_attachment",
+    downloadCommentAttachment
+);
+
+module.exports = commentRouter;
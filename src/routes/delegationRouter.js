@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+    authenticateToken,
+    authorizeRoles,
+} = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { validateDelegation } = require("../validators/delegationValidator");
+const {
+    getDelegations,
+    getDelegationById,
+    createDelegation,
+    updateDelegation,
+    revokeDelegation,
+} = require("../controllers/DelegationController");
+
+const delegationRouter = express.Router();
+
+// Apply authentication to all routes
+delegationRouter.use(authenticateToken);
+
+// Only approvers (and admin) can delegate approval authority
+delegationRouter.use(
+    authorizeRoles("LEADER", "SUPERVISOR", "MANAGER", "STAFF", "ADMIN")
+);
+
+// Apply input sanitization
+delegationRouter.use(sanitizeInput);
+
+// Get delegations given or received by the current user
+delegationRouter.get("/", getDelegations);
+
+// Get delegation by ID
+delegationRouter.get("/:id", getDelegationById);
+
+// Create delegation
+delegationRouter.post("/", validateDelegation, createDelegation);
+
+// Update delegation
+delegationRouter.put("/:id", validateDelegation, updateDelegation);
+
+// Revoke delegation
+delegationRouter.patch("/:id/revoke", revokeDelegation);
+
+module.exports = delegationRouter;
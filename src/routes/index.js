@@ -1,17 +1,35 @@
 const express = require('express');
 const authRouter = require('./authRouter');
 const kanbanRouter = require('./kanbanRouter');
+const commentRouter = require('./commentRouter');
+const attachmentRouter = require('./attachmentRouter');
 const userRouter = require('./userRouter');
 const reportRouter = require('./reportRouter');
 const registrationRouter = require('./registrationRouter');
 const auditLogRouter = require('./auditLogRouter');
+const approvalChainRouter = require('./approvalChainRouter');
+const delegationRouter = require('./delegationRouter');
+const partRouter = require('./partRouter');
+const locationRouter = require('./locationRouter');
+const klasifikasiRouter = require('./klasifikasiRouter');
+const scheduleRouter = require('./scheduleRouter');
+const templateRouter = require('./templateRouter');
 const router = express.Router();
 
 router.use('/auth', authRouter);
+router.use('/kanban/:id_kanban/comments', commentRouter);
+router.use('/kanban/:id_kanban/attachments', attachmentRouter);
 router.use('/kanban', kanbanRouter);
 router.use('/user', userRouter);
 router.use('/report', reportRouter);
 router.use('/registration', registrationRouter);
 router.use('/audit-log', auditLogRouter);
+router.use('/approval-chain', approvalChainRouter);
+router.use('/delegation', delegationRouter);
+router.use('/part', partRouter);
+router.use('/location', locationRouter);
+router.use('/klasifikasi', klasifikasiRouter);
+router.use('/schedule', scheduleRouter);
+router.use('/template', templateRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -11,10 +11,25 @@ const {
     getIncomingForPC,
     getApprovedByPCKanban,
     rejectKanban,
+    rejectKanbanLines,
+    overrideKanbanPriority,
+    bulkApproveKanban,
+    bulkRejectKanban,
     updateKanban,
+    resubmitKanban,
+    cancelKanban,
     getAllKanban,
     getKanbanById,
+    getKanbanTimeline,
+    getKanbanActions,
+    getKanbanCard,
+    getKanbanCardSheet,
+    scanKanban,
     getDashboardStats,
+    getKanbanBoard,
+    updateWipLimits,
+    getKanbanAnalytics,
+    exportKanban,
 } = require("../controllers/KanbanController");
 
 // Middleware
@@ -32,14 +47,24 @@ const {
     validateUpdateKanban,
     validateApproveKanban,
     validateRejectKanban,
+    validateRejectLines,
+    validatePriorityOverride,
+    validateScanKanban,
+    validateCancelKanban,
     validateQueryParams,
+    validateSearchKanban,
+    validateCardSheetQuery,
+    validateBoardQuery,
+    validateWipLimits,
     validatePathParams,
     securityValidation,
-    fileUploadValidation,
     createRateLimit,
     validateBulkOperation,
 } = require("../validators/kanbanValidator");
 
+const { validateAttachments } = require("../validators/attachmentValidator");
+const { PC_DEPARTMENT_ID } = require("../utils/constants");
+
 const {
     globalErrorHandler,
     sanitizeInput,
@@ -49,6 +74,8 @@ const {
 
 // Apply global middleware to all routes
 kanbanRouter.use(authenticateToken);
+// Attachments sent with a new request are set aside before sanitization
+kanbanRouter.use("/request", validateAttachments);
 kanbanRouter.use(sanitizeInput);
 kanbanRouter.use(securityValidation);
 
@@ -59,10 +86,10 @@ const auditSensitiveOperations = logAuthEvent("KANBAN_OPERATION");
  * Public Kanban Routes (accessible by all authenticated users)
  */
 
-// Get all Kanban requests with enhanced filtering
+// Search Kanban requests with filters, facets and cursor pagination
 kanbanRouter.get(
     "/all",
-    // validateQueryParams,
+    validateSearchKanban,
     getAllKanban
 );
 
@@ -70,9 +97,50 @@ kanbanRouter.get(
 kanbanRouter.get(
     "/get/:id_kanban",
     // validatePathParams,
+    // PC, the requester's department and the kanban's approvers
+    checkDepartmentMembership(PC_DEPARTMENT_ID),
     getKanbanById
 );
 
+// Get what happened to a Kanban request, in chronological order
+kanbanRouter.get(
+    "/:id_kanban/timeline",
+    validatePathParams,
+    // PC, the requester's department and the kanban's approvers
+    checkDepartmentMembership(PC_DEPARTMENT_ID),
+    getKanbanTimeline
+);
+
+// Print the kanban cards of an approved request
+kanbanRouter.get(
+    "/:id_kanban/card.pdf",
+    validatePathParams,
+    // PC, the requester's department and the kanban's approvers
+    checkDepartmentMembership(PC_DEPARTMENT_ID),
+    getKanbanCard
+);
+
+// Print the kanban cards of a production date on A4 sheets
+kanbanRouter.get(
+    "/cards.pdf",
+    validateCardSheetQuery,
+    getKanbanCardSheet
+);
+
+// Look up a request from a scanned card; PC Staff scans close it
+kanbanRouter.post(
+    "/scan",
+    validateScanKanban,
+    scanKanban
+);
+
+// Get actions the current user may take on a Kanban request
+kanbanRouter.get(
+    "/:id_kanban/actions",
+    validatePathParams,
+    getKanbanActions
+);
+
 // Get user's own requests
 kanbanRouter.get(
     "/mine",
@@ -86,6 +154,22 @@ kanbanRouter.get(
     getDashboardStats
 );
 
+// Get the kanban board grouped by lifecycle columns
+kanbanRouter.get(
+    "/board",
+    validateBoardQuery,
+    getKanbanBoard
+);
+
+// Set the board WIP limits of a department
+kanbanRouter.put(
+    "/board/wip-limits/:id_department",
+    authorizeRoles("ADMIN", "MANAGER"),
+    validateWipLimits,
+    auditSensitiveOperations,
+    updateWipLimits
+);
+
 /**
  * Request Management Routes
  */
@@ -94,7 +178,6 @@ kanbanRouter.get(
 kanbanRouter.post(
     "/request",
     validateCreateKanban,
-    fileUploadValidation.validate,
     auditSensitiveOperations,
     createKanban
 );
@@ -108,6 +191,24 @@ kanbanRouter.put(
     updateKanban
 );
 
+// Revise and resubmit a rejected Kanban request
+kanbanRouter.post(
+    "/:id_kanban/resubmit",
+    validatePathParams,
+    validateUpdateKanban,
+    auditSensitiveOperations,
+    resubmitKanban
+);
+
+// Cancel (withdraw) a Kanban request before PC closure
+kanbanRouter.post(
+    "/:id_kanban/cancel",
+    validatePathParams,
+    validateCancelKanban,
+    auditSensitiveOperations,
+    cancelKanban
+);
+
 /**
  * Approval Management Routes
  */
@@ -138,6 +239,26 @@ kanbanRouter.post(
     rejectKanban
 );
 
+// Reject individual lines of a Kanban request
+kanbanRouter.post(
+    "/:id_kanban/lines/reject",
+    validatePathParams,
+    validateRejectLines,
+    authorizeRoles("LEADER", "SUPERVISOR", "MANAGER", "STAFF"),
+    auditSensitiveOperations,
+    rejectKanbanLines
+);
+
+// Override the priority of a Kanban request awaiting approval
+kanbanRouter.patch(
+    "/:id_kanban/priority",
+    validatePathParams,
+    validatePriorityOverride,
+    authorizeRoles("LEADER", "SUPERVISOR", "MANAGER", "STAFF", "ADMIN"),
+    auditSensitiveOperations,
+    overrideKanbanPriority
+);
+
 // Get approved Kanban requests
 kanbanRouter.get(
     "/approved",
@@ -153,7 +274,7 @@ kanbanRouter.get(
 // Get incoming requests for PC staff
 kanbanRouter.get(
     "/incoming-pc",
-    checkDepartmentMembership(1), // PC Department ID = 1
+    checkDepartmentMembership(PC_DEPARTMENT_ID),
     authorizeRoles("STAFF", "SUPERVISOR", "MANAGER"),
     getIncomingForPC
 );
@@ -175,43 +296,7 @@ kanbanRouter.post(
     authorizeRoles("ADMIN", "MANAGER"),
     validateBulkOperation,
     auditSensitiveOperations,
-    async (req, res, next) => {
-        try {
-            const { kanban_ids } = req.validatedBody;
-            const { id_users, role } = req.user;
-
-            // Process bulk approval
-            const results = [];
-            for (const kanbanId of kanban_ids) {
-                try {
-                    // Reuse the single approval logic
-                    req.body = { id_kanban: kanbanId };
-                    await approveKanban(req, res, () => {});
-                    results.push({ id_kanban: kanbanId, status: 'success' });
-                } catch (error) {
-                    results.push({ 
-                        id_kanban: kanbanId, 
-                        status: 'failed', 
-                        error: error.message 
-                    });
-                }
-            }
-
-            return res.json({
-                success: true,
-                message: "Bulk approval completed",
-                results,
-                summary: {
-                    total: kanban_ids.length,
-                    successful: results.filter(r => r.status === 'success').length,
-                    failed: results.filter(r => r.status === 'failed').length,
-                },
-                timestamp: new Date().toISOString(),
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    bulkApproveKanban
 );
 
 // Bulk reject multiple requests
@@ -220,41 +305,7 @@ kanbanRouter.post(
     authorizeRoles("ADMIN", "MANAGER"),
     validateBulkOperation,
     auditSensitiveOperations,
-    async (req, res, next) => {
-        try {
-            const { kanban_ids, reason } = req.validatedBody;
-            const { id_users, role } = req.user;
-
-            const results = [];
-            for (const kanbanId of kanban_ids) {
-                try {
-                    req.body = { id_kanban: kanbanId, alasan: reason };
-                    await rejectKanban(req, res, () => {});
-                    results.push({ id_kanban: kanbanId, status: 'success' });
-                } catch (error) {
-                    results.push({ 
-                        id_kanban: kanbanId, 
-                        status: 'failed', 
-                        error: error.message 
-                    });
-                }
-            }
-
-            return res.json({
-                success: true,
-                message: "Bulk rejection completed",
-                results,
-                summary: {
-                    total: kanban_ids.length,
-                    successful: results.filter(r => r.status === 'success').length,
-                    failed: results.filter(r => r.status === 'failed').length,
-                },
-                timestamp: new Date().toISOString(),
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    bulkRejectKanban
 );
 
 /**
@@ -266,60 +317,16 @@ kanbanRouter.get(
     "/analytics",
     authorizeRoles("ADMIN"),
     validateQueryParams,
-    async (req, res, next) => {
-        try {
-            const { dateFrom, dateTo, departmentId } = req.validatedQuery;
-            
-            // Calculate analytics data
-            const analytics = await RequestKanban.getAnalytics({
-                dateFrom,
-                dateTo,
-                departmentId,
-            });
-
-            return res.json({
-                success: true,
-                message: "Analytics data retrieved successfully",
-                data: analytics,
-                timestamp: new Date().toISOString(),
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    getKanbanAnalytics
 );
 
 // Export data (Admin/Manager only)
 kanbanRouter.get(
     "/export",
     authorizeRoles("ADMIN", "MANAGER"),
-    validateQueryParams,
+    validateSearchKanban,
     rateLimitSensitive(5, 60 * 60 * 1000), // 5 exports per hour
-    async (req, res, next) => {
-        try {
-            const { format = "csv", dateFrom, dateTo } = req.validatedQuery;
-            
-            // Generate export data
-            const exportData = await RequestKanban.exportData({
-                format,
-                dateFrom,
-                dateTo,
-                userId: req.user.id_users,
-            });
-
-            // Set appropriate headers for file download
-            res.setHeader('Content-Type', 
-                format === 'csv' ? 'text/csv' : 'application/json'
-            );
-            res.setHeader('Content-Disposition', 
-                `attachment; filename="kanban-export-${new Date().toISOString().split('T')[0]}.${format}"`
-            );
-
-            return res.send(exportData);
-        } catch (error) {
-            next(error);
-        }
-    }
+    exportKanban
 );
 
 /**
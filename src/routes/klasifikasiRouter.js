@@ -0,0 +1,49 @@
+const express = require("express");
+const {
+    authenticateToken,
+    authorizeAdmin,
+} = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { validateKlasifikasi } = require("../validators/klasifikasiValidator");
+const {
+    getKlasifikasi,
+    getKlasifikasiById,
+    createKlasifikasi,
+    updateKlasifikasi,
+    deleteKlasifikasi,
+} = require("../controllers/KlasifikasiController");
+
+const klasifikasiRouter = express.Router();
+
+// Apply authentication to all routes
+klasifikasiRouter.use(authenticateToken);
+
+// Apply input sanitization
+klasifikasiRouter.use(sanitizeInput);
+
+// Get classifications
+klasifikasiRouter.get("/", getKlasifikasi);
+
+// Get classification by ID
+klasifikasiRouter.get("/:id", getKlasifikasiById);
+
+// Create classification (admin only)
+klasifikasiRouter.post(
+    "/",
+    authorizeAdmin,
+    validateKlasifikasi,
+    createKlasifikasi
+);
+
+// Update classification (admin only)
+klasifikasiRouter.put(
+    "/:id",
+    authorizeAdmin,
+    validateKlasifikasi,
+    updateKlasifikasi
+);
+
+// Delete classification (admin only)
+klasifikasiRouter.delete("/:id", authorizeAdmin, deleteKlasifikasi);
+
+module.exports = klasifikasiRouter;
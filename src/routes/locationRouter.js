@@ -0,0 +1,84 @@
+const express = require("express");
+const {
+    authenticateToken,
+    authorizeAdmin,
+} = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const {
+    validateLocation,
+    validateBoxType,
+} = require("../validators/locationValidator");
+const {
+    getLocations,
+    getLocationTree,
+    getLocationById,
+    createLocation,
+    updateLocation,
+    deleteLocation,
+    getBoxTypes,
+    getBoxTypeById,
+    createBoxType,
+    updateBoxType,
+    deleteBoxType,
+} = require("../controllers/LocationController");
+
+const locationRouter = express.Router();
+
+// Apply authentication to all routes
+locationRouter.use(authenticateToken);
+
+// Apply input sanitization
+locationRouter.use(sanitizeInput);
+
+/**
+ * Box Type Routes
+ */
+
+// Get box types
+locationRouter.get("/box-types", getBoxTypes);
+
+// Get box type by ID
+locationRouter.get("/box-types/:id", getBoxTypeById);
+
+// Create box type (admin only)
+locationRouter.post(
+    "/box-types",
+    authorizeAdmin,
+    validateBoxType,
+    createBoxType
+);
+
+// Update box type (admin only)
+locationRouter.put(
+    "/box-types/:id",
+    authorizeAdmin,
+    validateBoxType,
+    updateBoxType
+);
+
+// Delete box type (admin only)
+locationRouter.delete("/box-types/:id", authorizeAdmin, deleteBoxType);
+
+/**
+ * Location Routes (plant -> area -> line)
+ */
+
+// Get locations
+locationRouter.get("/", getLocations);
+
+// Get locations as a plant -> area -> line tree
+locationRouter.get("/tree", getLocationTree);
+
+// Get location by ID
+locationRouter.get("/:id", getLocationById);
+
+// Create location (admin only)
+locationRouter.post("/", authorizeAdmin, validateLocation, createLocation);
+
+// Update location (admin only)
+locationRouter.put("/:id", authorizeAdmin, validateLocation, updateLocation);
+
+// Delete location (admin only)
+locationRouter.delete("/:id", authorizeAdmin, deleteLocation);
+
+module.exports = locationRouter;
@@ -0,0 +1,43 @@
+const express = require("express");
+const {
+    authenticateToken,
+    authorizeAdmin,
+} = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { validatePart } = require("../validators/partValidator");
+const {
+    getParts,
+    searchParts,
+    getPartById,
+    createPart,
+    updatePart,
+    deletePart,
+} = require("../controllers/PartController");
+
+const partRouter = express.Router();
+
+// Apply authentication to all routes
+partRouter.use(authenticateToken);
+
+// Apply input sanitization
+partRouter.use(sanitizeInput);
+
+// Get parts
+partRouter.get("/", getParts);
+
+// Autocomplete active parts
+partRouter.get("/search", searchParts);
+
+// Get part by ID
+partRouter.get("/:id", getPartById);
+
+// Create part (admin only)
+partRouter.post("/", authorizeAdmin, validatePart, createPart);
+
+// Update part (admin only)
+partRouter.put("/:id", authorizeAdmin, validatePart, updatePart);
+
+// Delete part (admin only)
+partRouter.delete("/:id", authorizeAdmin, deletePart);
+
+module.exports = partRouter;
@@ -4,6 +4,7 @@ const {
     checkDepartmentAccess,
     authenticateToken,
     authorizeRoles,
+    authorizeAdmin,
     rateLimitSensitive,
 } = require("../middlewares/AuthMiddleware");
 const { sanitizeInput } = require("../middlewares/ErrorHandler");
@@ -15,6 +16,8 @@ const {
     getDepartmentReport,
     getApprovalReport,
     getRequesterReport,
+    getLocationReport,
+    getDuplicateReport,
     getReportDashboard,
     exportCustomReport,
 } = require("../controllers/ReportController");
@@ -113,4 +116,10 @@ reportRouter.get(
     getRequesterReport
 );
 
+// Get request counts grouped by plant, area or line
+reportRouter.get("/by-location", checkDepartmentAccess, getLocationReport);
+
+// Get requests suspected to duplicate each other (admin only)
+reportRouter.get("/duplicates", authorizeAdmin, getDuplicateReport);
+
 module.exports = reportRouter;
@@ -0,0 +1,57 @@
+const express = require("express");
+const { authenticateToken } = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { securityValidation } = require("../validators/kanbanValidator");
+const {
+    validateSchedule,
+    validateUpcomingQuery,
+} = require("../validators/scheduleValidator");
+const {
+    getSchedules,
+    getScheduleById,
+    getUpcomingOccurrences,
+    createSchedule,
+    updateSchedule,
+    pauseSchedule,
+    resumeSchedule,
+    deleteSchedule,
+} = require("../controllers/ScheduleController");
+
+const scheduleRouter = express.Router();
+
+// Apply authentication to all routes
+scheduleRouter.use(authenticateToken);
+
+// Apply input sanitization
+scheduleRouter.use(sanitizeInput);
+scheduleRouter.use(securityValidation);
+
+// Get recurring schedules of the current user
+scheduleRouter.get("/", getSchedules);
+
+// Get schedule by ID
+scheduleRouter.get("/:id", getScheduleById);
+
+// Get the next occurrences of a schedule
+scheduleRouter.get(
+    "/:id/upcoming",
+    validateUpcomingQuery,
+    getUpcomingOccurrences
+);
+
+// Create schedule
+scheduleRouter.post("/", validateSchedule, createSchedule);
+
+// Update schedule
+scheduleRouter.put("/:id", validateSchedule, updateSchedule);
+
+// Pause schedule
+scheduleRouter.patch("/:id/pause", pauseSchedule);
+
+// Resume paused schedule
+scheduleRouter.patch("/:id/resume", resumeSchedule);
+
+// Delete schedule
+scheduleRouter.delete("/:id", deleteSchedule);
+
+module.exports = scheduleRouter;
@@ -0,0 +1,46 @@
+const express = require("express");
+const { authenticateToken } = require("../middlewares/AuthMiddleware");
+const { sanitizeInput } = require("../middlewares/ErrorHandler");
+const { securityValidation } = require("../validators/kanbanValidator");
+const { validateTemplate } = require("../validators/templateValidator");
+const {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    toggleFavourite,
+    deleteTemplate,
+    createRequestFromTemplate,
+} = require("../controllers/TemplateController");
+
+const templateRouter = express.Router();
+
+// Apply authentication to all routes
+templateRouter.use(authenticateToken);
+
+// Apply input sanitization
+templateRouter.use(sanitizeInput);
+templateRouter.use(securityValidation);
+
+// Get own templates and those shared in the department
+templateRouter.get("/", getTemplates);
+
+// Get template by ID
+templateRouter.get("/:id", getTemplateById);
+
+// Create template
+templateRouter.post("/", validateTemplate, createTemplate);
+
+// Update template
+templateRouter.put("/:id", validateTemplate, updateTemplate);
+
+// Mark or unmark template as favourite
+templateRouter.patch("/:id/favourite", toggleFavourite);
+
+// Delete template
+templateRouter.delete("/:id", deleteTemplate);
+
+// Create a Kanban request from a template
+templateRouter.post("/:id/request", createRequestFromTemplate);
+
+module.exports = templateRouter;
@@ -0,0 +1,88 @@
+// services/AttachmentService.js - Files attached to kanban requests
+const Attachment = require("../models/Attachment");
+const { isTerminalStatus } = require("../utils/statusTransitions");
+const { config } = require("../config");
+const {
+    decodeUpload,
+    saveFile,
+    deleteFile,
+} = require("../utils/fileStorage");
+const {
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+class AttachmentService {
+    /**
+     * Decode and check uploads for a kanban before anything is written, so
+     * a bad file does not leave a half-stored request behind
+     */
+    static async prepareUploads(uploads, kanban = null) {
+        if (kanban && isTerminalStatus(kanban.status)) {
+            throw new ConflictError(
+                `Cannot attach files to a request with status ${kanban.status}`,
+                { current_status: kanban.status }
+            );
+        }
+
+        const existingCount = kanban
+            ? await Attachment.countByKanban(kanban.id_kanban)
+            : 0;
+        const { maxAttachments } = config.business.kanban;
+
+        if (existingCount + uploads.length > maxAttachments) {
+            throw new ValidationError(
+                `A request can have at most ${maxAttachments} attachments`,
+                { existing: existingCount, uploaded: uploads.length }
+            );
+        }
+
+        return uploads.map(decodeUpload);
+    }
+
+    /**
+     * Store prepared files on disk and record them on the kanban. Files
+     * already written are removed again when anything fails.
+     */
+    static async storeForKanban(kanbanId, userId, files) {
+        if (files.length === 0) {
+            return [];
+        }
+
+        const storedNames = [];
+
+        try {
+            for (const file of files) {
+                storedNames.push(await saveFile(file.buffer, file.file_name));
+            }
+
+            return await Attachment.createMany(
+                files.map((file, index) => ({
+                    id_kanban: parseInt(kanbanId),
+                    id_users: userId,
+                    file_name: file.file_name,
+                    stored_name: storedNames[index],
+                    mime_type: file.mime_type,
+                    size: file.size,
+                }))
+            );
+        } catch (error) {
+            await Promise.all(storedNames.map((name) => deleteFile(name)));
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an attachment and its file. A file that cannot be removed is
+     * only logged, the record is gone either way.
+     */
+    static async remove(attachment) {
+        await Attachment.deleteById(attachment.id_attachment);
+
+        await deleteFile(attachment.stored_name).catch((err) => {
+            console.error("Failed to delete attachment file:", err);
+        });
+    }
+}
+
+module.exports = AttachmentService;
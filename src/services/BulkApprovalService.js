@@ -0,0 +1,473 @@
+// services/BulkApprovalService.js - Bulk approve/reject of kanban requests
+const prisma = require("../../prisma/client");
+const ApprovalService = require("./approvalService");
+const AuthService = require("./authService");
+const { sendBatchNotifications } = require("../utils/notification");
+
+// Interactive transactions time out after 5 seconds by default, which is
+// too short for a full batch of approvals
+const TRANSACTION_TIMEOUT_MS = 60 * 1000;
+
+const ITEM_STATUS = {
+    SUCCESS: "success",
+    FAILED: "failed",
+    ROLLED_BACK: "rolled_back",
+    SKIPPED: "skipped",
+    WOULD_SUCCEED: "would_succeed",
+    WOULD_FAIL: "would_fail",
+};
+
+/**
+ * Describe the delegator a delegate acted for
+ */
+const toOnBehalfOf = (approval, delegation) =>
+    delegation
+        ? {
+              user_id: approval.id_users,
+              name: delegation.delegator.name,
+              role: approval.role,
+              department_id: approval.id_department,
+          }
+        : null;
+
+/**
+ * Per-item error as returned to the client
+ */
+const toItemError = (error) => ({
+    message: error.message,
+    code: error.code || null,
+    status_code: error.statusCode || 500,
+    details: error.details || null,
+});
+
+class BulkApprovalService {
+    /**
+     * Approve or reject several requests as one user. Every request goes
+     * through the same ApprovalService logic as the single endpoints.
+     *
+     * With transactional, either every request is applied or none is.
+     * Otherwise each request is applied on its own and failures do not
+     * affect the others. With dryRun nothing is written and the result
+     * tells which requests would succeed.
+     */
+    static async process(action, kanbanIds, user, options = {}) {
+        const {
+            reason = null,
+            transactional = false,
+            dryRun = false,
+            ipAddress = null,
+            userAgent = null,
+        } = options;
+
+        const ids = [...new Set(kanbanIds.map((id) => parseInt(id)))];
+
+        if (dryRun) {
+            const results = [];
+            for (const kanbanId of ids) {
+                results.push(await this.previewItem(action, kanbanId, user));
+            }
+
+            return this.summarize(action, results, {
+                dryRun,
+                transactional,
+                committed: false,
+            });
+        }
+
+        const { items, committed } = transactional
+            ? await this.runTransactional(action, ids, user, reason)
+            : await this.runIndependently(action, ids, user, reason);
+
+        const applied = committed
+            ? items.filter((item) => item.result.status === ITEM_STATUS.SUCCESS)
+            : [];
+
+        if (applied.length > 0) {
+            await this.writeAuditLogs(action, applied, user, {
+                reason,
+                transactional,
+                ipAddress,
+                userAgent,
+            });
+
+            this.sendGroupedNotifications(
+                applied.flatMap((item) => item.notifications)
+            );
+        }
+
+        return this.summarize(
+            action,
+            items.map((item) => item.result),
+            { dryRun, transactional, committed }
+        );
+    }
+
+    /**
+     * Apply each request in its own transaction
+     */
+    static async runIndependently(action, ids, user, reason) {
+        const items = [];
+
+        for (const kanbanId of ids) {
+            try {
+                items.push(
+                    await prisma.$transaction(
+                        (tx) =>
+                            this.applyItem(action, kanbanId, user, reason, tx),
+                        { timeout: TRANSACTION_TIMEOUT_MS }
+                    )
+                );
+            } catch (error) {
+                items.push({
+                    result: {
+                        id_kanban: kanbanId,
+                        status: ITEM_STATUS.FAILED,
+                        error: toItemError(error),
+                    },
+                    notifications: [],
+                    audit: null,
+                });
+            }
+        }
+
+        return { items, committed: true };
+    }
+
+    /**
+     * Apply all requests in one transaction. The first failure rolls the
+     * whole batch back and the remaining requests are not attempted.
+     */
+    static async runTransactional(action, ids, user, reason) {
+        const items = [];
+        let failure = null;
+
+        try {
+            await prisma.$transaction(
+                async (tx) => {
+                    for (const kanbanId of ids) {
+                        try {
+                            items.push(
+                                await this.applyItem(
+                                    action,
+                                    kanbanId,
+                                    user,
+                                    reason,
+                                    tx
+                                )
+                            );
+                        } catch (error) {
+                            failure = { kanbanId, error };
+                            throw error;
+                        }
+                    }
+                },
+                { timeout: TRANSACTION_TIMEOUT_MS }
+            );
+        } catch (error) {
+            if (!failure) {
+                throw error;
+            }
+        }
+
+        if (!failure) {
+            return { items, committed: true };
+        }
+
+        const rolledBack = items.map((item) => ({
+            ...item,
+            result: {
+                id_kanban: item.result.id_kanban,
+                status: ITEM_STATUS.ROLLED_BACK,
+                error: {
+                    message: `Rolled back because kanban ${failure.kanbanId} failed`,
+                    code: null,
+                    status_code: null,
+                    details: null,
+                },
+            },
+        }));
+
+        const failedIndex = ids.indexOf(failure.kanbanId);
+
+        const skipped = ids.slice(failedIndex + 1).map((kanbanId) => ({
+            result: {
+                id_kanban: kanbanId,
+                status: ITEM_STATUS.SKIPPED,
+                error: null,
+            },
+            notifications: [],
+            audit: null,
+        }));
+
+        return {
+            items: [
+                ...rolledBack,
+                {
+                    result: {
+                        id_kanban: failure.kanbanId,
+                        status: ITEM_STATUS.FAILED,
+                        error: toItemError(failure.error),
+                    },
+                    notifications: [],
+                    audit: null,
+                },
+                ...skipped,
+            ],
+            committed: false,
+        };
+    }
+
+    /**
+     * Approve or reject one request with the given transaction client.
+     * Notifications and audit entries are returned, not sent, so they only
+     * go out once the work is committed.
+     */
+    static async applyItem(action, kanbanId, user, reason, db) {
+        const { request, approval, delegation } =
+            await ApprovalService.prepareDecision(kanbanId, user, action, db);
+
+        const onBehalfOf = toOnBehalfOf(approval, delegation);
+
+        if (action === "approve") {
+            const result = await ApprovalService.processApproval(
+                user,
+                request,
+                approval,
+                db
+            );
+
+            return {
+                result: {
+                    id_kanban: kanbanId,
+                    status: ITEM_STATUS.SUCCESS,
+                    action: result.type === "closure" ? "close" : "approve",
+                    on_behalf_of: onBehalfOf,
+                    notifications_sent: result.notificationData.length,
+                },
+                notifications: result.notificationData.map((item) => ({
+                    user: item.user,
+                    request,
+                    message: item.message,
+                })),
+                audit: delegation
+                    ? {
+                          action: "KANBAN_APPROVED_ON_BEHALF",
+                          record_id: kanbanId,
+                          new_values: {
+                              id_delegation: delegation.id_delegation,
+                              approver_id: approval.id_users,
+                              acted_by: user.id_users,
+                              role: approval.role,
+                              approval_type: result.type,
+                          },
+                      }
+                    : null,
+            };
+        }
+
+        const result = await ApprovalService.handleRejection(
+            user.id_users,
+            request,
+            approval,
+            reason,
+            db
+        );
+
+        const rejectedBy = delegation
+            ? `${user.role} (atas nama ${delegation.delegator.name})`
+            : user.role;
+
+        return {
+            result: {
+                id_kanban: kanbanId,
+                status: ITEM_STATUS.SUCCESS,
+                action: "reject",
+                new_status: result.status,
+                on_behalf_of: onBehalfOf,
+            },
+            notifications: request.user
+                ? [
+                      {
+                          user: request.user,
+                          request,
+                          message: `Request Kanban Anda telah ditolak oleh ${rejectedBy}. Alasan: ${reason}`,
+                      },
+                  ]
+                : [],
+            audit: delegation
+                ? {
+                      action: "KANBAN_REJECTED_ON_BEHALF",
+                      record_id: kanbanId,
+                      new_values: {
+                          id_delegation: delegation.id_delegation,
+                          approver_id: approval.id_users,
+                          acted_by: user.id_users,
+                          role: approval.role,
+                          reason,
+                      },
+                  }
+                : null,
+        };
+    }
+
+    /**
+     * Check a request without writing anything
+     */
+    static async previewItem(action, kanbanId, user) {
+        try {
+            const { request, approval, delegation } =
+                await ApprovalService.prepareDecision(kanbanId, user, action);
+
+            let itemAction = action;
+
+            if (action === "approve") {
+                const chain = await ApprovalService.getChainForKanban(request);
+                const stage = ApprovalService.findStageForApproval(
+                    chain,
+                    request,
+                    approval
+                );
+
+                if (
+                    ApprovalService.isClosureApproval(
+                        chain,
+                        stage,
+                        request,
+                        approval
+                    )
+                ) {
+                    itemAction = "close";
+                }
+            }
+
+            return {
+                id_kanban: kanbanId,
+                status: ITEM_STATUS.WOULD_SUCCEED,
+                action: itemAction,
+                current_status: request.status,
+                on_behalf_of: toOnBehalfOf(approval, delegation),
+            };
+        } catch (error) {
+            return {
+                id_kanban: kanbanId,
+                status: ITEM_STATUS.WOULD_FAIL,
+                error: toItemError(error),
+            };
+        }
+    }
+
+    /**
+     * Record one audit entry for the batch plus the on-behalf entries the
+     * single endpoints would have written
+     */
+    static async writeAuditLogs(action, applied, user, context) {
+        const { reason, transactional, ipAddress, userAgent } = context;
+
+        await AuthService.createAuditLog({
+            user_id: user.id_users,
+            action:
+                action === "approve"
+                    ? "KANBAN_BULK_APPROVED"
+                    : "KANBAN_BULK_REJECTED",
+            table_name: "request_kanban",
+            new_values: {
+                kanban_ids: applied.map((item) => item.result.id_kanban),
+                transactional,
+                ...(reason && { reason }),
+            },
+            ip_address: ipAddress,
+            user_agent: userAgent,
+        });
+
+        for (const { audit } of applied) {
+            if (audit) {
+                await AuthService.createAuditLog({
+                    user_id: user.id_users,
+                    table_name: "persetujuan",
+                    ...audit,
+                    ip_address: ipAddress,
+                    user_agent: userAgent,
+                });
+            }
+        }
+    }
+
+    /**
+     * Send one notification per recipient. Recipients affected by several
+     * requests get a single message listing all of them.
+     */
+    static sendGroupedNotifications(notifications) {
+        const groups = new Map();
+
+        for (const notification of notifications) {
+            const key = notification.user.id_users || notification.user.email;
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(notification);
+        }
+
+        const grouped = [...groups.values()].map((items) => {
+            if (items.length === 1) {
+                return items[0];
+            }
+
+            const requests = [
+                ...new Map(
+                    items.map((item) => [item.request.id_kanban, item.request])
+                ).values(),
+            ];
+
+            return {
+                user: items[0].user,
+                request: items[0].request,
+                requests,
+                message: `Ada ${
+                    requests.length
+                } request Kanban yang diproses sekaligus:\n${items
+                    .map(
+                        (item) => `- #${item.request.id_kanban}: ${item.message}`
+                    )
+                    .join("\n")}`,
+            };
+        });
+
+        if (grouped.length > 0) {
+            sendBatchNotifications(grouped).catch((error) => {
+                console.error("Failed to send bulk notifications:", error);
+            });
+        }
+
+        return grouped.length;
+    }
+
+    /**
+     * Build the bulk response payload
+     */
+    static summarize(action, results, { dryRun, transactional, committed }) {
+        const count = (status) =>
+            results.filter((result) => result.status === status).length;
+
+        return {
+            action,
+            dry_run: dryRun,
+            transactional,
+            committed,
+            results,
+            summary: {
+                total: results.length,
+                successful: dryRun
+                    ? count(ITEM_STATUS.WOULD_SUCCEED)
+                    : count(ITEM_STATUS.SUCCESS),
+                failed: dryRun
+                    ? count(ITEM_STATUS.WOULD_FAIL)
+                    : count(ITEM_STATUS.FAILED),
+                rolled_back: count(ITEM_STATUS.ROLLED_BACK),
+                skipped: count(ITEM_STATUS.SKIPPED),
+            },
+        };
+    }
+}
+
+module.exports = BulkApprovalService;
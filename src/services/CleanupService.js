@@ -1,6 +1,11 @@
 // services/CleanupService.js - Service for cleaning up expired tokens and OTPs
 const AuthService = require("./authService");
 const OTPService = require("./OTPService");
+const EscalationService = require("./EscalationService");
+const ScheduleService = require("./ScheduleService");
+const Attachment = require("../models/Attachment");
+const { listFilesBefore, deleteFile } = require("../utils/fileStorage");
+const { config } = require("../config");
 const cron = require("node-cron");
 
 class CleanupService {
@@ -12,6 +17,10 @@ class CleanupService {
             totalTokensCleanedUp: 0,
             totalOTPsCleanedUp: 0,
             totalAuditLogsCleanedUp: 0,
+            totalOrphanedFilesCleanedUp: 0,
+            totalApprovalReminders: 0,
+            totalApprovalEscalations: 0,
+            totalScheduledRequests: 0,
             errors: [],
         };
     }
@@ -37,6 +46,24 @@ class CleanupService {
             await this.performDeepCleanup();
         });
 
+        // Run daily at 8 AM to remind and escalate overdue approvals
+        cron.schedule(
+            "0 8 * * *",
+            async () => {
+                await this.performApprovalEscalation();
+            },
+            { timezone: config.app.timezone }
+        );
+
+        // Run every hour to create the requests of recurring schedules
+        cron.schedule(
+            "15 * * * *",
+            async () => {
+                await this.performScheduledRequests();
+            },
+            { timezone: config.app.timezone }
+        );
+
         this.isRunning = true;
         console.log("✅ Cleanup service started successfully");
 
@@ -107,8 +134,12 @@ class CleanupService {
             // Cleanup old audit logs (older than 90 days)
             const auditLogsCleanedUp = await this.cleanupOldAuditLogs(90);
 
+            // Remove stored files whose attachments are gone
+            const orphanedFilesCleanedUp = await this.cleanupOrphanedFiles();
+
             // Update stats
             this.stats.totalAuditLogsCleanedUp += auditLogsCleanedUp;
+            this.stats.totalOrphanedFilesCleanedUp += orphanedFilesCleanedUp;
 
             // Cleanup old error logs from stats (keep only last 100)
             if (this.stats.errors.length > 100) {
@@ -118,6 +149,9 @@ class CleanupService {
             const duration = Date.now() - startTime;
             console.log(`✅ Deep cleanup completed in ${duration}ms`);
             console.log(`   - Audit logs cleaned: ${auditLogsCleanedUp}`);
+            console.log(
+                `   - Orphaned files cleaned: ${orphanedFilesCleanedUp}`
+            );
         } catch (error) {
             console.error("❌ Error during deep cleanup:", error);
             this.stats.errors.push({
@@ -130,6 +164,66 @@ class CleanupService {
         }
     }
 
+    /**
+     * Send reminders for overdue approvals and escalate stalled ones
+     */
+    async performApprovalEscalation() {
+        if (!this.isRunning) return;
+
+        const startTime = Date.now();
+        console.log("⏰ Checking overdue approvals...");
+
+        try {
+            const { reminders, escalations } =
+                await EscalationService.processOverdueApprovals();
+
+            this.stats.totalApprovalReminders += reminders;
+            this.stats.totalApprovalEscalations += escalations;
+
+            const duration = Date.now() - startTime;
+            console.log(`✅ Approval escalation completed in ${duration}ms`);
+            console.log(`   - Reminders sent: ${reminders}`);
+            console.log(`   - Escalations: ${escalations}`);
+        } catch (error) {
+            console.error("❌ Error during approval escalation:", error);
+            this.stats.errors.push({
+                timestamp: new Date(),
+                type: "approval_escalation",
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Create the requests of recurring schedules that are due
+     */
+    async performScheduledRequests() {
+        if (!this.isRunning) return;
+
+        const startTime = Date.now();
+        console.log("📅 Checking recurring request schedules...");
+
+        try {
+            const { created, failed, skipped } =
+                await ScheduleService.processDueSchedules();
+
+            this.stats.totalScheduledRequests += created;
+
+            const duration = Date.now() - startTime;
+            console.log(`✅ Scheduled requests completed in ${duration}ms`);
+            console.log(`   - Requests created: ${created}`);
+            console.log(`   - Failed: ${failed}`);
+            console.log(`   - Missed occurrences skipped: ${skipped}`);
+        } catch (error) {
+            console.error("❌ Error during scheduled requests:", error);
+            this.stats.errors.push({
+                timestamp: new Date(),
+                type: "scheduled_requests",
+                error: error.message,
+            });
+        }
+    }
+
     /**
      * Cleanup expired tokens
      */
@@ -189,6 +283,41 @@ class CleanupService {
         }
     }
 
+    /**
+     * Remove stored files no attachment refers to anymore, as left behind
+     * when requests, comments or users are deleted with their attachments.
+     * Files of the last hour are kept, their upload may still be saving.
+     */
+    async cleanupOrphanedFiles() {
+        try {
+            console.log("🧹 Cleaning up orphaned attachment files...");
+
+            const cutoffDate = new Date(Date.now() - 60 * 60 * 1000);
+            const storedNames = await listFilesBefore(cutoffDate);
+
+            if (storedNames.length === 0) {
+                return 0;
+            }
+
+            const existing = await Attachment.findExistingStoredNames(
+                storedNames
+            );
+            const orphaned = storedNames.filter(
+                (storedName) => !existing.has(storedName)
+            );
+
+            for (const storedName of orphaned) {
+                await deleteFile(storedName);
+            }
+
+            console.log(`   - Removed ${orphaned.length} orphaned files`);
+            return orphaned.length;
+        } catch (error) {
+            console.error("❌ Error cleaning up orphaned files:", error);
+            throw error;
+        }
+    }
+
     /**
      * Manual cleanup trigger
      */
@@ -197,6 +326,10 @@ class CleanupService {
 
         if (type === "deep") {
             await this.performDeepCleanup();
+        } else if (type === "escalation") {
+            await this.performApprovalEscalation();
+        } else if (type === "schedules") {
+            await this.performScheduledRequests();
         } else {
             await this.performCleanup();
         }
@@ -224,6 +357,10 @@ class CleanupService {
             totalTokensCleanedUp: 0,
             totalOTPsCleanedUp: 0,
             totalAuditLogsCleanedUp: 0,
+            totalOrphanedFilesCleanedUp: 0,
+            totalApprovalReminders: 0,
+            totalApprovalEscalations: 0,
+            totalScheduledRequests: 0,
             errors: [],
         };
         console.log("📊 Cleanup statistics reset");
@@ -0,0 +1,279 @@
+// services/EscalationService.js - Service for approval deadline reminders and escalation
+const prisma = require("../../prisma/client");
+const Persetujuan = require("../models/Persetujuan");
+const ApprovalEscalation = require("../models/ApprovalEscalation");
+const AuthService = require("./authService");
+const { sendBatchNotifications } = require("../utils/notification");
+const { config } = require("../config");
+const { ESCALATION_PATH, NOTE } = require("../utils/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest role first, used to pick who is holding a stage up
+const ROLE_ORDER = ["LEADER", "SUPERVISOR", "STAFF", "MANAGER"];
+
+const userSelect = {
+    id_users: true,
+    id_department: true,
+    name: true,
+    email: true,
+    no_hp: true,
+    role: true,
+};
+
+class EscalationService {
+    constructor() {
+        this.isProcessing = false;
+    }
+
+    /**
+     * Send reminders for overdue approvals and escalate stalled stages
+     */
+    async processOverdueApprovals() {
+        if (this.isProcessing) {
+            return { reminders: 0, escalations: 0 };
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const { deadlineDays, autoEscalationEnabled, escalationDays } =
+                config.business.approval;
+            const now = new Date();
+            const cutoff = new Date(now.getTime() - deadlineDays * DAY_MS);
+
+            const overdueApprovals = await Persetujuan.findOverdue(cutoff);
+
+            const notifications = overdueApprovals.map((approval) => ({
+                user: approval.user,
+                request: approval.requestKanban,
+                message: `Pengingat: Request Kanban #${
+                    approval.id_kanban
+                } menunggu approval Anda sejak ${approval.updated_at.toLocaleDateString(
+                    "id-ID"
+                )} dan telah melewati batas waktu ${deadlineDays} hari.`,
+            }));
+
+            let escalations = 0;
+
+            if (autoEscalationEnabled) {
+                for (const group of this.groupByStage(overdueApprovals)) {
+                    const result = await this.escalateStage(
+                        group,
+                        now,
+                        deadlineDays,
+                        escalationDays
+                    );
+
+                    if (result) {
+                        escalations++;
+                        notifications.push(...result.notifications);
+                    }
+                }
+            }
+
+            if (notifications.length > 0) {
+                sendBatchNotifications(notifications).catch((error) => {
+                    console.error("Escalation notification error:", error);
+                });
+            }
+
+            return { reminders: overdueApprovals.length, escalations };
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Group overdue approvals by kanban revision, department and stage
+     */
+    groupByStage(approvals) {
+        const groups = new Map();
+
+        for (const approval of approvals) {
+            const key = `${approval.id_kanban}:${approval.revision}:${
+                approval.id_department
+            }:${approval.stage_sequence}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(approval);
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Escalate a stalled stage one role up when it is due
+     */
+    async escalateStage(approvals, now, deadlineDays, escalationDays) {
+        const [first] = approvals;
+        const { id_kanban, id_department, stage_sequence, revision } = first;
+
+        const pendingSince = approvals.reduce(
+            (earliest, approval) =>
+                approval.updated_at < earliest ? approval.updated_at : earliest,
+            first.updated_at
+        );
+
+        const latest = await ApprovalEscalation.findLatest(
+            id_kanban,
+            id_department,
+            stage_sequence,
+            revision
+        );
+
+        const dueAt = latest
+            ? latest.created_at.getTime() + escalationDays * DAY_MS
+            : pendingSince.getTime() + (deadlineDays + escalationDays) * DAY_MS;
+
+        if (now.getTime() < dueAt) {
+            return null;
+        }
+
+        const fromRole = latest
+            ? latest.to_role
+            : ROLE_ORDER.find((role) =>
+                  approvals.some((approval) => approval.role === role)
+              );
+
+        const stageApprovals = await Persetujuan.findManyWithUser({
+            id_kanban,
+            id_department,
+            stage_sequence,
+            revision,
+        });
+
+        const { toRole, targets } = await this.findEscalationTargets(
+            fromRole,
+            id_department,
+            stageApprovals
+        );
+
+        if (!toRole) {
+            return null;
+        }
+
+        // Escalated approvers get their own open row on the same stage,
+        // those who already have an open row keep it
+        await Persetujuan.createManySkipDuplicates(
+            targets
+                .filter(
+                    (target) =>
+                        !stageApprovals.some(
+                            (approval) =>
+                                approval.id_users === target.id_users &&
+                                approval.role === target.role
+                        )
+                )
+                .map((target) => ({
+                    id_users: target.id_users,
+                    id_department: target.id_department,
+                    id_kanban,
+                    role: target.role,
+                    approve: false,
+                    note: first.note,
+                    stage_sequence,
+                    revision,
+                }))
+        );
+
+        const escalation = await ApprovalEscalation.create({
+            id_kanban,
+            id_department,
+            stage_sequence,
+            revision,
+            from_role: fromRole,
+            to_role: toRole,
+            level: (latest?.level || 0) + 1,
+            pending_since: pendingSince,
+            notified_count: targets.length,
+        });
+
+        await AuthService.createAuditLog({
+            user_id: null,
+            action: "APPROVAL_ESCALATED",
+            table_name: "persetujuan",
+            record_id: id_kanban,
+            old_values: {
+                id_department,
+                stage_sequence,
+                role: fromRole,
+                pending_since: pendingSince,
+            },
+            new_values: {
+                id_escalation: escalation.id_escalation,
+                role: toRole,
+                level: escalation.level,
+                escalated_to: targets.map((target) => target.id_users),
+            },
+            ip_address: "system",
+            user_agent: "escalation-scheduler",
+        });
+
+        console.log(
+            `   - Kanban ${id_kanban} escalated from ${fromRole} to ${toRole}`
+        );
+
+        return {
+            escalation,
+            notifications: targets.map((target) => ({
+                user: target,
+                request: first.requestKanban,
+                message: `Eskalasi: Request Kanban #${id_kanban} dari ${
+                    first.requestKanban.nama_requester
+                } belum diproses oleh ${fromRole} sejak ${pendingSince.toLocaleDateString(
+                    "id-ID"
+                )}. Mohon segera ditindaklanjuti.`,
+            })),
+        };
+    }
+
+    /**
+     * Walk up the escalation path until a role with users who can still act
+     * on the stage is found. Users who already decided on the stage are
+     * skipped, MANAGER is the last level since approval rows have no ADMIN
+     * role.
+     */
+    async findEscalationTargets(fromRole, departmentId, stageApprovals) {
+        let toRole = ESCALATION_PATH[fromRole];
+
+        while (toRole) {
+            const users = await prisma.user.findMany({
+                where: { role: toRole, id_department: departmentId },
+                select: userSelect,
+            });
+
+            const targets = users.filter(
+                (user) =>
+                    !stageApprovals.some(
+                        (approval) =>
+                            approval.id_users === user.id_users &&
+                            approval.role === user.role &&
+                            !this.isOpen(approval)
+                    )
+            );
+
+            if (targets.length > 0) {
+                return { toRole, targets };
+            }
+
+            toRole = ESCALATION_PATH[toRole];
+        }
+
+        return { toRole: null, targets: [] };
+    }
+
+    /**
+     * Whether an approval still waits for a decision
+     */
+    isOpen(approval) {
+        return (
+            !approval.approve &&
+            [NOTE.PENDING, NOTE.PENDING_CLOSURE].includes(approval.note)
+        );
+    }
+}
+
+module.exports = new EscalationService();
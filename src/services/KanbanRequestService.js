@@ -0,0 +1,312 @@
+// services/KanbanRequestService.js - Master data checks and submission of kanban requests
+const prisma = require("../../prisma/client");
+const User = require("../models/User");
+const RequestKanban = require("../models/RequestKanban");
+const Part = require("../models/Part");
+const Location = require("../models/Location");
+const BoxType = require("../models/BoxType");
+const Klasifikasi = require("../models/Klasifikasi");
+const ApprovalService = require("./approvalService");
+const { sendBatchNotifications } = require("../utils/notification");
+const { DEFAULT_KLASIFIKASI, PRIORITY } = require("../utils/constants");
+const { startOfDay, endOfDay } = require("date-fns");
+const {
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+class KanbanRequestService {
+    /**
+     * Check that a request refers to an active part of the parts master,
+     * once it has parts
+     */
+    static async assertActivePart(partsNumber, field = "parts_number") {
+        const part = await Part.findByNumber(partsNumber);
+
+        if (!part && !(await Part.hasParts())) {
+            return {
+                parts_number: partsNumber.trim().toUpperCase(),
+                unit: "PCS",
+            };
+        }
+
+        if (!part || !part.is_active) {
+            throw new ValidationError("Invalid parts number", [
+                {
+                    field,
+                    message: part
+                        ? `Part ${part.parts_number} is no longer active`
+                        : `Part ${partsNumber.trim().toUpperCase()} is not registered in the parts master`,
+                },
+            ]);
+        }
+
+        return part;
+    }
+
+    /**
+     * Store location, box and classification as their master data codes
+     * and link the records. Only the fields present in the data are
+     * resolved.
+     */
+    static async applyMasterData(fields) {
+        const resolved = { ...fields };
+
+        if (fields.lokasi) {
+            const line = await Location.findActiveLine(fields.lokasi);
+            if (line) {
+                resolved.lokasi = line.code;
+                resolved.id_location = line.id_location;
+            } else if (await Location.hasLines()) {
+                throw new ValidationError("Invalid location", [
+                    {
+                        field: "lokasi",
+                        message: "Location must be an active production line",
+                    },
+                ]);
+            }
+        }
+
+        if (fields.box !== undefined) {
+            const boxType = fields.box
+                ? await BoxType.findActive(fields.box)
+                : null;
+            if (fields.box && !boxType) {
+                throw new ValidationError("Invalid box", [
+                    { field: "box", message: "Box must be an active box type" },
+                ]);
+            }
+
+            resolved.box = boxType ? boxType.code : "";
+            resolved.id_box_type = boxType ? boxType.id_box_type : null;
+        }
+
+        if (fields.klasifikasi !== undefined) {
+            const klasifikasi = await Klasifikasi.findActive(
+                fields.klasifikasi || DEFAULT_KLASIFIKASI
+            );
+            if (!klasifikasi) {
+                throw new ValidationError("Invalid classification", [
+                    {
+                        field: "klasifikasi",
+                        message:
+                            "Classification must be an active catalogue entry",
+                    },
+                ]);
+            }
+
+            resolved.klasifikasi = klasifikasi.code;
+            resolved.id_klasifikasi = klasifikasi.id_klasifikasi;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Resolve the line items of a request against the parts and box
+     * masters. The part and box of the first line are kept on the request
+     * itself, so single-part consumers keep working.
+     */
+    static async prepareLines(lines) {
+        const preparedLines = [];
+
+        for (const [index, line] of lines.entries()) {
+            const part = await this.assertActivePart(
+                line.parts_number,
+                `lines[${index}].parts_number`
+            );
+            const { box, id_box_type } = await this.applyMasterData({
+                box: line.box?.trim() || "",
+            });
+
+            preparedLines.push({
+                line_no: index + 1,
+                parts_number: part.parts_number,
+                quantity: parseInt(line.quantity),
+                unit: line.unit?.trim().toUpperCase() || part.unit,
+                box,
+                id_box_type,
+                remark: line.remark?.trim() || "",
+            });
+        }
+
+        return {
+            parts_number: preparedLines[0].parts_number,
+            box: preparedLines[0].box,
+            id_box_type: preparedLines[0].id_box_type,
+            lines: preparedLines,
+        };
+    }
+
+    /**
+     * Find open requests of the department for the same location,
+     * production day and any of the same parts. Unless the requester
+     * confirms with force, matches are returned as a conflict listing them.
+     */
+    static async checkDuplicates(request, force, excludeId = null) {
+        const partsNumbers = request.lines
+            ? request.lines.map((line) => line.parts_number)
+            : [request.parts_number];
+
+        const duplicates = await RequestKanban.findDuplicates({
+            departmentId: request.id_department,
+            lokasi: request.lokasi,
+            startDate: startOfDay(request.tgl_produksi),
+            endDate: endOfDay(request.tgl_produksi),
+            partsNumbers,
+            excludeId,
+        });
+
+        if (duplicates.length > 0 && !force) {
+            throw new ConflictError(
+                "A matching open request already exists. Send force: true to submit it anyway.",
+                {
+                    duplicate_ids: duplicates.map((kanban) => kanban.id_kanban),
+                    duplicates: duplicates.map(({ lines, ...kanban }) => ({
+                        ...kanban,
+                        parts_numbers: lines.length
+                            ? lines.map((line) => line.parts_number)
+                            : [kanban.parts_number],
+                    })),
+                    can_force: true,
+                }
+            );
+        }
+
+        return duplicates.map((kanban) => kanban.id_kanban);
+    }
+
+    /**
+     * Check a request body against the masters and build the request of
+     * the user from it, without storing anything
+     */
+    static async prepareRequest(userId, body) {
+        const {
+            tgl_produksi,
+            nama_requester,
+            parts_number,
+            lokasi,
+            box,
+            klasifikasi,
+            keterangan,
+            priority,
+            quantity,
+            lines,
+        } = body;
+
+        // Enhanced input validation
+        const hasPart =
+            parts_number || (Array.isArray(lines) && lines.length > 0);
+        if (!tgl_produksi || !nama_requester || !hasPart || !lokasi) {
+            throw new ValidationError("Required fields missing", [
+                {
+                    field: "tgl_produksi",
+                    message: "Production date is required",
+                },
+                {
+                    field: "nama_requester",
+                    message: "Requester name is required",
+                },
+                { field: "lines", message: "At least one part is required" },
+                { field: "lokasi", message: "Location is required" },
+            ]);
+        }
+
+        // Validate production date
+        const prodDate = new Date(tgl_produksi);
+        if (isNaN(prodDate.getTime())) {
+            throw new ValidationError("Invalid production date format");
+        }
+
+        // Check if production date is not in the past (optional business rule)
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (prodDate < today) {
+            throw new ValidationError("Production date cannot be in the past");
+        }
+
+        // A single-part request is stored as a request with one line
+        const requestLines = await this.prepareLines(
+            lines?.length > 0
+                ? lines
+                : [{ parts_number, quantity: quantity || 1, box }]
+        );
+
+        // Get user info with department validation
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new NotFoundError("User");
+        }
+
+        if (!user.department) {
+            throw new ValidationError("User department not found or invalid");
+        }
+
+        return {
+            ...(await this.applyMasterData({
+                id_users: user.id_users,
+                id_department: user.id_department,
+                tgl_produksi: prodDate,
+                nama_requester: nama_requester.trim(),
+                lokasi: lokasi.trim(),
+                klasifikasi: klasifikasi?.trim() || DEFAULT_KLASIFIKASI,
+                keterangan: keterangan?.trim() || "",
+                priority: priority || PRIORITY.NORMAL,
+            })),
+            ...requestLines,
+        };
+    }
+
+    /**
+     * Create a request for the user, start its approvals and notify the
+     * first approvers. Used by the request form and by recurring schedules.
+     */
+    static async submit(userId, body, options = {}) {
+        const { force = false, scheduleId = null } = options;
+
+        const requestData = await this.prepareRequest(userId, body);
+        const duplicateIds = await this.checkDuplicates(requestData, force);
+
+        // Create the kanban request with its LSM approvals, so a request
+        // is never left without approvals
+        const { request, lsmUsers } = await prisma.$transaction(async (tx) => {
+            const request = await RequestKanban.create(
+                { ...requestData, id_schedule: scheduleId },
+                tx
+            );
+
+            const lsmUsers = await ApprovalService.createLSMApprovals(
+                requestData.id_department,
+                request.id_kanban,
+                requestData.klasifikasi,
+                1,
+                tx
+            );
+
+            return { request, lsmUsers };
+        });
+
+        // Send batch notifications if there are LSM users
+        if (lsmUsers.length > 0) {
+            const notifications = lsmUsers.map((approver) => ({
+                user: approver,
+                request,
+                message: `Ada request Kanban baru dari ${requestData.nama_requester} yang perlu Anda approve.`,
+            }));
+
+            // Send notifications asynchronously to avoid blocking response
+            sendBatchNotifications(notifications).catch((err) => {
+                console.error("Failed to send notifications:", err);
+            });
+        }
+
+        return {
+            request,
+            duplicateIds,
+            approversNotified: lsmUsers.length,
+        };
+    }
+}
+
+module.exports = KanbanRequestService;
@@ -0,0 +1,233 @@
+const RequestKanban = require("../models/RequestKanban");
+const Persetujuan = require("../models/Persetujuan");
+const ApprovalEscalation = require("../models/ApprovalEscalation");
+const AuditLog = require("../models/AuditLog");
+const { NOTE } = require("../utils/constants");
+
+// Event types of the audit log actions recorded on a request. Resubmissions
+// come from the revision snapshots instead, which outlive the audit log.
+const AUDIT_EVENT_TYPES = {
+    UPDATE_REQUEST: "EDITED",
+    STATUS_CHANGE: "STATUS_CHANGED",
+    BULK_STATUS_UPDATE: "STATUS_CHANGED",
+    CANCEL_REQUEST: "CANCELLED",
+    NOTIFICATION_SENT: "NOTIFICATION_SENT",
+    KANBAN_PRIORITY_CHANGED: "PRIORITY_CHANGED",
+};
+
+const SKIPPED_AUDIT_ACTIONS = ["RESUBMIT_REQUEST"];
+
+// Event types of decided approvals by their note
+const APPROVED_EVENT_TYPES = {
+    [NOTE.APPROVED]: "APPROVED",
+    [NOTE.APPROVED_BY_MANAGER]: "AUTO_APPROVED_BY_MANAGER",
+    [NOTE.APPROVED_BY_QUORUM]: "AUTO_APPROVED_BY_QUORUM",
+    [NOTE.CLOSURE]: "CLOSED",
+};
+
+const AUTO_REJECTED_PREFIX = "Auto-rejected";
+
+const toActor = (user) =>
+    user ? { id_users: user.id_users, name: user.name, role: user.role } : null;
+
+class KanbanTimelineService {
+    /**
+     * All that happened to a request in chronological order: creation,
+     * edits, resubmissions, approvals and their automatic counterparts,
+     * rejections, escalations, notifications, cancellation and closure
+     */
+    static async getTimeline(kanban) {
+        const [revisions, approvals, escalations, auditLogs] =
+            await Promise.all([
+                RequestKanban.findRevisions(kanban.id_kanban),
+                Persetujuan.findByKanban(kanban.id_kanban),
+                ApprovalEscalation.findByKanban(kanban.id_kanban),
+                AuditLog.getRecordAuditTrail(
+                    "request_kanban",
+                    kanban.id_kanban
+                ),
+            ]);
+
+        const events = [
+            ...this.getRequestEvents(kanban, revisions),
+            ...approvals.flatMap((approval) =>
+                this.getApprovalEvents(approval)
+            ),
+            ...escalations.map((escalation) =>
+                this.getEscalationEvent(escalation)
+            ),
+            ...auditLogs
+                .filter((log) => !SKIPPED_AUDIT_ACTIONS.includes(log.action))
+                .map((log) => this.getAuditEvent(log)),
+        ];
+
+        // Audit entries of a cancellation may have been cleaned up
+        if (
+            kanban.cancelled_at &&
+            !events.some((event) => event.type === "CANCELLED")
+        ) {
+            events.push({
+                type: "CANCELLED",
+                at: kanban.cancelled_at,
+                revision: kanban.revision,
+                actor: null,
+                role: null,
+                department: null,
+                note: kanban.cancel_reason,
+            });
+        }
+
+        // The sort is stable, so events of the same moment keep their order
+        return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    /**
+     * Submission of the request and of each of its resubmissions
+     */
+    static getRequestEvents(kanban, revisions) {
+        const requester = {
+            actor: toActor(kanban.user),
+            role: kanban.user?.role || null,
+            department: kanban.department,
+        };
+
+        return [
+            {
+                type: "CREATED",
+                at: kanban.created_at,
+                revision: 1,
+                ...requester,
+                note: kanban.keterangan,
+            },
+            ...revisions.map((revision) => ({
+                type: "RESUBMITTED",
+                at: revision.superseded_at,
+                revision: revision.revision + 1,
+                ...requester,
+                note: null,
+            })),
+        ];
+    }
+
+    /**
+     * An approval is requested when its stage opens and is then approved,
+     * rejected or closed by the approver or automatically. PC Staff
+     * approvals of the default chain are asked again to confirm closure.
+     */
+    static getApprovalEvents(approval) {
+        const base = {
+            revision: approval.revision,
+            actor: toActor(approval.actedBy || approval.user),
+            on_behalf_of: approval.actedBy ? toActor(approval.user) : null,
+            role: approval.role,
+            department: approval.department,
+            stage_sequence: approval.stage_sequence,
+        };
+
+        const events = [
+            {
+                ...base,
+                type: "APPROVAL_REQUESTED",
+                at: approval.created_at,
+                note: null,
+            },
+        ];
+
+        if (approval.note.startsWith(AUTO_REJECTED_PREFIX)) {
+            events.push({
+                ...base,
+                type: "AUTO_REJECTED",
+                at: approval.updated_at,
+                note: approval.note,
+            });
+        } else if (approval.approve) {
+            events.push({
+                ...base,
+                type: APPROVED_EVENT_TYPES[approval.note] || "APPROVED",
+                at: approval.approvedAt || approval.updated_at,
+                note: approval.note,
+            });
+        } else if (approval.note === NOTE.PENDING_CLOSURE) {
+            if (approval.approvedAt) {
+                events.push({
+                    ...base,
+                    type: "APPROVED",
+                    at: approval.approvedAt,
+                    note: NOTE.APPROVED,
+                });
+            }
+
+            events.push({
+                ...base,
+                type: "CLOSURE_REQUESTED",
+                at: approval.updated_at,
+                note: approval.note,
+            });
+        } else if (
+            approval.approvedAt &&
+            ![NOTE.PENDING, NOTE.CANCELLED].includes(approval.note)
+        ) {
+            // Rejections keep the reason as their note. Approvals closed by
+            // a cancellation show as the cancellation of the request.
+            events.push({
+                ...base,
+                type: "REJECTED",
+                at: approval.approvedAt,
+                note: approval.note,
+            });
+        }
+
+        return events;
+    }
+
+    static getEscalationEvent(escalation) {
+        return {
+            type: "ESCALATED",
+            at: escalation.created_at,
+            revision: escalation.revision,
+            actor: null,
+            role: escalation.from_role,
+            department: escalation.department,
+            stage_sequence: escalation.stage_sequence,
+            note: `Escalated from ${escalation.from_role} to ${
+                escalation.to_role
+            }`,
+            details: {
+                level: escalation.level,
+                to_role: escalation.to_role,
+                pending_since: escalation.pending_since,
+                notified_count: escalation.notified_count,
+            },
+        };
+    }
+
+    /**
+     * Notifications are sent by the system, their recipients are in the
+     * details
+     */
+    static getAuditEvent(log) {
+        const values = log.new_values || {};
+
+        return {
+            type: AUDIT_EVENT_TYPES[log.action] || log.action,
+            at: log.created_at,
+            revision: values.revision || null,
+            actor: toActor(log.user),
+            role: log.user?.role || null,
+            department: log.user?.department || null,
+            note:
+                values.note ||
+                values.reason ||
+                values.cancel_reason ||
+                values.message ||
+                null,
+            details: {
+                action: log.action,
+                old_values: log.old_values,
+                new_values: log.new_values,
+            },
+        };
+    }
+}
+
+module.exports = KanbanTimelineService;
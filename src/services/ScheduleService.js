@@ -0,0 +1,135 @@
+// services/ScheduleService.js - Service creating the requests of recurring schedules
+const KanbanSchedule = require("../models/KanbanSchedule");
+const KanbanRequestService = require("./KanbanRequestService");
+const AuthService = require("./authService");
+const { sendBatchNotifications } = require("../utils/notification");
+const { getNextOccurrence, getRunDate } = require("../utils/recurrence");
+const { addDays, format, startOfDay } = require("date-fns");
+
+class ScheduleService {
+    constructor() {
+        this.isProcessing = false;
+    }
+
+    /**
+     * Next occurrence of a schedule from a day on and when its request is
+     * created. Both are null once the schedule has ended.
+     */
+    planNext(schedule, fromDate = new Date()) {
+        const occurrence = getNextOccurrence(schedule, fromDate);
+
+        return {
+            next_occurrence: occurrence,
+            next_run_at: occurrence ? getRunDate(schedule, occurrence) : null,
+        };
+    }
+
+    /**
+     * Create the requests of all schedules that are due
+     */
+    async processDueSchedules() {
+        if (this.isProcessing) {
+            return { created: 0, failed: 0, skipped: 0 };
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const result = { created: 0, failed: 0, skipped: 0 };
+            const schedules = await KanbanSchedule.findDue(new Date());
+
+            for (const schedule of schedules) {
+                const outcome = await this.runSchedule(schedule);
+                result[outcome]++;
+            }
+
+            return result;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Create the request of the next occurrence of a schedule through the
+     * same path as the request form, then move the schedule on
+     */
+    async runSchedule(schedule) {
+        const today = startOfDay(new Date());
+
+        // Requests cannot be made for past days, occurrences missed while
+        // the job did not run are skipped
+        if (schedule.next_occurrence < today) {
+            await KanbanSchedule.updateById(
+                schedule.id_schedule,
+                this.planNext(schedule, today)
+            );
+            return "skipped";
+        }
+
+        const occurrence = schedule.next_occurrence;
+        const runData = { last_run_at: new Date() };
+        let outcome;
+
+        try {
+            const { request } = await KanbanRequestService.submit(
+                schedule.id_users,
+                { ...schedule.payload, tgl_produksi: occurrence },
+                { scheduleId: schedule.id_schedule }
+            );
+
+            runData.last_id_kanban = request.id_kanban;
+            runData.last_error = null;
+            outcome = "created";
+
+            await AuthService.createAuditLog({
+                user_id: schedule.id_users,
+                action: "KANBAN_CREATED_BY_SCHEDULE",
+                table_name: "request_kanban",
+                record_id: request.id_kanban,
+                new_values: {
+                    id_schedule: schedule.id_schedule,
+                    tgl_produksi: format(occurrence, "yyyy-MM-dd"),
+                },
+            });
+
+            sendBatchNotifications([
+                {
+                    user: schedule.user,
+                    request,
+                    message: `Request Kanban #${
+                        request.id_kanban
+                    } untuk produksi ${format(
+                        occurrence,
+                        "dd/MM/yyyy"
+                    )} telah dibuat otomatis dari jadwal "${schedule.name}".`,
+                },
+            ]).catch((error) => {
+                console.error("Schedule notification error:", error);
+            });
+        } catch (error) {
+            runData.last_error = error.message;
+            outcome = "failed";
+
+            await AuthService.createAuditLog({
+                user_id: schedule.id_users,
+                action: "KANBAN_SCHEDULE_FAILED",
+                table_name: "kanban_schedules",
+                record_id: schedule.id_schedule,
+                new_values: {
+                    tgl_produksi: format(occurrence, "yyyy-MM-dd"),
+                    error: error.message,
+                    details: error.details || null,
+                },
+            });
+        }
+
+        await KanbanSchedule.updateById(schedule.id_schedule, {
+            ...runData,
+            ...this.planNext(schedule, addDays(occurrence, 1)),
+        });
+
+        return outcome;
+    }
+}
+
+module.exports = new ScheduleService();
@@ -1,292 +1,1118 @@
 const prisma = require("../../prisma/client");
 const Persetujuan = require("../models/Persetujuan");
 const RequestKanban = require("../models/RequestKanban");
-const { PC_DEPARTMENT_ID, APPROVAL_ROLES, STATUS, NOTE } = require("../utils/constants");
+const ApprovalChain = require("../models/ApprovalChain");
+const ApprovalDelegation = require("../models/ApprovalDelegation");
+const Klasifikasi = require("../models/Klasifikasi");
+const {
+    PC_DEPARTMENT_ID,
+    STATUS,
+    NOTE,
+    STAGE_DEPARTMENT,
+    QUORUM,
+    DEFAULT_APPROVAL_CHAIN,
+    REJECTED_STATUSES,
+} = require("../utils/constants");
+const { isOpenForApproval } = require("../utils/statusTransitions");
+const { config } = require("../config");
+const {
+    NotFoundError,
+    ForbiddenError,
+    ConflictError,
+} = require("../middlewares/ErrorHandler");
+
+const approverSelect = {
+    id_users: true,
+    id_department: true,
+    role: true,
+    name: true,
+    no_hp: true,
+    email: true,
+};
 
 class ApprovalService {
     /**
-     * Create initial LSM approvals for department
+     * Resolve the approval chain for a new request
      */
-    static async createLSMApprovals(departmentId, kanbanId) {
-        const lsmUsers = await prisma.user.findMany({
-            where: {
-                id_department: parseInt(departmentId),
-                role: { in: APPROVAL_ROLES.LSM },
+    static async resolveChain(departmentId, klasifikasi = null) {
+        const chain = await ApprovalChain.findEffective(
+            departmentId,
+            klasifikasi
+        );
+
+        return await this.applyKlasifikasi(
+            chain || DEFAULT_APPROVAL_CHAIN,
+            klasifikasi
+        );
+    }
+
+    /**
+     * Get the approval chain an existing request follows
+     */
+    static async getChainForKanban(kanban) {
+        if (kanban.id_chain) {
+            const chain = await ApprovalChain.findById(kanban.id_chain);
+            if (chain) {
+                return await this.applyKlasifikasi(chain, kanban.klasifikasi);
+            }
+        }
+
+        return await this.applyKlasifikasi(
+            DEFAULT_APPROVAL_CHAIN,
+            kanban.klasifikasi
+        );
+    }
+
+    /**
+     * Approval chains of several requests, loaded once per chain and
+     * classification. Look them up with getChainKey.
+     */
+    static async getChainsForKanbans(kanbans) {
+        const chains = new Map();
+
+        for (const kanban of kanbans) {
+            const key = this.getChainKey(kanban);
+            if (!chains.has(key)) {
+                chains.set(key, await this.getChainForKanban(kanban));
+            }
+        }
+
+        return chains;
+    }
+
+    static getChainKey(kanban) {
+        return `${kanban.id_chain ?? ""}:${kanban.klasifikasi ?? ""}`;
+    }
+
+    /**
+     * Apply the stage override of a classification to a chain. Its skipped
+     * roles are removed from every stage and stages left without approver
+     * roles are marked skipped: they no longer apply, but the request still
+     * passes through their status. Stages with a fixed approver and closure
+     * stages are kept as they are.
+     */
+    static async applyKlasifikasi(chain, klasifikasi) {
+        const entry = await Klasifikasi.findByCode(klasifikasi);
+
+        if (!entry || entry.skipped_roles.length === 0) {
+            return chain;
+        }
+
+        const stages = chain.stages.map((stage) => {
+            if (stage.id_users || stage.handles_closure) {
+                return stage;
+            }
+
+            const approverRoles = stage.approver_roles.filter(
+                (role) => !entry.skipped_roles.includes(role)
+            );
+
+            return {
+                ...stage,
+                approver_roles: approverRoles,
+                final_role: approverRoles.includes(stage.final_role)
+                    ? stage.final_role
+                    : null,
+                skipped: approverRoles.length === 0,
+            };
+        });
+
+        return { ...chain, stages };
+    }
+
+    /**
+     * Department whose users act on a stage
+     */
+    static getStageDepartmentId(stage, kanban) {
+        return stage.department_source === STAGE_DEPARTMENT.REQUESTER
+            ? parseInt(kanban.id_department)
+            : stage.id_department;
+    }
+
+    /**
+     * Whether a stage asks a department other than the requester's or PC to
+     * sign off
+     */
+    static isCrossDepartmentStage(stage) {
+        return (
+            stage.department_source === STAGE_DEPARTMENT.FIXED &&
+            stage.id_department !== PC_DEPARTMENT_ID
+        );
+    }
+
+    /**
+     * Whether a stage takes part in a request's approval. Stages emptied by
+     * a classification never do, cross-department stages need allowCrossDepartmentApproval and are skipped for requests
+     * of that same department, whose own approvers already signed off.
+     */
+    static isStageApplicable(stage, kanban) {
+        if (stage.skipped) {
+            return false;
+        }
+
+        if (!this.isCrossDepartmentStage(stage)) {
+            return true;
+        }
+
+        return (
+            config.business.department.allowCrossDepartmentApproval &&
+            stage.id_department !== parseInt(kanban.id_department)
+        );
+    }
+
+    /**
+     * Find the chain stage an approval row belongs to. Rows created before
+     * chains existed have stage_sequence 0, so fall back to department/role.
+     */
+    static findStageForApproval(chain, kanban, approval) {
+        if (approval.stage_sequence) {
+            return (
+                chain.stages.find(
+                    (stage) => stage.sequence === approval.stage_sequence
+                ) || null
+            );
+        }
+
+        return (
+            chain.stages.find(
+                (stage) =>
+                    this.getStageDepartmentId(stage, kanban) ===
+                        approval.id_department &&
+                    (stage.id_users
+                        ? stage.id_users === approval.id_users
+                        : stage.approver_roles.includes(approval.role))
+            ) || null
+        );
+    }
+
+    /**
+     * Approval rows of a stage. Escalated approvers share the stage_sequence
+     * of the rows they were added to, rows created before chains existed are
+     * matched by department and role.
+     */
+    static getStageApprovalWhere(stage, request) {
+        return {
+            id_kanban: parseInt(request.id_kanban),
+            revision: request.revision,
+            OR: [
+                { stage_sequence: stage.sequence },
+                {
+                    stage_sequence: 0,
+                    id_department: this.getStageDepartmentId(stage, request),
+                    ...(stage.id_users
+                        ? { id_users: stage.id_users }
+                        : { role: { in: stage.approver_roles } }),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Number of approvals a role with the given number of approvers needs
+     */
+    static getRequiredApprovals(stage, total) {
+        switch (stage.quorum) {
+            case QUORUM.ALL:
+                return total;
+            case QUORUM.COUNT:
+                return Math.min(stage.quorum_count, total);
+            default:
+                return Math.min(1, total);
+        }
+    }
+
+    /**
+     * Whether a role is one the stage asks for, as opposed to a role added
+     * by escalation
+     */
+    static isStageRole(stage, role) {
+        return Boolean(stage.id_users) || stage.approver_roles.includes(role);
+    }
+
+    /**
+     * Whether the stage is complete. Without role skipping every stage role
+     * must meet its quorum, otherwise the final role (or any role when the
+     * stage has none) meeting its quorum is enough.
+     */
+    static isStageComplete(stage, roles) {
+        if (!stage.allow_role_skip) {
+            const stageRoles = roles.filter((role) =>
+                this.isStageRole(stage, role.role)
+            );
+
+            return (
+                stageRoles.length > 0 &&
+                stageRoles.every((role) => role.satisfied)
+            );
+        }
+
+        return roles.some(
+            (role) =>
+                role.satisfied &&
+                (!stage.final_role || role.role === stage.final_role)
+        );
+    }
+
+    /**
+     * Approvals still needed before the stage completes
+     */
+    static countRemainingApprovals(stage, roles) {
+        const remaining = (role) => Math.max(0, role.required - role.approved);
+
+        if (!stage.allow_role_skip) {
+            return roles
+                .filter((role) => this.isStageRole(stage, role.role))
+                .reduce((sum, role) => sum + remaining(role), 0);
+        }
+
+        const candidates = stage.final_role
+            ? roles.filter((role) => role.role === stage.final_role)
+            : roles;
+
+        return candidates.length > 0
+            ? Math.min(...candidates.map(remaining))
+            : 0;
+    }
+
+    /**
+     * Evaluate the quorum of every role on a stage
+     */
+    static async getStageProgress(stage, request, db = prisma) {
+        const approvals = await Persetujuan.findManyWithUser(
+            this.getStageApprovalWhere(stage, request),
+            db
+        );
+
+        const toApprover = ({ user }) => ({
+            id_users: user.id_users,
+            name: user.name,
+            role: user.role,
+        });
+
+        const roleNames = [
+            ...new Set(approvals.map((approval) => approval.role)),
+        ];
+
+        const roles = roleNames.map((role) => {
+            const roleApprovals = approvals.filter(
+                (approval) => approval.role === role
+            );
+            // Rows closed by a quorum or a final role are not decisions
+            const approved = roleApprovals.filter(
+                (approval) =>
+                    approval.approve && approval.note === NOTE.APPROVED
+            );
+            const pending = roleApprovals.filter(
+                (approval) =>
+                    !approval.approve && approval.note === NOTE.PENDING
+            );
+            const required = this.getRequiredApprovals(
+                stage,
+                roleApprovals.length
+            );
+            const satisfied = approved.length >= required;
+
+            return {
+                role,
+                required,
+                approved: approved.length,
+                total: roleApprovals.length,
+                satisfied,
+                approved_by: approved.map(toApprover),
+                remaining_approvers: satisfied ? [] : pending.map(toApprover),
+            };
+        });
+
+        return {
+            roles,
+            completed: this.isStageComplete(stage, roles),
+            remaining_approvals: this.countRemainingApprovals(stage, roles),
+        };
+    }
+
+    /**
+     * Whether the quorum of the approval's role on its stage is already met.
+     * The request's chain is loaded unless given.
+     */
+    static async isRoleQuorumMet(request, approval, db = prisma, chain = null) {
+        chain = chain || (await this.getChainForKanban(request));
+        const stage = this.findStageForApproval(chain, request, approval);
+
+        if (!stage || this.isClosureApproval(chain, stage, request, approval)) {
+            return false;
+        }
+
+        const progress = await this.getStageProgress(stage, request, db);
+
+        const roleProgress = progress.roles.find(
+            (role) => role.role === approval.role
+        );
+
+        return Boolean(roleProgress?.satisfied);
+    }
+
+    /**
+     * Quorum progress of the stage an open request is waiting on, for the
+     * request detail
+     */
+    static async getApprovalProgress(request) {
+        if (!isOpenForApproval(request.status)) {
+            return null;
+        }
+
+        const [openApproval] = await Persetujuan.findManyWithUser({
+            id_kanban: parseInt(request.id_kanban),
+            revision: request.revision,
+            approve: false,
+            note: NOTE.PENDING,
+        });
+
+        if (!openApproval) {
+            return null;
+        }
+
+        const chain = await this.getChainForKanban(request);
+        const stage = this.findStageForApproval(chain, request, openApproval);
+
+        if (!stage) {
+            return null;
+        }
+
+        const progress = await this.getStageProgress(stage, request);
+
+        return {
+            stage: {
+                sequence: stage.sequence,
+                name: stage.name,
+                quorum: stage.quorum,
+                quorum_count: stage.quorum_count,
+                final_role: stage.final_role,
+                allow_role_skip: stage.allow_role_skip,
             },
-            select: {
-                id_users: true,
-                id_department: true,
-                role: true,
-                name: true,
-                no_hp: true,
-                email: true,
+            remaining_approvals: progress.remaining_approvals,
+            roles: progress.roles,
+        };
+    }
+
+    /**
+     * Find the users who approve a stage
+     */
+    static async findStageApprovers(stage, kanban) {
+        if (stage.id_users) {
+            const user = await prisma.user.findUnique({
+                where: { id_users: stage.id_users },
+                select: approverSelect,
+            });
+
+            return user ? [user] : [];
+        }
+
+        return await prisma.user.findMany({
+            where: {
+                id_department: this.getStageDepartmentId(stage, kanban),
+                role: { in: stage.approver_roles },
             },
+            select: approverSelect,
         });
+    }
+
+    /**
+     * Create pending approvals for every approver of a stage
+     */
+    static async createStageApprovals(stage, kanban, db = prisma) {
+        const approvers = await this.findStageApprovers(stage, kanban);
 
-        if (lsmUsers.length > 0) {
-            const approvalsData = lsmUsers.map((approver) => ({
+        if (approvers.length > 0) {
+            const approvalsData = approvers.map((approver) => ({
                 id_users: approver.id_users,
                 id_department: approver.id_department,
-                id_kanban: parseInt(kanbanId),
+                id_kanban: parseInt(kanban.id_kanban),
                 role: approver.role,
                 approve: false,
                 note: NOTE.PENDING,
+                stage_sequence: stage.sequence,
+                revision: kanban.revision || 1,
             }));
 
-            await Persetujuan.createMany(approvalsData);
+            await Persetujuan.createManySkipDuplicates(approvalsData, db);
         }
 
-        return lsmUsers;
+        return [...approvers, ...(await this.findDelegates(approvers, kanban))];
     }
 
     /**
-     * Handle manager approval logic
+     * Find users currently covering for the given approvers, so they are
+     * notified as well
      */
-    static async handleManagerApproval(userId, departmentId, kanbanId, requestDepartmentId) {
-        const now = new Date();
-        let notificationData = [];
+    static async findDelegates(approvers, kanban) {
+        if (approvers.length === 0) {
+            return [];
+        }
 
-        // Auto approve LEADER/SUPERVISOR when MANAGER approves
-        await Persetujuan.updateMany({
-            id_kanban: parseInt(kanbanId),
-            id_department: parseInt(departmentId),
-            role: { in: ["LEADER", "SUPERVISOR"] },
-            approve: false,
-        }, {
-            approve: true,
-            approvedAt: now,
-            note: NOTE.APPROVED_BY_MANAGER,
-        });
+        const delegations = await ApprovalDelegation.findActiveForDelegators(
+            approvers.map((approver) => approver.id_users)
+        );
 
-        if (departmentId === requestDepartmentId) {
-            // Department Manager approving - send to PC
-            await RequestKanban.updateStatus(kanbanId, STATUS.APPROVED_BY_DEPARTMENT);
+        const approverIds = approvers.map((approver) => approver.id_users);
+        const delegates = new Map();
 
-            // Get PC staff
-            const staffPC = await prisma.user.findMany({
-                where: {
-                    id_department: PC_DEPARTMENT_ID,
-                    role: "STAFF",
-                },
-                select: {
-                    id_users: true,
-                    name: true,
-                    email: true,
-                },
-            });
+        for (const delegation of delegations) {
+            if (
+                ApprovalDelegation.coversDepartment(
+                    delegation,
+                    kanban.id_department
+                ) &&
+                !approverIds.includes(delegation.id_delegate)
+            ) {
+                delegates.set(delegation.id_delegate, delegation.delegate);
+            }
+        }
 
-            if (staffPC.length > 0) {
-                const approvalsData = staffPC.map((staff) => ({
-                    id_users: staff.id_users,
-                    id_department: PC_DEPARTMENT_ID,
-                    id_kanban: parseInt(kanbanId),
-                    role: "STAFF",
-                    approve: false,
-                    note: NOTE.PENDING,
-                }));
+        return [...delegates.values()];
+    }
 
-                await Persetujuan.createManySkipDuplicates(approvalsData);
+    /**
+     * Find the open approval a user may act on: their own, or one of a user
+     * who delegated approval authority to them for the request's department
+     */
+    static async resolveActingApproval(kanbanId, user, request, db = prisma) {
+        const ownApproval = await Persetujuan.findOpenForUser(
+            kanbanId,
+            user.id_users,
+            request.revision,
+            db
+        );
 
-                notificationData = staffPC.map((staff) => ({
-                    user: staff,
-                    message: "Request Kanban baru menunggu approval Anda (Staff PC)",
-                }));
-            }
-        } else if (departmentId === PC_DEPARTMENT_ID) {
-            // PC Manager approving
-            await RequestKanban.updateStatus(kanbanId, STATUS.APPROVED_BY_PC);
+        if (ownApproval) {
+            return { approval: ownApproval, delegation: null };
+        }
+
+        const delegations = (
+            await ApprovalDelegation.findActiveForDelegate(user.id_users)
+        ).filter((delegation) =>
+            ApprovalDelegation.coversDepartment(
+                delegation,
+                request.id_department
+            )
+        );
 
-            // Auto approve LSM in PC department
-            await Persetujuan.updateMany({
+        if (delegations.length === 0) {
+            return { approval: null, delegation: null };
+        }
+
+        const [delegatedApproval] = await Persetujuan.findManyWithUser(
+            {
                 id_kanban: parseInt(kanbanId),
-                id_department: PC_DEPARTMENT_ID,
-                role: { in: ["LEADER", "SUPERVISOR"] },
+                revision: request.revision,
+                id_users: {
+                    in: delegations.map((delegation) => delegation.id_delegator),
+                },
+                approve: false,
+                note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+            },
+            db
+        );
+
+        if (!delegatedApproval) {
+            return { approval: null, delegation: null };
+        }
+
+        return {
+            approval: delegatedApproval,
+            delegation: delegations.find(
+                (delegation) =>
+                    delegation.id_delegator === delegatedApproval.id_users
+            ),
+        };
+    }
+
+    /**
+     * Check that a user may approve or reject a request and load what the
+     * decision needs. Throws the errors the approve/reject endpoints return.
+     */
+    static async prepareDecision(kanbanId, user, action, db = prisma) {
+        const request = await RequestKanban.findById(kanbanId);
+        if (!request) {
+            throw new NotFoundError("Kanban request");
+        }
+
+        if (!isOpenForApproval(request.status)) {
+            const isRejected = REJECTED_STATUSES.includes(request.status);
+
+            throw new ConflictError(
+                action === "approve"
+                    ? isRejected
+                        ? "Cannot approve a rejected request"
+                        : `Cannot approve a request with status ${request.status}`
+                    : isRejected
+                    ? "Request has already been rejected"
+                    : `Cannot reject a request with status ${request.status}`,
+                { current_status: request.status, allowed_statuses: [] }
+            );
+        }
+
+        const { approval, delegation } = await this.resolveActingApproval(
+            kanbanId,
+            user,
+            request,
+            db
+        );
+
+        if (!approval) {
+            throw new ForbiddenError(
+                "You have no pending approval for this Kanban request"
+            );
+        }
+
+        if (
+            action === "approve" &&
+            (await this.isRoleQuorumMet(request, approval, db))
+        ) {
+            throw new ConflictError(
+                `Role ${approval.role} has already approved this request`,
+                { role: approval.role, already_approved: true }
+            );
+        }
+
+        return { request, approval, delegation };
+    }
+
+    /**
+     * Record the delegate acting on an approval on behalf of its owner
+     */
+    static async recordActor(approval, actorId, db = prisma) {
+        if (actorId === approval.id_users) {
+            return;
+        }
+
+        await Persetujuan.updateByCompositeKey(
+            approval.id_users,
+            approval.id_department,
+            approval.id_kanban,
+            approval.role,
+            approval.revision,
+            approval.stage_sequence,
+            { id_acted_by: actorId },
+            db
+        );
+    }
+
+    /**
+     * Create initial approvals for the first stage of the request's chain.
+     * A resubmitted request starts over on the chain for its new revision.
+     */
+    static async createLSMApprovals(
+        departmentId,
+        kanbanId,
+        klasifikasi = null,
+        revision = 1,
+        db = prisma
+    ) {
+        const chain = await this.resolveChain(departmentId, klasifikasi);
+
+        if (chain.id_chain || revision > 1) {
+            await RequestKanban.assignChain(kanbanId, chain.id_chain, db);
+        }
+
+        const request = {
+            id_kanban: kanbanId,
+            id_department: departmentId,
+            revision,
+        };
+
+        const firstStage = chain.stages.find((stage) =>
+            this.isStageApplicable(stage, request)
+        );
+
+        await this.passSkippedStages(
+            request,
+            chain.stages.filter(
+                (stage) => !firstStage || stage.sequence < firstStage.sequence
+            ),
+            db
+        );
+
+        if (!firstStage) {
+            return [];
+        }
+
+        return await this.createStageApprovals(firstStage, request, db);
+    }
+
+    /**
+     * Approve a request on the given open approval row. The approver may be
+     * the row owner or a delegate acting on the owner's behalf.
+     */
+    static async processApproval(approver, request, approval, db = prisma) {
+        const result = await this.advanceApproval(
+            approver,
+            request,
+            approval,
+            db
+        );
+
+        await this.recordActor(approval, approver.id_users, db);
+
+        return result;
+    }
+
+    /**
+     * Apply an approval to the request's chain
+     */
+    static async advanceApproval(approver, request, approval, db = prisma) {
+        const chain = await this.getChainForKanban(request);
+        const stage = this.findStageForApproval(chain, request, approval);
+
+        if (!stage) {
+            throw new Error(
+                `No approval stage found for kanban ${request.id_kanban}`
+            );
+        }
+
+        if (stage.handles_closure) {
+            return await this.handlePCStaffApproval(
+                approver,
+                request,
+                chain,
+                stage,
+                approval,
+                db
+            );
+        }
+
+        return await this.applyStageApproval(
+            request,
+            chain,
+            stage,
+            approval,
+            db
+        );
+    }
+
+    /**
+     * Record an approval on a stage. Once the role meets its quorum its
+     * remaining approvers are closed, once the stage is complete the chain
+     * advances.
+     */
+    static async applyStageApproval(
+        request,
+        chain,
+        stage,
+        approval,
+        db = prisma
+    ) {
+        const now = new Date();
+
+        await Persetujuan.updateByCompositeKey(
+            approval.id_users,
+            approval.id_department,
+            request.id_kanban,
+            approval.role,
+            approval.revision,
+            approval.stage_sequence,
+            {
+                approve: true,
+                approvedAt: now,
+                note: NOTE.APPROVED,
+            },
+            db
+        );
+
+        const progress = await this.getStageProgress(stage, request, db);
+        const roleProgress = progress.roles.find(
+            (role) => role.role === approval.role
+        );
+
+        if (roleProgress?.satisfied) {
+            await Persetujuan.autoApproveRoleInDepartment(
+                request.id_kanban,
+                approval.role,
+                approval.id_department,
+                now,
+                NOTE.APPROVED_BY_QUORUM,
+                approval.revision,
+                db
+            );
+        }
+
+        if (!progress.completed) {
+            return { type: "normal", notificationData: [] };
+        }
+
+        const notificationData = await this.handleManagerApproval(
+            request,
+            chain,
+            stage,
+            db
+        );
+
+        return { type: "normal", notificationData };
+    }
+
+    /**
+     * Complete a stage (by the MANAGER in the default chain): approvers the
+     * stage no longer needs are closed and the chain advances
+     */
+    static async handleManagerApproval(request, chain, stage, db = prisma) {
+        const now = new Date();
+        const kanbanId = parseInt(request.id_kanban);
+
+        // Auto approve remaining approvers of the stage
+        await Persetujuan.updateMany(
+            {
+                ...this.getStageApprovalWhere(stage, request),
                 approve: false,
-            }, {
+                note: NOTE.PENDING,
+            },
+            {
                 approve: true,
                 approvedAt: now,
                 note: NOTE.APPROVED_BY_MANAGER,
-            });
+            },
+            db
+        );
 
-            // Update PC staff for closure
-            const staffPC = await prisma.user.findMany({
-                where: {
-                    id_department: PC_DEPARTMENT_ID,
-                    role: "STAFF",
-                },
-                select: {
-                    id_users: true,
-                    name: true,
-                    email: true,
-                },
-            });
+        if (stage.approved_status) {
+            await RequestKanban.updateStatus(
+                kanbanId,
+                stage.approved_status,
+                null,
+                null,
+                db
+            );
+        }
+
+        const nextStage = chain.stages.find(
+            (candidate) =>
+                candidate.sequence > stage.sequence &&
+                this.isStageApplicable(candidate, request)
+        );
+
+        await this.passSkippedStages(
+            request,
+            chain.stages.filter(
+                (candidate) =>
+                    candidate.sequence > stage.sequence &&
+                    (!nextStage || candidate.sequence < nextStage.sequence)
+            ),
+            db
+        );
+
+        if (nextStage) {
+            const approvers = await this.createStageApprovals(
+                nextStage,
+                request,
+                db
+            );
+
+            return approvers.map((approver) => ({
+                user: approver,
+                message: `Request Kanban baru menunggu approval Anda (${nextStage.name})`,
+            }));
+        }
+
+        return await this.openClosure(request, chain, stage, db);
+    }
+
+    /**
+     * Move the request through the statuses of stages that do not apply to
+     * it, so it follows the status transitions one step at a time
+     */
+    static async passSkippedStages(request, stages, db = prisma) {
+        for (const stage of stages) {
+            if (stage.approved_status) {
+                await RequestKanban.updateStatus(
+                    request.id_kanban,
+                    stage.approved_status,
+                    null,
+                    null,
+                    db
+                );
+            }
+        }
+    }
+
+    /**
+     * After the last stage, ask closure stages to confirm (DONE)
+     */
+    static async openClosure(request, chain, lastStage, db = prisma) {
+        const closureStages = chain.stages.filter(
+            (stage) =>
+                stage.handles_closure && this.isStageApplicable(stage, request)
+        );
 
-            if (staffPC.length > 0) {
-                await Persetujuan.updateMany({
-                    id_department: PC_DEPARTMENT_ID,
-                    id_kanban: parseInt(kanbanId),
-                    role: "STAFF",
-                }, {
+        let notificationData = [];
+
+        for (const stage of closureStages) {
+            const where = {
+                ...this.getStageApprovalWhere(stage, request),
+                ...(stage.id_users
+                    ? { id_users: stage.id_users }
+                    : { role: { in: stage.approver_roles } }),
+            };
+
+            await Persetujuan.updateMany(
+                where,
+                {
                     approve: false,
                     note: NOTE.PENDING_CLOSURE,
-                });
+                },
+                db
+            );
 
-                notificationData = staffPC.map((staff) => ({
-                    user: staff,
-                    message: "Request Kanban telah diapprove oleh Manager PC. Silakan klik DONE untuk menyelesaikan proses closure.",
-                }));
-            }
+            const closureApprovals = await Persetujuan.findManyWithUser(
+                where,
+                db
+            );
+
+            notificationData = notificationData.concat(
+                closureApprovals.map((approval) => ({
+                    user: approval.user,
+                    message: `Request Kanban telah diapprove oleh ${lastStage.name}. Silakan klik DONE untuk menyelesaikan proses closure.`,
+                }))
+            );
         }
 
         return notificationData;
     }
 
     /**
-     * Handle PC Staff approval logic
+     * Whether acting on the approval confirms closure (DONE) rather than
+     * approving its stage
      */
-    static async handlePCStaffApproval(userId, kanbanId, requestStatus) {
-        const now = new Date();
-        let notificationData = [];
+    static isClosureApproval(chain, stage, request, approval) {
+        if (!stage || !stage.handles_closure) {
+            return false;
+        }
 
-        const currentPersetujuan = await Persetujuan.findByCompositeKey(
-            userId,
-            PC_DEPARTMENT_ID,
-            kanbanId,
-            "STAFF"
+        const applicableStages = chain.stages.filter((candidate) =>
+            this.isStageApplicable(candidate, request)
         );
+        const lastStage = applicableStages[applicableStages.length - 1];
 
-        const isClosureCase = 
-            requestStatus === STATUS.APPROVED_BY_PC ||
-            currentPersetujuan?.note === NOTE.PENDING_CLOSURE;
+        return (
+            approval.note === NOTE.PENDING_CLOSURE ||
+            Boolean(
+                lastStage.approved_status &&
+                    request.status === lastStage.approved_status
+            )
+        );
+    }
 
-        if (isClosureCase) {
-            // Closure case
+    /**
+     * Handle approval on a stage that also confirms closure (PC Staff in
+     * the default chain)
+     */
+    static async handlePCStaffApproval(
+        approver,
+        request,
+        chain,
+        stage,
+        approval,
+        db = prisma
+    ) {
+        const now = new Date();
+        const kanbanId = parseInt(request.id_kanban);
+
+        if (this.isClosureApproval(chain, stage, request, approval)) {
             await Persetujuan.updateByCompositeKey(
-                userId,
-                PC_DEPARTMENT_ID,
+                approval.id_users,
+                approval.id_department,
                 kanbanId,
-                "STAFF",
+                approval.role,
+                approval.revision,
+                approval.stage_sequence,
                 {
                     note: NOTE.CLOSURE,
                     approve: true,
                     approvedAt: now,
-                }
+                },
+                db
             );
 
-            return { type: "closure" };
-        } else {
-            // Initial PC staff approval - send to PC managers
-            await RequestKanban.updateStatus(kanbanId, STATUS.PENDING_PC);
-
-            const pcManagers = await prisma.user.findMany({
-                where: {
-                    id_department: PC_DEPARTMENT_ID,
-                    role: { in: APPROVAL_ROLES.PC_APPROVERS },
+            // Close the remaining closure rows so they leave other queues
+            await Persetujuan.updateMany(
+                {
+                    id_kanban: kanbanId,
+                    revision: approval.revision,
+                    note: NOTE.PENDING_CLOSURE,
                 },
-                select: {
-                    id_users: true,
-                    role: true,
-                    name: true,
-                    email: true,
+                {
+                    approve: true,
+                    approvedAt: now,
+                    note: NOTE.CLOSURE,
                 },
-            });
-
-            if (pcManagers.length > 0) {
-                const approvalsData = pcManagers.map((manager) => ({
-                    id_users: manager.id_users,
-                    id_department: PC_DEPARTMENT_ID,
-                    id_kanban: parseInt(kanbanId),
-                    role: manager.role,
-                    approve: false,
-                    note: NOTE.PENDING,
-                }));
-
-                await Persetujuan.createManySkipDuplicates(approvalsData);
-
-                notificationData = pcManagers.map((manager) => ({
-                    user: manager,
-                    message: `Request Kanban telah diapprove oleh Staff PC dan memerlukan approval ${manager.role} PC.`,
-                }));
-            }
+                db
+            );
 
-            // Update closure notes
-            await Persetujuan.updateMany({
-                id_kanban: parseInt(kanbanId),
-                note: NOTE.PENDING_CLOSURE,
-            }, {
-                approve: true,
-                approvedAt: now,
-                note: NOTE.CLOSURE,
-            });
+            await RequestKanban.updateStatus(
+                kanbanId,
+                STATUS.CLOSED,
+                null,
+                null,
+                db
+            );
 
-            return { type: "normal", notificationData };
+            // The requester learns that the request is done
+            return {
+                type: "closure",
+                notificationData: request.user
+                    ? [
+                          {
+                              user: request.user,
+                              message: `Request Kanban #${kanbanId} Anda telah selesai diproses dan ditutup (CLOSED).`,
+                          },
+                      ]
+                    : [],
+            };
         }
+
+        return await this.applyStageApproval(
+            request,
+            chain,
+            stage,
+            approval,
+            db
+        );
     }
 
     /**
      * Handle rejection logic
      */
-    static async handleRejection(userId, departmentId, kanbanId, role, reason) {
-        const status = departmentId === PC_DEPARTMENT_ID
-            ? STATUS.REJECTED_BY_PC
-            : STATUS.REJECTED_BY_DEPARTMENT;
+    static async handleRejection(
+        userId,
+        request,
+        approval,
+        reason,
+        db = prisma
+    ) {
+        const kanbanId = parseInt(request.id_kanban);
+        const chain = await this.getChainForKanban(request);
+        const stage = this.findStageForApproval(chain, request, approval);
 
-        const rejectionNote = departmentId === PC_DEPARTMENT_ID
-            ? NOTE.REJECTED_BY_PC
-            : NOTE.REJECTED_BY_DEPARTMENT;
+        const status =
+            stage?.rejected_status ||
+            (approval.id_department === PC_DEPARTMENT_ID
+                ? STATUS.REJECTED_BY_PC
+                : STATUS.REJECTED_BY_DEPARTMENT);
 
-        // Update current user's approval to rejected
+        const rejectionNote =
+            status === STATUS.REJECTED_BY_PC
+                ? NOTE.REJECTED_BY_PC
+                : NOTE.REJECTED_BY_DEPARTMENT;
+
+        // Update the approval to rejected, recording a delegate if any
         await Persetujuan.updateByCompositeKey(
-            userId,
-            departmentId,
+            approval.id_users,
+            approval.id_department,
             kanbanId,
-            role,
+            approval.role,
+            approval.revision,
+            approval.stage_sequence,
             {
                 approve: false,
                 note: reason || rejectionNote,
                 approvedAt: new Date(),
-            }
+                ...(userId !== approval.id_users && { id_acted_by: userId }),
+            },
+            db
         );
 
         // Update kanban status
-        await RequestKanban.updateStatus(kanbanId, status);
+        await RequestKanban.updateStatus(kanbanId, status, null, null, db);
 
         // Batch update all pending approvals to rejected
-        await Persetujuan.updateMany({
-            id_kanban: parseInt(kanbanId),
-            approve: false,
-            note: NOTE.PENDING,
-        }, {
-            note: `Auto-rejected: ${reason || rejectionNote}`,
-        });
+        await Persetujuan.updateMany(
+            {
+                id_kanban: kanbanId,
+                revision: approval.revision,
+                approve: false,
+                note: { in: [NOTE.PENDING, NOTE.PENDING_CLOSURE] },
+            },
+            {
+                note: `Auto-rejected: ${reason || rejectionNote}`,
+            },
+            db
+        );
 
         return { status, rejectionNote: reason || rejectionNote };
     }
 
     /**
-     * Filter pending approvals based on manager approval status
+     * Filter pending approvals based on manager approval status. Each row is
+     * checked against its own role and department, since delegated rows may
+     * belong to another department than the current user. Rows stay visible
+     * when their stage does not let the manager skip lower roles. Rows whose
+     * role already met its quorum are removed as well.
      */
-    static async filterPendingApprovals(pendingApprovals, userRole, departmentId) {
-        if (userRole !== "LEADER" && userRole !== "SUPERVISOR") {
-            return pendingApprovals;
-        }
+    static async filterPendingApprovals(pendingApprovals) {
+        const requests = pendingApprovals.map((approval) => ({
+            ...approval.requestKanban,
+            revision: approval.revision,
+        }));
+        const chains = await this.getChainsForKanbans(requests);
 
-        const kanbanIds = pendingApprovals.map((approval) => approval.id_kanban);
+        const lowerRoleApprovals = pendingApprovals.filter(
+            (approval) =>
+                approval.role === "LEADER" || approval.role === "SUPERVISOR"
+        );
+
+        const departmentIds = [
+            ...new Set(lowerRoleApprovals.map((approval) => approval.id_department)),
+        ];
+
+        const managerApproved = new Set();
 
-        if (kanbanIds.length === 0) {
-            return pendingApprovals;
+        for (const departmentId of departmentIds) {
+            const kanbanRevisions = lowerRoleApprovals
+                .filter((approval) => approval.id_department === departmentId)
+                .map(({ id_kanban, revision }) => ({ id_kanban, revision }));
+
+            const managerApprovedKanbanIds =
+                await Persetujuan.findManagerApprovedKanbanIds(
+                    kanbanRevisions,
+                    departmentId
+                );
+
+            managerApprovedKanbanIds.forEach((kanbanId) =>
+                managerApproved.add(`${departmentId}:${kanbanId}`)
+            );
         }
 
-        const managerApprovedKanbanIds = await Persetujuan.findManagerApprovedKanbanIds(
-            kanbanIds,
-            departmentId
-        );
+        const hidden = await Promise.all(
+            pendingApprovals.map(async (approval, index) => {
+                const request = requests[index];
+                const chain = chains.get(this.getChainKey(request));
+
+                // Hide kanban already approved by manager
+                if (
+                    lowerRoleApprovals.includes(approval) &&
+                    managerApproved.has(
+                        `${approval.id_department}:${approval.id_kanban}`
+                    )
+                ) {
+                    const stage = this.findStageForApproval(
+                        chain,
+                        request,
+                        approval
+                    );
 
-        // Filter out kanban already approved by manager
-        return pendingApprovals.filter(
-            (approval) => !managerApprovedKanbanIds.includes(approval.id_kanban)
+                    if (!stage || stage.allow_role_skip) {
+                        return true;
+                    }
+                }
+
+                return await this.isRoleQuorumMet(
+                    request,
+                    approval,
+                    prisma,
+                    chain
+                );
+            })
         );
+
+        return pendingApprovals.filter((approval, index) => !hidden[index]);
     }
 }
 
-module.exports = ApprovalService;
\ No newline at end of file
+module.exports = ApprovalService;
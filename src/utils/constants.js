@@ -15,6 +15,16 @@ const STATUS = {
     APPROVED_BY_PC: "APPROVED_BY_PC",
     REJECTED_BY_DEPARTMENT: "REJECTED_BY_DEPARTMENT",
     REJECTED_BY_PC: "REJECTED_BY_PC",
+    CLOSED: "CLOSED",
+    CANCELLED: "CANCELLED",
+};
+
+// Request priorities, lowest first as in the database enum
+const PRIORITY = {
+    LOW: "LOW",
+    NORMAL: "NORMAL",
+    HIGH: "HIGH",
+    CRITICAL: "CRITICAL",
 };
 
 // Note constants
@@ -22,11 +32,13 @@ const NOTE = {
     PENDING: "Pending",
     APPROVED: "Approved",
     APPROVED_BY_MANAGER: "Approved by Manager",
+    APPROVED_BY_QUORUM: "Approved by Quorum",
     PENDING_CLOSURE: "Pending Closure",
     CLOSURE: "Closure",
     REJECTED: "Rejected",
     REJECTED_BY_DEPARTMENT: "Rejected by Department",
     REJECTED_BY_PC: "Rejected by PC",
+    CANCELLED: "Cancelled",
 };
 
 // Rejected notes and statuses for filtering
@@ -43,11 +55,242 @@ const REJECTED_STATUSES = [
     STATUS.REJECTED_BY_PC,
 ];
 
+// Allowed kanban status transitions: the next state of the lifecycle,
+// rejection and cancellation. No state is skipped, chains with stages that
+// do not apply to a request still pass through their statuses. Admin
+// status changes follow the same table.
+const STATUS_TRANSITIONS = {
+    [STATUS.PENDING_APPROVAL]: [
+        STATUS.APPROVED_BY_DEPARTMENT,
+        STATUS.REJECTED_BY_DEPARTMENT,
+        STATUS.REJECTED_BY_PC,
+        STATUS.CANCELLED,
+    ],
+    [STATUS.APPROVED_BY_DEPARTMENT]: [
+        STATUS.PENDING_PC,
+        STATUS.REJECTED_BY_DEPARTMENT,
+        STATUS.REJECTED_BY_PC,
+        STATUS.CANCELLED,
+    ],
+    [STATUS.PENDING_PC]: [
+        STATUS.APPROVED_BY_PC,
+        STATUS.REJECTED_BY_DEPARTMENT,
+        STATUS.REJECTED_BY_PC,
+        STATUS.CANCELLED,
+    ],
+    [STATUS.APPROVED_BY_PC]: [
+        STATUS.CLOSED,
+        STATUS.REJECTED_BY_DEPARTMENT,
+        STATUS.REJECTED_BY_PC,
+        STATUS.CANCELLED,
+    ],
+    // Rejected requests may be revised and resubmitted, or withdrawn
+    [STATUS.REJECTED_BY_DEPARTMENT]: [
+        STATUS.PENDING_APPROVAL,
+        STATUS.CANCELLED,
+    ],
+    [STATUS.REJECTED_BY_PC]: [STATUS.PENDING_APPROVAL, STATUS.CANCELLED],
+    [STATUS.CLOSED]: [],
+    [STATUS.CANCELLED]: [],
+};
+
+// Statuses of requests still going through approval
+const OPEN_STATUSES = [
+    STATUS.PENDING_APPROVAL,
+    STATUS.APPROVED_BY_DEPARTMENT,
+    STATUS.PENDING_PC,
+    STATUS.APPROVED_BY_PC,
+];
+
+// Statuses of approved requests whose kanban cards can be printed
+const CARD_STATUSES = [
+    STATUS.APPROVED_BY_DEPARTMENT,
+    STATUS.PENDING_PC,
+    STATUS.APPROVED_BY_PC,
+    STATUS.CLOSED,
+];
+
+// Columns of the kanban board in lifecycle order. Cancelled requests are
+// left off the board; done and rejected requests are no work in progress
+// and count toward no WIP limit.
+const BOARD_COLUMNS = [
+    {
+        key: "waiting_department",
+        name: "Waiting Department",
+        statuses: [STATUS.PENDING_APPROVAL],
+        has_wip_limit: true,
+    },
+    {
+        key: "waiting_pc_staff",
+        name: "Waiting PC Staff",
+        statuses: [STATUS.APPROVED_BY_DEPARTMENT],
+        has_wip_limit: true,
+    },
+    {
+        key: "waiting_pc_manager",
+        name: "Waiting PC Manager",
+        statuses: [STATUS.PENDING_PC],
+        has_wip_limit: true,
+    },
+    {
+        key: "waiting_closure",
+        name: "Waiting Closure",
+        statuses: [STATUS.APPROVED_BY_PC],
+        has_wip_limit: true,
+    },
+    {
+        key: "done",
+        name: "Done",
+        statuses: [STATUS.CLOSED],
+        has_wip_limit: false,
+    },
+    {
+        key: "rejected",
+        name: "Rejected",
+        statuses: REJECTED_STATUSES,
+        has_wip_limit: false,
+    },
+];
+
+// Printed kanban cards carry the request ID behind this prefix
+const KANBAN_CODE_PREFIX = "KANBAN:";
+
+// What a card scan did
+const SCAN_RESULT = {
+    LOOKUP: "LOOKUP",
+    CLOSED: "CLOSED",
+};
+
+// What a scanned request waits for, shown on handheld scanners
+const SCAN_NEXT_ACTION = {
+    NONE: "NONE", // Closed or cancelled
+    CLOSE: "CLOSE", // The scanning user can close it
+    APPROVE: "APPROVE", // The scanning user has an open approval
+    WAIT_APPROVAL: "WAIT_APPROVAL", // Waiting for other approvers
+    WAIT_CLOSURE: "WAIT_CLOSURE", // Approved, waiting for PC to close it
+    RESUBMIT: "RESUBMIT", // Rejected, waiting for the requester
+};
+
+// Approval stage department sources
+const STAGE_DEPARTMENT = {
+    REQUESTER: "REQUESTER",
+    FIXED: "FIXED",
+};
+
+// Production location hierarchy: plant -> area -> line
+const LOCATION_LEVEL = {
+    PLANT: "PLANT",
+    AREA: "AREA",
+    LINE: "LINE",
+};
+
+// Level a location's parent must have
+const LOCATION_PARENT_LEVEL = {
+    PLANT: null,
+    AREA: LOCATION_LEVEL.PLANT,
+    LINE: LOCATION_LEVEL.AREA,
+};
+
+// Classification of requests that do not specify one
+const DEFAULT_KLASIFIKASI = "NORMAL";
+
+// How many approvers of each stage role must approve
+const QUORUM = {
+    ANY: "ANY",
+    ALL: "ALL",
+    COUNT: "COUNT",
+};
+
+// Built-in chain used when no approval chain is configured:
+// LSM of the requester department -> PC Staff -> PC Supervisor/Manager
+const DEFAULT_APPROVAL_CHAIN = {
+    id_chain: null,
+    name: "Default (LSM - PC Staff - PC Manager)",
+    stages: [
+        {
+            sequence: 1,
+            name: "LSM Department",
+            department_source: STAGE_DEPARTMENT.REQUESTER,
+            id_department: null,
+            approver_roles: APPROVAL_ROLES.LSM,
+            id_users: null,
+            final_role: "MANAGER",
+            approved_status: STATUS.APPROVED_BY_DEPARTMENT,
+            rejected_status: STATUS.REJECTED_BY_DEPARTMENT,
+            handles_closure: false,
+            quorum: QUORUM.ANY,
+            quorum_count: null,
+            allow_role_skip: true,
+        },
+        {
+            sequence: 2,
+            name: "Staff PC",
+            department_source: STAGE_DEPARTMENT.FIXED,
+            id_department: PC_DEPARTMENT_ID,
+            approver_roles: ["STAFF"],
+            id_users: null,
+            final_role: null,
+            approved_status: STATUS.PENDING_PC,
+            rejected_status: STATUS.REJECTED_BY_PC,
+            handles_closure: true,
+            quorum: QUORUM.ANY,
+            quorum_count: null,
+            allow_role_skip: true,
+        },
+        {
+            sequence: 3,
+            name: "Manager PC",
+            department_source: STAGE_DEPARTMENT.FIXED,
+            id_department: PC_DEPARTMENT_ID,
+            approver_roles: APPROVAL_ROLES.PC_APPROVERS,
+            id_users: null,
+            final_role: "MANAGER",
+            approved_status: STATUS.APPROVED_BY_PC,
+            rejected_status: STATUS.REJECTED_BY_PC,
+            handles_closure: false,
+            quorum: QUORUM.ANY,
+            quorum_count: null,
+            allow_role_skip: true,
+        },
+    ],
+};
+
+// Next role up when a pending approval is escalated. MANAGER is the last
+// level: escalated approvers need an approval row, which ADMIN cannot hold.
+const ESCALATION_PATH = {
+    LEADER: "SUPERVISOR",
+    SUPERVISOR: "MANAGER",
+    STAFF: "MANAGER",
+};
+
+// How often a recurring request schedule creates a request
+const SCHEDULE_FREQUENCY = {
+    DAILY: "DAILY",
+    WEEKLY: "WEEKLY", // On the ISO weekdays of the schedule, 1 = Monday
+    MONTHLY: "MONTHLY", // On its day of month, or the last day if shorter
+};
+
 module.exports = {
     PC_DEPARTMENT_ID,
     APPROVAL_ROLES,
     STATUS,
+    PRIORITY,
     NOTE,
     REJECTED_NOTES,
     REJECTED_STATUSES,
+    STATUS_TRANSITIONS,
+    OPEN_STATUSES,
+    CARD_STATUSES,
+    BOARD_COLUMNS,
+    KANBAN_CODE_PREFIX,
+    SCAN_RESULT,
+    SCAN_NEXT_ACTION,
+    STAGE_DEPARTMENT,
+    QUORUM,
+    LOCATION_LEVEL,
+    LOCATION_PARENT_LEVEL,
+    DEFAULT_KLASIFIKASI,
+    DEFAULT_APPROVAL_CHAIN,
+    ESCALATION_PATH,
+    SCHEDULE_FREQUENCY,
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const ExcelJS = require("exceljs");
 const { format } = require("date-fns");
 const { id } = require("date-fns/locale");
+const { toLineRows } = require("./reportHelper");
 
 // Define colors and styles
 const styles = {
@@ -116,6 +117,10 @@ function getStatusLabel(status) {
             return "Ditolak Dept.";
         case "REJECTED_BY_PC":
             return "Ditolak PC";
+        case "CLOSED":
+            return "Selesai";
+        case "CANCELLED":
+            return "Dibatalkan";
         default:
             return status;
     }
@@ -123,7 +128,7 @@ function getStatusLabel(status) {
 
 // Helper function to get status style
 function getStatusStyle(status) {
-    if (status.includes("APPROVED")) {
+    if (status.includes("APPROVED") || status === "CLOSED") {
         return styles.statusApproved;
     } else if (status.includes("REJECTED")) {
         return styles.statusRejected;
@@ -132,16 +137,42 @@ function getStatusStyle(status) {
     }
 }
 
+// Helper function to get line item status label
+function getLineStatusLabel(status) {
+    return status === "REJECTED" ? "Ditolak" : "Aktif";
+}
+
+// Helper function to get line item status style
+function getLineStatusStyle(status) {
+    return status === "REJECTED" ? styles.statusRejected : styles.dataCell;
+}
+
+// Helper function to get classification style from its catalogue colour
+function getKlasifikasiStyle(color) {
+    if (!color) {
+        return styles.dataCell;
+    }
+
+    return {
+        ...styles.dataCell,
+        font: {
+            size: 10,
+            bold: true,
+            color: { argb: `FF${color.replace("#", "").toUpperCase()}` },
+        },
+    };
+}
+
 // Function to add company header
 function addCompanyHeader(worksheet) {
     // Company name
-    worksheet.mergeCells("A1:I1");
+    worksheet.mergeCells("A1:N1");
     const titleCell = worksheet.getCell("A1");
     titleCell.value = "PT. Segara Technology Indonesia";
     titleCell.style = styles.title;
 
     // Company address
-    worksheet.mergeCells("A2:I2");
+    worksheet.mergeCells("A2:N2");
     const addressCell = worksheet.getCell("A2");
     addressCell.value =
         "Jl. Cianjur, Karangpawitan, Karawang Barat, Karawang 41310 West Java, Indonesia | Telp: 0812-5580-2706";
@@ -162,7 +193,7 @@ function addReportTitle(worksheet, monthName, statistics, startRow) {
     let currentRow = startRow;
 
     // Report title
-    worksheet.mergeCells(`A${currentRow}:I${currentRow}`);
+    worksheet.mergeCells(`A${currentRow}:N${currentRow}`);
     const reportTitleCell = worksheet.getCell(`A${currentRow}`);
     reportTitleCell.value = "LAPORAN REQUEST KANBAN";
     reportTitleCell.style = styles.title;
@@ -170,7 +201,7 @@ function addReportTitle(worksheet, monthName, statistics, startRow) {
     currentRow++;
 
     // Period
-    worksheet.mergeCells(`A${currentRow}:I${currentRow}`);
+    worksheet.mergeCells(`A${currentRow}:N${currentRow}`);
     const periodCell = worksheet.getCell(`A${currentRow}`);
     periodCell.value = monthName;
     periodCell.style = styles.subtitle;
@@ -178,7 +209,7 @@ function addReportTitle(worksheet, monthName, statistics, startRow) {
     currentRow++;
 
     // Print date
-    worksheet.mergeCells(`A${currentRow}:I${currentRow}`);
+    worksheet.mergeCells(`A${currentRow}:N${currentRow}`);
     const printDateCell = worksheet.getCell(`A${currentRow}`);
     printDateCell.value = `Tanggal Cetak: ${format(
         new Date(),
@@ -195,7 +226,7 @@ function addReportTitle(worksheet, monthName, statistics, startRow) {
         currentRow++; // Empty row
 
         // Summary title
-        worksheet.mergeCells(`A${currentRow}:I${currentRow}`);
+        worksheet.mergeCells(`A${currentRow}:N${currentRow}`);
         const summaryTitleCell = worksheet.getCell(`A${currentRow}`);
         summaryTitleCell.value = "RINGKASAN";
         summaryTitleCell.style = {
@@ -225,6 +256,8 @@ function addReportTitle(worksheet, monthName, statistics, startRow) {
             "PENDING_APPROVAL",
             "APPROVED_BY_DEPARTMENT",
             "REJECTED_BY_DEPARTMENT",
+            "CLOSED",
+            "CANCELLED",
         ];
 
         const statusCountMap = {};
@@ -261,10 +294,15 @@ function createDataTable(worksheet, reportData, startRow) {
         "Requester",
         "Department",
         "Parts Number",
+        "Deskripsi Part",
+        "Qty",
+        "Satuan",
         "Lokasi",
         "Box",
         "Klasifikasi",
         "Status",
+        "Status Item",
+        "Lampiran",
     ];
 
     // Add headers
@@ -277,8 +315,8 @@ function createDataTable(worksheet, reportData, startRow) {
     worksheet.getRow(startRow).height = 20;
     let currentRow = startRow + 1;
 
-    // Add data rows
-    reportData.forEach((item, index) => {
+    // Add data rows, one per line item
+    toLineRows(reportData).forEach((item, index) => {
         const row = worksheet.getRow(currentRow);
 
         // Set row data
@@ -299,18 +337,42 @@ function createDataTable(worksheet, reportData, startRow) {
         row.getCell(5).value = item.parts_number;
         row.getCell(5).style = styles.dataCell;
 
-        row.getCell(6).value = item.lokasi;
+        row.getCell(6).value = item.part_description || "-";
         row.getCell(6).style = styles.dataCell;
 
-        row.getCell(7).value = item.box;
+        row.getCell(7).value = item.quantity ?? "-";
         row.getCell(7).style = styles.dataCell;
-        row.getCell(7).alignment = { horizontal: "center", vertical: "middle" };
+        row.getCell(7).alignment = { horizontal: "right", vertical: "middle" };
 
-        row.getCell(8).value = item.klasifikasi;
+        row.getCell(8).value = item.unit || "-";
         row.getCell(8).style = styles.dataCell;
+        row.getCell(8).alignment = { horizontal: "center", vertical: "middle" };
+
+        row.getCell(9).value = item.lokasi;
+        row.getCell(9).style = styles.dataCell;
+
+        row.getCell(10).value = item.box;
+        row.getCell(10).style = styles.dataCell;
+        row.getCell(10).alignment = {
+            horizontal: "center",
+            vertical: "middle",
+        };
+
+        row.getCell(11).value = item.klasifikasi;
+        row.getCell(11).style = getKlasifikasiStyle(item.klasifikasi_color);
 
-        row.getCell(9).value = getStatusLabel(item.status);
-        row.getCell(9).style = getStatusStyle(item.status);
+        row.getCell(12).value = getStatusLabel(item.status);
+        row.getCell(12).style = getStatusStyle(item.status);
+
+        row.getCell(13).value = getLineStatusLabel(item.line_status);
+        row.getCell(13).style = getLineStatusStyle(item.line_status);
+
+        row.getCell(14).value = item.attachment_count || 0;
+        row.getCell(14).style = styles.dataCell;
+        row.getCell(14).alignment = {
+            horizontal: "center",
+            vertical: "middle",
+        };
 
         // Set row height
         row.height = 18;
@@ -472,10 +534,15 @@ async function createExcelReport(
     mainSheet.getColumn(3).width = 20; // Requester
     mainSheet.getColumn(4).width = 18; // Department
     mainSheet.getColumn(5).width = 18; // Parts Number
-    mainSheet.getColumn(6).width = 15; // Lokasi
-    mainSheet.getColumn(7).width = 8; // Box
-    mainSheet.getColumn(8).width = 15; // Klasifikasi
-    mainSheet.getColumn(9).width = 18; // Status
+    mainSheet.getColumn(6).width = 25; // Deskripsi Part
+    mainSheet.getColumn(7).width = 8; // Qty
+    mainSheet.getColumn(8).width = 8; // Satuan
+    mainSheet.getColumn(9).width = 15; // Lokasi
+    mainSheet.getColumn(10).width = 8; // Box
+    mainSheet.getColumn(11).width = 15; // Klasifikasi
+    mainSheet.getColumn(12).width = 18; // Status
+    mainSheet.getColumn(13).width = 12; // Status Item
+    mainSheet.getColumn(14).width = 10; // Lampiran
 
     // Create statistics sheet if statistics available
     if (
@@ -498,6 +565,30 @@ async function createExcelReport(
     res.end();
 }
 
+// Plain workbook of one sheet with a header row, for data exports
+async function createDataSheetBuffer(sheetName, columns, rows) {
+    const workbook = new ExcelJS.Workbook();
+
+    workbook.creator = "System Kanban";
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(sheetName, {
+        views: [{ state: "frozen", ySplit: 1 }],
+    });
+    sheet.columns = columns;
+    sheet.getRow(1).eachCell((cell) => {
+        cell.style = styles.header;
+    });
+    sheet.addRows(rows);
+    sheet.autoFilter = {
+        from: { row: 1, column: 1 },
+        to: { row: 1, column: columns.length },
+    };
+
+    return await workbook.xlsx.writeBuffer();
+}
+
 module.exports = {
     createExcelReport,
+    createDataSheetBuffer,
 };
@@ -0,0 +1,204 @@
+// utils/fileStorage.js - Local disk storage for uploaded files
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { config } = require("../config");
+const { ValidationError } = require("../middlewares/ErrorHandler");
+
+const ATTACHMENT_DIR = "attachments";
+
+// Leading bytes of the binary types uploads may have
+const FILE_SIGNATURES = [
+    { mime_type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+    {
+        mime_type: "image/png",
+        bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    },
+    // GIF8
+    { mime_type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+    // %PDF-
+    { mime_type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+// Non-standard MIME types clients send for the ones above
+const MIME_ALIASES = {
+    "image/jpg": "image/jpeg",
+    "image/pjpeg": "image/jpeg",
+};
+
+const normalizeMimeType = (mimeType) => MIME_ALIASES[mimeType] || mimeType;
+
+// Executable extensions are refused whatever the content
+const SUSPICIOUS_EXTENSIONS = [
+    ".exe",
+    ".bat",
+    ".cmd",
+    ".scr",
+    ".vbs",
+    ".js",
+    ".jar",
+];
+
+const getUploadDir = () =>
+    path.resolve(config.upload.destination, ATTACHMENT_DIR);
+
+/**
+ * Detect the type of a file from its content. Text has no signature, so
+ * anything that is valid UTF-8 without NUL bytes counts as plain text.
+ */
+const sniffMimeType = (buffer) => {
+    const signature = FILE_SIGNATURES.find(({ bytes }) =>
+        bytes.every((byte, index) => buffer[index] === byte)
+    );
+
+    if (signature) {
+        return signature.mime_type;
+    }
+
+    if (buffer.includes(0)) {
+        return null;
+    }
+
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return "text/plain";
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Decode a base64 upload ({ file_name, mime_type, content }) and check it
+ * against the upload settings
+ */
+const decodeUpload = (upload) => {
+    const { file_name, mime_type, content } = upload;
+
+    if (!config.upload.enabled) {
+        throw new ValidationError("File uploads are disabled");
+    }
+
+    const extension = path.extname(file_name).toLowerCase();
+
+    if (SUSPICIOUS_EXTENSIONS.includes(extension)) {
+        throw new ValidationError(
+            `File ${file_name} has a suspicious extension`,
+            { file_name, extension }
+        );
+    }
+
+    const allowedTypes = config.upload.allowedTypes.map(normalizeMimeType);
+
+    if (!allowedTypes.includes(normalizeMimeType(mime_type))) {
+        throw new ValidationError(`File type ${mime_type} is not allowed`, {
+            file_name,
+            allowed_types: config.upload.allowedTypes,
+        });
+    }
+
+    const buffer = Buffer.from(content, "base64");
+
+    if (buffer.length === 0) {
+        throw new ValidationError(`File ${file_name} is empty`);
+    }
+
+    if (buffer.length > config.upload.maxSize) {
+        throw new ValidationError(`File ${file_name} is too large`, {
+            file_name,
+            max_size: config.upload.maxSize,
+            file_size: buffer.length,
+        });
+    }
+
+    // The declared type must match what the content actually is
+    const detectedType = sniffMimeType(buffer);
+
+    if (detectedType !== normalizeMimeType(mime_type)) {
+        throw new ValidationError(
+            `Content of ${file_name} does not match file type ${mime_type}`,
+            {
+                file_name,
+                declared_type: mime_type,
+                detected_type: detectedType,
+            }
+        );
+    }
+
+    return {
+        file_name: path.basename(file_name),
+        mime_type: detectedType,
+        size: buffer.length,
+        buffer,
+    };
+};
+
+/**
+ * Write a file under a random name and return that name
+ */
+const saveFile = async (buffer, fileName) => {
+    const uploadDir = getUploadDir();
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+
+    const storedName = `${crypto.randomUUID()}${path
+        .extname(fileName)
+        .toLowerCase()}`;
+
+    await fs.promises.writeFile(path.join(uploadDir, storedName), buffer);
+
+    return storedName;
+};
+
+/**
+ * Absolute path of a stored file
+ */
+const getFilePath = (storedName) =>
+    path.join(getUploadDir(), path.basename(storedName));
+
+/**
+ * Remove a stored file, ignoring files that are already gone
+ */
+const deleteFile = async (storedName) => {
+    try {
+        await fs.promises.unlink(getFilePath(storedName));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Stored files last modified before the given date
+ */
+const listFilesBefore = async (date) => {
+    const uploadDir = getUploadDir();
+    let names;
+
+    try {
+        names = await fs.promises.readdir(uploadDir);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return [];
+        }
+        throw error;
+    }
+
+    const files = [];
+
+    for (const name of names) {
+        const stats = await fs.promises.stat(path.join(uploadDir, name));
+        if (stats.isFile() && stats.mtime < date) {
+            files.push(name);
+        }
+    }
+
+    return files;
+};
+
+module.exports = {
+    decodeUpload,
+    saveFile,
+    getFilePath,
+    deleteFile,
+    listFilesBefore,
+};
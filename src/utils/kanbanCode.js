@@ -0,0 +1,22 @@
+const { KANBAN_CODE_PREFIX } = require("./constants");
+
+// Code printed in the QR code of a kanban card
+const encodeKanbanCode = (kanbanId) => `${KANBAN_CODE_PREFIX}${kanbanId}`;
+
+// Kanban ID of a scanned code. Scanners may also send the bare ID, as
+// typed on the keypad. Returns null when the code is not a kanban code.
+const parseKanbanCode = (code) => {
+    const value = String(code || "")
+        .trim()
+        .toUpperCase();
+    const kanbanId = value.startsWith(KANBAN_CODE_PREFIX)
+        ? value.slice(KANBAN_CODE_PREFIX.length)
+        : value;
+
+    return /^[1-9]\d{0,9}$/.test(kanbanId) ? parseInt(kanbanId) : null;
+};
+
+module.exports = {
+    encodeKanbanCode,
+    parseKanbanCode,
+};
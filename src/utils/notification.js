@@ -15,6 +15,101 @@ const transporter = nodemailer.createTransport({
     },
 });
 
+/**
+ * Render the request detail box of the notification email. Grouped
+ * notifications carry several requests and list them in a table.
+ */
+const renderRequestDetails = (request, requests) => {
+    if (requests && requests.length > 0) {
+        const rows = requests
+            .map(
+                (item) => `
+                            <tr>
+                                <td style="padding: 4px 8px;">#${item.id_kanban}</td>
+                                <td style="padding: 4px 8px;">${
+                                    item.nama_requester || "N/A"
+                                }</td>
+                                <td style="padding: 4px 8px;">${
+                                    item.lokasi || "Pending"
+                                }</td>
+                            </tr>`
+            )
+            .join("");
+
+        return `
+                    <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                        <h3 style="color: #666; margin: 0 0 10px 0;">Detail Request (${requests.length}):</h3>
+                        <table style="border-collapse: collapse; width: 100%;">
+                            <tr>
+                                <th style="text-align: left; padding: 4px 8px;">ID Kanban</th>
+                                <th style="text-align: left; padding: 4px 8px;">Requester</th>
+                                <th style="text-align: left; padding: 4px 8px;">Lokasi</th>
+                            </tr>${rows}
+                        </table>
+                    </div>`;
+    }
+
+    return `
+                    <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                        <h3 style="color: #666; margin: 0 0 10px 0;">Detail Request:</h3>
+                        <p><strong>ID Kanban:</strong> ${request.id_kanban}</p>
+                        <p><strong>Requester:</strong> ${
+                            request.nama_requester || "N/A"
+                        }</p>
+                        <p><strong>Lokasi:</strong> ${
+                            request.lokasi || "Pending"
+                        }</p>
+                        <p><strong>Tanggal Request:</strong> ${new Date(
+                            request.createdAt || Date.now()
+                        ).toLocaleDateString("id-ID")}</p>
+                    </div>`;
+};
+
+/**
+ * Record the notifications sent about requests in the audit log, so they
+ * show on the request timelines. A message sent to several users is one
+ * entry per request listing its recipients. A failure to record is only
+ * logged.
+ */
+const recordNotifications = async (deliveries) => {
+    const entries = new Map();
+
+    for (const { user, request, requests, message, channels } of deliveries) {
+        const items = (
+            requests && requests.length > 0 ? requests : [request]
+        ).filter((item) => item && item.id_kanban);
+
+        for (const item of items) {
+            const key = `${item.id_kanban}:${message}`;
+
+            if (!entries.has(key)) {
+                entries.set(key, {
+                    action: "NOTIFICATION_SENT",
+                    table_name: "request_kanban",
+                    record_id: parseInt(item.id_kanban),
+                    new_values: { message, recipients: [] },
+                });
+            }
+
+            entries.get(key).new_values.recipients.push({
+                id_users: user.id_users || null,
+                name: user.name,
+                channels,
+            });
+        }
+    }
+
+    if (entries.size === 0) {
+        return;
+    }
+
+    try {
+        await prisma.auditLog.createMany({ data: [...entries.values()] });
+    } catch (error) {
+        console.error("Failed to record notifications:", error);
+    }
+};
+
 /**
  * Send single notification (backward compatibility)
  */
@@ -44,13 +139,19 @@ exports.sendBatchNotifications = async (notifications) => {
         email: { sent: 0, failed: 0, errors: [] },
     };
 
+    // Channels each notification reached, recorded on its requests
+    const deliveries = [];
+
     // Process each notification in parallel
-    const promises = notifications.map(async ({ user, request, message }) => {
+    const promises = notifications.map(async ({ user, request, requests, message }) => {
         if (!user || !message) {
             console.error("Invalid notification data:", { user, message });
             return;
         }
 
+        const channels = { whatsapp: false, email: false };
+        deliveries.push({ user, request, requests, message, channels });
+
         // --- WhatsApp ---
         if (user.no_hp && message.trim()) {
             const waMessage = `Halo ${user.name},\n\n${message}`;
@@ -72,6 +173,7 @@ exports.sendBatchNotifications = async (notifications) => {
                     }
                 );
                 results.whatsapp.sent++;
+                channels.whatsapp = true;
             } catch (err) {
                 results.whatsapp.failed++;
                 results.whatsapp.errors.push({
@@ -93,19 +195,7 @@ exports.sendBatchNotifications = async (notifications) => {
                     <h2 style="color: #333;">Notifikasi Request Kanban</h2>
                     <p>Hai <strong>${user.name}</strong>,</p>
                     <p>${message}</p>
-                    <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                        <h3 style="color: #666; margin: 0 0 10px 0;">Detail Request:</h3>
-                        <p><strong>ID Kanban:</strong> ${request.id_kanban}</p>
-                        <p><strong>Requester:</strong> ${
-                            request.nama_requester || "N/A"
-                        }</p>
-                        <p><strong>Lokasi:</strong> ${
-                            request.lokasi || "Pending"
-                        }</p>
-                        <p><strong>Tanggal Request:</strong> ${new Date(
-                            request.createdAt || Date.now()
-                        ).toLocaleDateString("id-ID")}</p>
-                    </div>
+                    ${renderRequestDetails(request, requests)}
                     <p style="color: #666; font-size: 12px;">
                         Email ini dikirim secara otomatis oleh sistem PC Department. 
                         Mohon tidak membalas email ini.
@@ -121,6 +211,7 @@ exports.sendBatchNotifications = async (notifications) => {
         try {
             await transporter.sendMail(mailOptions);
             results.email.sent++;
+            channels.email = true;
         } catch (error) {
             results.email.failed++;
             results.email.errors.push({
@@ -132,6 +223,8 @@ exports.sendBatchNotifications = async (notifications) => {
 
     await Promise.allSettled(promises);
 
+    await recordNotifications(deliveries);
+
     results.success =
         results.whatsapp.failed === 0 && results.email.failed === 0;
 
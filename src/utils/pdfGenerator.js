@@ -2,6 +2,9 @@ const PDFDocument = require("pdfkit");
 const { format } = require("date-fns");
 const path = require('path');
 const { id } = require("date-fns/locale");
+const QRCode = require("qrcode");
+const { toLineRows } = require("./reportHelper");
+const { encodeKanbanCode } = require("./kanbanCode");
 
 // Color scheme
 const colors = {
@@ -117,6 +120,8 @@ function addReportTitle(doc, monthName, statistics) {
             "PENDING_APPROVAL",
             "APPROVED_BY_DEPARTMENT",
             "REJECTED_BY_DEPARTMENT",
+            "CLOSED",
+            "CANCELLED",
         ];
 
         // Mapping status ke jumlah, default 0
@@ -157,6 +162,7 @@ function addReportTitle(doc, monthName, statistics) {
 function getStatusColor(status) {
     switch (status) {
         case "APPROVED_BY_PC":
+        case "CLOSED":
             return colors.success;
         case "APPROVED_BY_DEPARTMENT":
             return colors.warning;
@@ -186,6 +192,10 @@ function getStatusLabel(status) {
             return "Ditolak Dept.";
         case "REJECTED_BY_PC":
             return "Ditolak PC";
+        case "CLOSED":
+            return "Selesai";
+        case "CANCELLED":
+            return "Dibatalkan";
         default:
             return status;
     }
@@ -239,6 +249,16 @@ function addTableRow(doc, item, rowY, isEven) {
     const statusColor = getStatusColor(item.status);
     const statusLabel = getStatusLabel(item.status);
 
+    // Quantity and part description go below the parts number
+    const lineDetail = [
+        item.quantity ? `${item.quantity} ${item.unit}` : null,
+        item.part_description,
+    ]
+        .filter(Boolean)
+        .join(" - ");
+    const isRejectedLine = item.line_status === "REJECTED";
+    const partsNumberY = lineDetail || isRejectedLine ? rowY + 3 : rowY + 5;
+
     doc.fontSize(8).fillColor(colors.dark).font("Helvetica");
 
     // Column data with proper alignment
@@ -259,10 +279,10 @@ function addTableRow(doc, item, rowY, isEven) {
             height: 15,
             align: "center",
         })
-        .text(item.parts_number, 275, rowY + 5, {
+        .text(item.parts_number, 275, partsNumberY, {
             width: 70,
             ellipsis: true,
-            height: 15,
+            height: 10,
             align: "center",
         })
         .text(item.lokasi, 345, rowY + 5, {
@@ -271,13 +291,36 @@ function addTableRow(doc, item, rowY, isEven) {
             height: 15,
             align: "center",
         })
-        .text(item.box, 395, rowY + 8, { width: 35, align: "center" })
+        .text(item.box, 395, rowY + 8, { width: 35, align: "center" });
+
+    // Classification in its catalogue colour
+    doc.fillColor(item.klasifikasi_color || colors.dark)
+        .font("Helvetica-Bold")
         .text(item.klasifikasi, 430, rowY + 5, {
             width: 50,
             ellipsis: true,
             height: 15,
             align: "center",
-        });
+        })
+        .font("Helvetica");
+
+    // Line detail under the parts number, rejected lines marked in red
+    if (lineDetail || isRejectedLine) {
+        doc.fontSize(6)
+            .fillColor(isRejectedLine ? colors.danger : colors.secondary)
+            .text(
+                isRejectedLine ? `Ditolak: ${lineDetail}` : lineDetail,
+                275,
+                rowY + 13,
+                {
+                    width: 70,
+                    ellipsis: true,
+                    height: 9,
+                    align: "center",
+                }
+            )
+            .fontSize(8);
+    }
 
     // Status with color
     doc.fillColor(statusColor)
@@ -306,7 +349,8 @@ function generatePdfContent(doc, reportData, monthName, statistics) {
     let rowCount = 0;
     let pageCount = 1;
 
-    reportData.forEach((item, index) => {
+    // One table row per line item
+    toLineRows(reportData).forEach((item, index) => {
         // Check if we need a new page (leaving space for footer)
         if (currentY > doc.page.height - 100) {
             doc.addPage();
@@ -458,6 +502,298 @@ function createPdfReport(res, reportData, monthName, statistics = null) {
     doc.end();
 }
 
+// Kanban card of 100 x 70 mm, eight of them fit on an A4 sheet
+const CARD = {
+    width: 283.46,
+    height: 198.43,
+    padding: 8,
+    qrSize: 78,
+    maxStamps: 5,
+};
+
+// One card per requested line; rejected lines are not produced
+function toKanbanCards(kanban, partDescriptions) {
+    const activeLines = (kanban.lines || []).filter(
+        (line) => line.status === "ACTIVE"
+    );
+    const items =
+        activeLines.length > 0
+            ? activeLines
+            : [
+                  {
+                      parts_number: kanban.parts_number,
+                      quantity: null,
+                      unit: null,
+                      box: kanban.box,
+                  },
+              ];
+
+    // Approval stamps of the current revision, in approval order
+    const stamps = (kanban.persetujuan || [])
+        .filter(
+            (approval) =>
+                approval.approve &&
+                approval.approvedAt &&
+                approval.revision === kanban.revision
+        )
+        .sort((a, b) => a.approvedAt - b.approvedAt)
+        .slice(-CARD.maxStamps);
+
+    return items.map((line, index) => ({
+        kanban,
+        line,
+        item: `${index + 1}/${items.length}`,
+        part_description: partDescriptions.get(line.parts_number) || null,
+        stamps,
+    }));
+}
+
+// QR code images of the kanban IDs, generated once per request
+async function createQrImages(kanbans) {
+    const images = new Map();
+
+    for (const kanban of kanbans) {
+        images.set(
+            kanban.id_kanban,
+            await QRCode.toBuffer(encodeKanbanCode(kanban.id_kanban), {
+                type: "png",
+                margin: 0,
+                width: 240,
+                errorCorrectionLevel: "M",
+            })
+        );
+    }
+
+    return images;
+}
+
+// Label and value of a card field
+function addCardField(doc, label, value, x, y, width) {
+    doc.fontSize(6)
+        .fillColor(colors.secondary)
+        .font("Helvetica")
+        .text(label, x, y, { width, lineBreak: false });
+
+    doc.fontSize(9)
+        .fillColor(colors.dark)
+        .font("Helvetica-Bold")
+        .text(value || "-", x, y + 7, {
+            width,
+            ellipsis: true,
+            height: 11,
+        });
+}
+
+// Draw one kanban card with its top-left corner at x, y
+function drawKanbanCard(doc, card, qrImage, x, y) {
+    const { kanban, line } = card;
+    const { width, height, padding, qrSize } = CARD;
+    const headerColor = kanban.classification?.color || colors.primary;
+
+    doc.rect(x, y, width, height)
+        .lineWidth(1)
+        .strokeColor(colors.dark)
+        .stroke();
+
+    // Header in the classification colour
+    doc.rect(x, y, width, 24).fill(headerColor);
+    doc.fontSize(11)
+        .fillColor(colors.white)
+        .font("Helvetica-Bold")
+        .text(`KANBAN #${kanban.id_kanban}`, x + padding, y + 7, {
+            lineBreak: false,
+        })
+        .text(kanban.klasifikasi, x + padding, y + 7, {
+            width: width - padding * 2,
+            align: "right",
+            lineBreak: false,
+        });
+
+    // QR code of the kanban ID
+    const qrX = x + width - padding - qrSize;
+    doc.image(qrImage, qrX, y + 32, { width: qrSize, height: qrSize });
+    doc.fontSize(6)
+        .fillColor(colors.secondary)
+        .font("Helvetica")
+        .text(encodeKanbanCode(kanban.id_kanban), qrX, y + 113, {
+            width: qrSize,
+            align: "center",
+            lineBreak: false,
+        });
+
+    // Part number and description
+    const fieldX = x + padding;
+    const fieldWidth = width - padding * 3 - qrSize;
+    const columnWidth = fieldWidth / 2;
+
+    doc.fontSize(6)
+        .fillColor(colors.secondary)
+        .font("Helvetica")
+        .text("PART NUMBER", fieldX, y + 30, { lineBreak: false });
+    doc.fontSize(14)
+        .fillColor(colors.dark)
+        .font("Helvetica-Bold")
+        .text(line.parts_number, fieldX, y + 38, {
+            width: fieldWidth,
+            ellipsis: true,
+            height: 16,
+        });
+    doc.fontSize(7)
+        .fillColor(colors.secondary)
+        .font("Helvetica")
+        .text(card.part_description || "", fieldX, y + 55, {
+            width: fieldWidth,
+            ellipsis: true,
+            height: 9,
+        });
+
+    // Request fields, two per row
+    const quantity = line.quantity ? `${line.quantity} ${line.unit}` : null;
+    const fields = [
+        ["QTY", quantity],
+        ["ITEM", card.item],
+        ["LOKASI", kanban.lokasi],
+        ["BOX", line.box],
+        ["TGL PRODUKSI", format(kanban.tgl_produksi, "dd/MM/yyyy")],
+        ["DEPARTMENT", kanban.department?.name],
+    ];
+
+    fields.forEach(([label, value], index) => {
+        addCardField(
+            doc,
+            label,
+            value,
+            fieldX + (index % 2) * columnWidth,
+            y + 68 + Math.floor(index / 2) * 20,
+            columnWidth - 4
+        );
+    });
+
+    // Approval stamps
+    const stampY = y + 132;
+    doc.fontSize(6)
+        .fillColor(colors.secondary)
+        .font("Helvetica")
+        .text("PERSETUJUAN", fieldX, stampY, { lineBreak: false });
+
+    if (card.stamps.length === 0) {
+        doc.fontSize(7).text("Belum ada persetujuan", fieldX, stampY + 12, {
+            lineBreak: false,
+        });
+        return;
+    }
+
+    const stampWidth = (width - padding * 2) / card.stamps.length;
+
+    card.stamps.forEach((stamp, index) => {
+        const stampX = fieldX + index * stampWidth;
+        const textWidth = stampWidth - 8;
+
+        doc.roundedRect(stampX + 1, stampY + 9, stampWidth - 2, 48, 3)
+            .lineWidth(1)
+            .strokeColor(colors.success)
+            .stroke();
+
+        doc.fontSize(7)
+            .fillColor(colors.success)
+            .font("Helvetica-Bold")
+            .text(stamp.role, stampX + 4, stampY + 13, {
+                width: textWidth,
+                align: "center",
+                lineBreak: false,
+            });
+        doc.fontSize(6)
+            .fillColor(colors.dark)
+            .font("Helvetica")
+            .text(
+                stamp.actedBy?.name || stamp.user.name,
+                stampX + 4,
+                stampY + 25,
+                { width: textWidth, align: "center", ellipsis: true, height: 8 }
+            )
+            .fillColor(colors.secondary)
+            .text(
+                format(stamp.approvedAt, "dd/MM/yy HH:mm"),
+                stampX + 4,
+                stampY + 40,
+                { width: textWidth, align: "center", lineBreak: false }
+            );
+    });
+}
+
+// Send a PDF document as a download
+function sendPdf(res, doc, fileName) {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    doc.pipe(res);
+}
+
+// Kanban cards of one request, one card-sized page per line
+async function createKanbanCardPdf(res, kanban, partDescriptions) {
+    const qrImages = await createQrImages([kanban]);
+    const doc = new PDFDocument({
+        size: [CARD.width, CARD.height],
+        margin: 0,
+        autoFirstPage: false,
+        info: {
+            Title: `Kanban Card #${kanban.id_kanban}`,
+            Author: "System Kanban",
+        },
+    });
+
+    sendPdf(res, doc, `Kanban_Card_${kanban.id_kanban}.pdf`);
+
+    toKanbanCards(kanban, partDescriptions).forEach((card) => {
+        doc.addPage();
+        drawKanbanCard(doc, card, qrImages.get(kanban.id_kanban), 0, 0);
+    });
+
+    doc.end();
+}
+
+// Kanban cards of many requests laid out two by four on A4 sheets
+async function createKanbanCardSheet(res, kanbans, partDescriptions, label) {
+    const qrImages = await createQrImages(kanbans);
+    const doc = new PDFDocument({
+        size: "A4",
+        margin: 0,
+        autoFirstPage: false,
+        info: {
+            Title: `Kanban Cards - ${label}`,
+            Author: "System Kanban",
+        },
+    });
+
+    sendPdf(res, doc, `Kanban_Cards_${label}.pdf`);
+
+    const columns = 2;
+    const rows = 4;
+    const offsetX = (595.28 - CARD.width * columns) / 2;
+    const offsetY = (841.89 - CARD.height * rows) / 2;
+
+    kanbans
+        .flatMap((kanban) => toKanbanCards(kanban, partDescriptions))
+        .forEach((card, index) => {
+            const slot = index % (columns * rows);
+            if (slot === 0) {
+                doc.addPage();
+            }
+
+            drawKanbanCard(
+                doc,
+                card,
+                qrImages.get(card.kanban.id_kanban),
+                offsetX + (slot % columns) * CARD.width,
+                offsetY + Math.floor(slot / columns) * CARD.height
+            );
+        });
+
+    doc.end();
+}
+
 module.exports = {
     createPdfReport,
+    createKanbanCardPdf,
+    createKanbanCardSheet,
 };
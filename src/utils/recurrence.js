@@ -0,0 +1,85 @@
+const {
+    addDays,
+    addMonths,
+    endOfDay,
+    getDaysInMonth,
+    getISODay,
+    max,
+    setDate,
+    startOfDay,
+    startOfMonth,
+    subDays,
+} = require("date-fns");
+const { SCHEDULE_FREQUENCY } = require("./constants");
+
+/**
+ * First occurrence of a schedule on or after a day, or null when the
+ * schedule ends before it
+ */
+const getNextOccurrence = (schedule, fromDate = new Date()) => {
+    const from = startOfDay(max([fromDate, schedule.start_date]));
+    let occurrence = null;
+
+    switch (schedule.frequency) {
+        case SCHEDULE_FREQUENCY.DAILY:
+            occurrence = from;
+            break;
+        case SCHEDULE_FREQUENCY.WEEKLY:
+            for (let offset = 0; offset < 7 && !occurrence; offset++) {
+                const day = addDays(from, offset);
+                if (schedule.weekdays.includes(getISODay(day))) {
+                    occurrence = day;
+                }
+            }
+            break;
+        case SCHEDULE_FREQUENCY.MONTHLY:
+            // Months shorter than the day of month use their last day
+            for (let offset = 0; offset < 2 && !occurrence; offset++) {
+                const month = addMonths(startOfMonth(from), offset);
+                const day = setDate(
+                    month,
+                    Math.min(schedule.day_of_month, getDaysInMonth(month))
+                );
+                if (day >= from) {
+                    occurrence = day;
+                }
+            }
+            break;
+    }
+
+    if (
+        !occurrence ||
+        (schedule.end_date && occurrence > endOfDay(schedule.end_date))
+    ) {
+        return null;
+    }
+
+    return occurrence;
+};
+
+/**
+ * Next occurrences of a schedule, at most count of them
+ */
+const getUpcomingOccurrences = (schedule, count, fromDate = new Date()) => {
+    const occurrences = [];
+    let occurrence = getNextOccurrence(schedule, fromDate);
+
+    while (occurrence && occurrences.length < count) {
+        occurrences.push(occurrence);
+        occurrence = getNextOccurrence(schedule, addDays(occurrence, 1));
+    }
+
+    return occurrences;
+};
+
+/**
+ * Day the request of an occurrence is created, lead_days before it
+ */
+const getRunDate = (schedule, occurrence) =>
+    subDays(occurrence, schedule.lead_days);
+
+module.exports = {
+    getNextOccurrence,
+    getUpcomingOccurrences,
+    getRunDate,
+};
@@ -1,7 +1,71 @@
 const prisma = require("../../prisma/client");
+const Part = require("../models/Part");
+const Location = require("../models/Location");
+const Klasifikasi = require("../models/Klasifikasi");
+const { LOCATION_LEVEL, PRIORITY } = require("../utils/constants");
 const { format } = require("date-fns");
 const { id } = require("date-fns/locale");
 
+// Parts numbers of requests and their lines, for the part descriptions
+const collectPartsNumbers = (kanbanRequests) =>
+    kanbanRequests.flatMap((request) => [
+        request.parts_number,
+        ...request.lines.map((line) => line.parts_number),
+    ]);
+
+// Line items of a report row. Requests from before line items were
+// introduced report their single part without a quantity.
+const toReportLines = (request, partDescriptions) => {
+    const lines =
+        request.lines.length > 0
+            ? request.lines
+            : [
+                  {
+                      line_no: 1,
+                      parts_number: request.parts_number,
+                      quantity: null,
+                      unit: null,
+                      box: request.box,
+                      remark: "",
+                      status: "ACTIVE",
+                      rejected_reason: null,
+                  },
+              ];
+
+    return lines.map((line) => ({
+        line_no: line.line_no,
+        parts_number: line.parts_number,
+        part_description: partDescriptions.get(line.parts_number) || null,
+        quantity: line.quantity,
+        unit: line.unit,
+        box: line.box,
+        remark: line.remark,
+        status: line.status,
+        rejected_reason: line.rejected_reason,
+    }));
+};
+
+/**
+ * Expand report rows to one row per line item, for the PDF, Excel and CSV
+ * exports. Request fields repeat on every line of the request.
+ */
+function toLineRows(reportData) {
+    return reportData.flatMap(({ lines = [], ...row }) =>
+        lines.map((line) => ({
+            ...row,
+            line_no: line.line_no,
+            line_count: lines.length,
+            parts_number: line.parts_number,
+            part_description: line.part_description,
+            quantity: line.quantity,
+            unit: line.unit,
+            box: line.box,
+            remark: line.remark,
+            line_status: line.status,
+        }))
+    );
+}
+
 // Helper function to get monthly report data with enhanced details
 async function getMonthlyReportData(startDate, endDate) {
     const kanbanRequests = await prisma.requestKanban.findMany({
@@ -23,6 +87,23 @@ async function getMonthlyReportData(startDate, endDate) {
                     name: true,
                 },
             },
+            location: {
+                include: {
+                    parent: {
+                        include: {
+                            parent: true,
+                        },
+                    },
+                },
+            },
+            lines: {
+                orderBy: { line_no: "asc" },
+            },
+            _count: {
+                select: {
+                    attachments: { where: { id_comment: null } },
+                },
+            },
             persetujuan: {
                 include: {
                     user: {
@@ -31,6 +112,12 @@ async function getMonthlyReportData(startDate, endDate) {
                             role: true,
                         },
                     },
+                    actedBy: {
+                        select: {
+                            name: true,
+                            role: true,
+                        },
+                    },
                 },
                 orderBy: {
                     approvedAt: "desc",
@@ -42,6 +129,13 @@ async function getMonthlyReportData(startDate, endDate) {
         },
     });
 
+    const partDescriptions = await Part.findDescriptions(
+        collectPartsNumbers(kanbanRequests)
+    );
+    const classifications = await Klasifikasi.findByCodes(
+        kanbanRequests.map((request) => request.klasifikasi)
+    );
+
     return kanbanRequests.map((request) => {
         // Find the latest approval (if any)
         const approvedApprovals = request.persetujuan.filter(
@@ -70,16 +164,28 @@ async function getMonthlyReportData(startDate, endDate) {
             tgl_produksi: format(request.tgl_produksi, "dd/MM/yyyy"),
             nama_requester: request.nama_requester,
             parts_number: request.parts_number,
+            part_description:
+                partDescriptions.get(request.parts_number) || null,
             lokasi: request.lokasi,
+            plant: request.location?.parent?.parent?.code || null,
+            area: request.location?.parent?.code || null,
+            line: request.location?.code || null,
             box: request.box,
             klasifikasi: request.klasifikasi,
+            klasifikasi_color:
+                classifications.get(request.klasifikasi)?.color || null,
             keterangan: request.keterangan,
             status: request.status,
+            lines: toReportLines(request, partDescriptions),
+            attachment_count: request._count.attachments,
             totalApprovals,
             totalRejections,
             lastApproval: latestApproval
                 ? {
                       approver: latestApproval.user.name,
+                      acted_by: latestApproval.actedBy
+                          ? latestApproval.actedBy.name
+                          : null,
                       role: latestApproval.role,
                       approved: latestApproval.approve,
                       date: format(
@@ -209,6 +315,30 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
     const minProcessingTime =
         processingTimes.length > 0 ? Math.min(...processingTimes) : 0;
 
+    // Processing time per priority, highest priority first
+    const processingTimeByPriority = Object.values(PRIORITY)
+        .reverse()
+        .map((priority) => {
+            const times = processingTimes.filter(
+                (time, index) =>
+                    requestsWithApprovals[index].priority === priority
+            );
+
+            return {
+                priority,
+                average:
+                    times.length > 0
+                        ? Math.round(
+                              times.reduce((sum, time) => sum + time, 0) /
+                                  times.length
+                          )
+                        : 0,
+                minimum: times.length > 0 ? Math.min(...times) : 0,
+                maximum: times.length > 0 ? Math.max(...times) : 0,
+                totalProcessed: times.length,
+            };
+        });
+
     // Classification distribution
     const classificationCounts = await prisma.requestKanban.groupBy({
         by: ["klasifikasi"],
@@ -218,6 +348,10 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
         },
     });
 
+    const classifications = await Klasifikasi.findByCodes(
+        classificationCounts.map((item) => item.klasifikasi)
+    );
+
     // Requester statistics (top requesters)
     const requesterCounts = await prisma.requestKanban.groupBy({
         by: ["nama_requester"],
@@ -283,7 +417,8 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
         .filter(
             (item) =>
                 item.status === "APPROVED_BY_PC" ||
-                item.status === "APPROVED_BY_DEPARTMENT"
+                item.status === "APPROVED_BY_DEPARTMENT" ||
+                item.status === "CLOSED"
         )
         .reduce((sum, item) => sum + item._count.id_kanban, 0);
 
@@ -295,17 +430,26 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
         )
         .reduce((sum, item) => sum + item._count.id_kanban, 0);
 
+    // Withdrawn requests are neither approved nor rejected
+    const cancelledCount = statusCounts
+        .filter((item) => item.status === "CANCELLED")
+        .reduce((sum, item) => sum + item._count.id_kanban, 0);
+
     const approvalRate =
         totalCount > 0 ? Math.round((approvedCount / totalCount) * 100) : 0;
     const rejectionRate =
         totalCount > 0 ? Math.round((rejectedCount / totalCount) * 100) : 0;
+    const cancellationRate =
+        totalCount > 0 ? Math.round((cancelledCount / totalCount) * 100) : 0;
 
     return {
         total: totalCount,
         approved: approvedCount,
         rejected: rejectedCount,
+        cancelled: cancelledCount,
         approvalRate,
         rejectionRate,
+        cancellationRate,
         byStatus: statusCounts.map((item) => ({
             status: item.status,
             count: item._count.id_kanban,
@@ -317,6 +461,7 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
         byDepartment: departmentCounts.sort((a, b) => b.count - a.count),
         byClassification: classificationCounts.map((item) => ({
             classification: item.klasifikasi,
+            color: classifications.get(item.klasifikasi)?.color || null,
             count: item._count.id_kanban,
             percentage:
                 totalCount > 0
@@ -330,13 +475,17 @@ async function getReportStatistics(startDate, endDate, departmentId = null) {
             maximum: maxProcessingTime,
             totalProcessed: processingTimes.length,
         },
+        processingTimeByPriority,
         summary: {
             totalCount,
             approvedCount,
             rejectedCount,
-            pendingCount: totalCount - approvedCount - rejectedCount,
+            cancelledCount,
+            pendingCount:
+                totalCount - approvedCount - rejectedCount - cancelledCount,
             approvalRate,
             rejectionRate,
+            cancellationRate,
             avgProcessingDays: avgProcessingTime,
         },
     };
@@ -369,6 +518,14 @@ async function getDepartmentReport(departmentId, startDate, endDate) {
                     name: true,
                 },
             },
+            lines: {
+                orderBy: { line_no: "asc" },
+            },
+            _count: {
+                select: {
+                    attachments: { where: { id_comment: null } },
+                },
+            },
             persetujuan: {
                 include: {
                     user: {
@@ -377,6 +534,12 @@ async function getDepartmentReport(departmentId, startDate, endDate) {
                             role: true,
                         },
                     },
+                    actedBy: {
+                        select: {
+                            name: true,
+                            role: true,
+                        },
+                    },
                 },
                 orderBy: {
                     approvedAt: "desc",
@@ -388,6 +551,13 @@ async function getDepartmentReport(departmentId, startDate, endDate) {
         },
     });
 
+    const partDescriptions = await Part.findDescriptions(
+        collectPartsNumbers(kanbanRequests)
+    );
+    const classifications = await Klasifikasi.findByCodes(
+        kanbanRequests.map((request) => request.klasifikasi)
+    );
+
     return kanbanRequests.map((request) => {
         const approvedApprovals = request.persetujuan.filter(
             (approval) => approval.approve === true && approval.approvedAt
@@ -403,14 +573,23 @@ async function getDepartmentReport(departmentId, startDate, endDate) {
             tgl_produksi: format(request.tgl_produksi, "dd/MM/yyyy"),
             nama_requester: request.nama_requester,
             parts_number: request.parts_number,
+            part_description:
+                partDescriptions.get(request.parts_number) || null,
             lokasi: request.lokasi,
             box: request.box,
             klasifikasi: request.klasifikasi,
+            klasifikasi_color:
+                classifications.get(request.klasifikasi)?.color || null,
             keterangan: request.keterangan,
             status: request.status,
+            lines: toReportLines(request, partDescriptions),
+            attachment_count: request._count.attachments,
             lastApproval: latestApproval
                 ? {
                       approver: latestApproval.user.name,
+                      acted_by: latestApproval.actedBy
+                          ? latestApproval.actedBy.name
+                          : null,
                       role: latestApproval.role,
                       approved: latestApproval.approve,
                       date: format(
@@ -472,9 +651,30 @@ async function getApprovalReport(startDate, endDate, departmentId = null) {
                     },
                 },
             },
+            actedBy: {
+                select: {
+                    id_users: true,
+                    name: true,
+                    role: true,
+                },
+            },
         },
     });
 
+    // Approvals handled by a delegate on behalf of the approver
+    const delegatedActions = approvalsByUser
+        .filter((approval) => approval.actedBy)
+        .map((approval) => ({
+            id_kanban: approval.id_kanban,
+            approver: approval.user.name,
+            role: approval.role,
+            actedBy: approval.actedBy.name,
+            approved: approval.approve,
+            date: approval.approvedAt
+                ? format(approval.approvedAt, "dd/MM/yyyy HH:mm")
+                : null,
+        }));
+
     // Group approvals by user
     const userApprovalMap = approvalsByUser.reduce((map, approval) => {
         const userId = approval.user.id_users;
@@ -484,12 +684,16 @@ async function getApprovalReport(startDate, endDate, departmentId = null) {
                 totalApprovals: 0,
                 approved: 0,
                 rejected: 0,
+                delegated: 0,
                 averageResponseTime: 0,
                 responseTimes: [],
             };
         }
 
         map[userId].totalApprovals += 1;
+        if (approval.actedBy) {
+            map[userId].delegated += 1;
+        }
         if (approval.approve) {
             map[userId].approved += 1;
         } else {
@@ -565,6 +769,7 @@ async function getApprovalReport(startDate, endDate, departmentId = null) {
         summary: {
             totalApprovals: approvalsByUser.length,
             totalApprovers: userApprovalStats.length,
+            totalDelegatedActions: delegatedActions.length,
             averageApprovalRate:
                 userApprovalStats.length > 0
                     ? Math.round(
@@ -588,6 +793,7 @@ async function getApprovalReport(startDate, endDate, departmentId = null) {
         byUser: userApprovalStats.sort(
             (a, b) => b.totalApprovals - a.totalApprovals
         ),
+        delegatedActions,
         period: {
             startDate: format(startDate, "dd/MM/yyyy"),
             endDate: format(endDate, "dd/MM/yyyy"),
@@ -664,7 +870,8 @@ async function getRequesterReport(
                 .filter(
                     (s) =>
                         s.status === "APPROVED_BY_PC" ||
-                        s.status === "APPROVED_BY_DEPARTMENT"
+                        s.status === "APPROVED_BY_DEPARTMENT" ||
+                        s.status === "CLOSED"
                 )
                 .reduce((sum, s) => sum + s._count.id_kanban, 0);
 
@@ -676,6 +883,10 @@ async function getRequesterReport(
                 )
                 .reduce((sum, s) => sum + s._count.id_kanban, 0);
 
+            const cancelledCount = statusBreakdown
+                .filter((s) => s.status === "CANCELLED")
+                .reduce((sum, s) => sum + s._count.id_kanban, 0);
+
             const approvalRate =
                 requester._count.id_kanban > 0
                     ? Math.round(
@@ -689,8 +900,12 @@ async function getRequesterReport(
                 totalRequests: requester._count.id_kanban,
                 approved: approvedCount,
                 rejected: rejectedCount,
+                cancelled: cancelledCount,
                 pending:
-                    requester._count.id_kanban - approvedCount - rejectedCount,
+                    requester._count.id_kanban -
+                    approvedCount -
+                    rejectedCount -
+                    cancelledCount,
                 approvalRate,
                 statusBreakdown: statusBreakdown.map((s) => ({
                     status: s.status,
@@ -734,6 +949,186 @@ async function getRequesterReport(
     };
 }
 
+// Get request counts grouped by plant, area or line
+async function getLocationReport(
+    startDate,
+    endDate,
+    level = LOCATION_LEVEL.LINE,
+    departmentId = null
+) {
+    const baseWhere = {
+        tgl_produksi: {
+            gte: startDate,
+            lte: endDate,
+        },
+    };
+
+    if (departmentId) {
+        baseWhere.id_department = departmentId;
+    }
+
+    const counts = await prisma.requestKanban.groupBy({
+        by: ["id_location", "status"],
+        where: baseWhere,
+        _count: {
+            id_kanban: true,
+        },
+    });
+
+    const lineIds = [
+        ...new Set(counts.map((item) => item.id_location).filter(Boolean)),
+    ];
+    const lines = await Location.findLinesWithHierarchy(lineIds);
+
+    // Walk up from the line to the requested level
+    const groupOf = lines.reduce((map, line) => {
+        const area = line.parent;
+        const plant = area ? area.parent : null;
+
+        if (level === LOCATION_LEVEL.PLANT) map[line.id_location] = plant;
+        else if (level === LOCATION_LEVEL.AREA) map[line.id_location] = area;
+        else map[line.id_location] = line;
+
+        return map;
+    }, {});
+
+    const groups = counts.reduce((map, item) => {
+        // Requests made before location master data have no location
+        const location = groupOf[item.id_location] || null;
+        const key = location ? location.id_location : "unassigned";
+
+        if (!map[key]) {
+            map[key] = {
+                id_location: location ? location.id_location : null,
+                code: location ? location.code : null,
+                name: location ? location.name : "Unassigned",
+                level: location ? location.level : null,
+                total: 0,
+                byStatus: {},
+            };
+        }
+
+        map[key].total += item._count.id_kanban;
+        map[key].byStatus[item.status] =
+            (map[key].byStatus[item.status] || 0) + item._count.id_kanban;
+
+        return map;
+    }, {});
+
+    const locations = Object.values(groups).sort((a, b) => b.total - a.total);
+
+    return {
+        level,
+        locations,
+        total: locations.reduce((sum, group) => sum + group.total, 0),
+        period: {
+            startDate: format(startDate, "dd/MM/yyyy"),
+            endDate: format(endDate, "dd/MM/yyyy"),
+        },
+    };
+}
+
+// Get groups of requests of a department for the same part, location and
+// production day, the pattern duplicate detection warns about
+async function getDuplicateReport(
+    startDate,
+    endDate,
+    departmentId = null,
+    includeCancelled = false
+) {
+    const where = {
+        tgl_produksi: {
+            gte: startDate,
+            lte: endDate,
+        },
+    };
+    if (departmentId) where.id_department = departmentId;
+    if (!includeCancelled) where.status = { not: "CANCELLED" };
+
+    const kanbanRequests = await prisma.requestKanban.findMany({
+        where,
+        select: {
+            id_kanban: true,
+            id_department: true,
+            nama_requester: true,
+            parts_number: true,
+            lokasi: true,
+            tgl_produksi: true,
+            status: true,
+            created_at: true,
+            department: {
+                select: {
+                    name: true,
+                },
+            },
+            lines: {
+                where: { status: "ACTIVE" },
+                select: { parts_number: true, quantity: true },
+            },
+        },
+        orderBy: {
+            id_kanban: "asc",
+        },
+    });
+
+    const groups = new Map();
+
+    kanbanRequests.forEach((request) => {
+        const day = format(request.tgl_produksi, "yyyy-MM-dd");
+        const lines =
+            request.lines.length > 0
+                ? request.lines
+                : [{ parts_number: request.parts_number, quantity: null }];
+
+        lines.forEach((line) => {
+            const key = [
+                request.id_department,
+                request.lokasi.toUpperCase(),
+                day,
+                line.parts_number,
+            ].join("|");
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    department: request.department.name,
+                    lokasi: request.lokasi,
+                    tgl_produksi: format(request.tgl_produksi, "dd/MM/yyyy"),
+                    parts_number: line.parts_number,
+                    requests: [],
+                });
+            }
+
+            groups.get(key).requests.push({
+                id_kanban: request.id_kanban,
+                nama_requester: request.nama_requester,
+                status: request.status,
+                quantity: line.quantity,
+                created_at: request.created_at,
+            });
+        });
+    });
+
+    const duplicates = [...groups.values()]
+        .filter((group) => group.requests.length > 1)
+        .map((group) => ({ ...group, count: group.requests.length }));
+
+    return {
+        summary: {
+            totalGroups: duplicates.length,
+            totalRequests: new Set(
+                duplicates.flatMap((group) =>
+                    group.requests.map((request) => request.id_kanban)
+                )
+            ).size,
+        },
+        duplicates,
+        period: {
+            startDate: format(startDate, "dd/MM/yyyy"),
+            endDate: format(endDate, "dd/MM/yyyy"),
+        },
+    };
+}
+
 module.exports = {
     getMonthlyReportData,
     getReportStatistics,
@@ -741,4 +1136,7 @@ module.exports = {
     getDepartmentReport,
     getApprovalReport,
     getRequesterReport,
+    getLocationReport,
+    getDuplicateReport,
+    toLineRows,
 };
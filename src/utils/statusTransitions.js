@@ -0,0 +1,39 @@
+const { ConflictError } = require("../middlewares/ErrorHandler");
+const { STATUS_TRANSITIONS, REJECTED_STATUSES } = require("./constants");
+
+// Statuses a kanban request may move to from the given status
+const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+// Setting the current status again is not a transition and is always allowed
+const canTransition = (currentStatus, nextStatus) =>
+    currentStatus === nextStatus ||
+    getAllowedTransitions(currentStatus).includes(nextStatus);
+
+const isTerminalStatus = (status) => getAllowedTransitions(status).length === 0;
+
+// Rejected requests wait for resubmission, so only live ones take decisions
+const isOpenForApproval = (status) =>
+    !isTerminalStatus(status) && !REJECTED_STATUSES.includes(status);
+
+// Throw a ConflictError when a status change is not in the transition table
+const assertTransition = (currentStatus, nextStatus, kanbanId = null) => {
+    if (!canTransition(currentStatus, nextStatus)) {
+        throw new ConflictError(
+            `Cannot change kanban status from ${currentStatus} to ${nextStatus}`,
+            {
+                ...(kanbanId && { id_kanban: kanbanId }),
+                current_status: currentStatus,
+                attempted_status: nextStatus,
+                allowed_statuses: getAllowedTransitions(currentStatus),
+            }
+        );
+    }
+};
+
+module.exports = {
+    getAllowedTransitions,
+    canTransition,
+    isTerminalStatus,
+    isOpenForApproval,
+    assertTransition,
+};
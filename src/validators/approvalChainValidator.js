@@ -0,0 +1,160 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+
+const APPROVAL_ROLE_VALUES = ["LEADER", "SUPERVISOR", "MANAGER", "STAFF"];
+
+const REQUEST_STATUS_VALUES = [
+    "PENDING_APPROVAL",
+    "APPROVED_BY_DEPARTMENT",
+    "PENDING_PC",
+    "APPROVED_BY_PC",
+    "REJECTED_BY_DEPARTMENT",
+    "REJECTED_BY_PC",
+];
+
+const positiveId = (label) =>
+    yup
+        .number()
+        .typeError(`${label} must be a number`)
+        .integer(`${label} must be an integer`)
+        .positive(`${label} must be a positive number`);
+
+// Approval Stage Schema
+const approvalStageSchema = yup.object({
+    name: yup
+        .string()
+        .required("Stage name is required")
+        .max(100, "Stage name cannot exceed 100 characters"),
+
+    department_source: yup
+        .string()
+        .oneOf(["REQUESTER", "FIXED"], "Department source must be REQUESTER or FIXED")
+        .default("REQUESTER"),
+
+    id_department: positiveId("Department ID")
+        .nullable()
+        .default(null)
+        .when("department_source", {
+            is: "FIXED",
+            then: (schema) =>
+                schema.required("Department ID is required for FIXED stages"),
+        }),
+
+    approver_roles: yup
+        .array()
+        .of(
+            yup
+                .string()
+                .oneOf(APPROVAL_ROLE_VALUES, "Invalid approver role")
+        )
+        .default([])
+        .when("id_users", {
+            is: (value) => !value,
+            then: (schema) =>
+                schema.min(
+                    1,
+                    "At least one approver role is required when no approver user is set"
+                ),
+        }),
+
+    id_users: positiveId("Approver user ID").nullable().default(null),
+
+    final_role: yup
+        .string()
+        .oneOf([...APPROVAL_ROLE_VALUES, null], "Invalid final role")
+        .nullable()
+        .default(null)
+        .test(
+            "in-approver-roles",
+            "Final role must be one of the stage approver roles",
+            function (value) {
+                if (!value || this.parent.id_users) return true;
+                return (this.parent.approver_roles || []).includes(value);
+            }
+        ),
+
+    approved_status: yup
+        .string()
+        .oneOf([...REQUEST_STATUS_VALUES, null], "Invalid approved status")
+        .nullable()
+        .default(null),
+
+    rejected_status: yup
+        .string()
+        .oneOf(
+            ["REJECTED_BY_DEPARTMENT", "REJECTED_BY_PC"],
+            "Rejected status must be REJECTED_BY_DEPARTMENT or REJECTED_BY_PC"
+        )
+        .default("REJECTED_BY_DEPARTMENT"),
+
+    handles_closure: yup.boolean().default(false),
+
+    // Applied to every role of the stage: any one, all, or quorum_count
+    quorum: yup
+        .string()
+        .oneOf(["ANY", "ALL", "COUNT"], "Quorum must be ANY, ALL or COUNT")
+        .default("ANY"),
+
+    quorum_count: yup
+        .number()
+        .typeError("Quorum count must be a number")
+        .integer("Quorum count must be an integer")
+        .min(2, "Quorum count must be at least 2, use ANY for one approver")
+        .max(20, "Quorum count cannot exceed 20")
+        .nullable()
+        .default(null)
+        .when("quorum", {
+            is: "COUNT",
+            then: (schema) =>
+                schema.required("Quorum count is required for COUNT quorum"),
+            otherwise: (schema) => schema.transform(() => null),
+        }),
+
+    // Whether the stage may complete before every role meets its quorum,
+    // e.g. a final role approval skipping the lower roles
+    allow_role_skip: yup.boolean().default(true),
+});
+
+// Approval Chain Schema
+const approvalChainSchema = yup.object({
+    name: yup
+        .string()
+        .required("Chain name is required")
+        .max(100, "Chain name cannot exceed 100 characters"),
+
+    description: yup
+        .string()
+        .nullable()
+        .max(500, "Description cannot exceed 500 characters")
+        .default(null),
+
+    id_department: positiveId("Department ID").nullable().default(null),
+
+    klasifikasi: yup
+        .string()
+        .nullable()
+        .max(50, "Classification cannot exceed 50 characters")
+        .transform((value) => (value ? value.trim().toUpperCase() : null))
+        .default(null),
+
+    is_active: yup.boolean().default(true),
+
+    stages: yup
+        .array()
+        .of(approvalStageSchema)
+        .required("Stages are required")
+        .min(1, "At least one stage is required")
+        .max(10, "Cannot define more than 10 stages"),
+});
+
+module.exports = {
+    // Schemas
+    approvalStageSchema,
+    approvalChainSchema,
+
+    // Pre-configured validation middleware
+    validateApprovalChain: createValidationMiddleware(
+        approvalChainSchema,
+        "body"
+    ),
+};
@@ -0,0 +1,64 @@
+const yup = require("yup");
+
+// Base64 encoded files ({ file_name, mime_type, content })
+const attachmentsSchema = yup
+    .array()
+    .of(
+        yup.object({
+            file_name: yup
+                .string()
+                .trim()
+                .required("File name is required")
+                .max(255, "File name cannot exceed 255 characters"),
+
+            mime_type: yup.string().trim().required("File type is required"),
+
+            content: yup
+                .string()
+                .required("File content is required")
+                .matches(
+                    /^[A-Za-z0-9+/]+={0,2}$/,
+                    "File content must be base64 encoded"
+                ),
+        })
+    )
+    .default([]);
+
+/**
+ * Validate attachments and move them out of the body before the input
+ * sanitizers run, since those would corrupt the base64 content
+ */
+const validateAttachments = async (req, res, next) => {
+    if (!req.body || req.body.attachments === undefined) {
+        req.validatedAttachments = [];
+        return next();
+    }
+
+    try {
+        req.validatedAttachments = await attachmentsSchema.validate(
+            req.body.attachments,
+            { abortEarly: false, stripUnknown: true }
+        );
+        delete req.body.attachments;
+        next();
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            code: "VALIDATION_ERROR",
+            details: error.inner?.map((err) => ({
+                field: `attachments${err.path}`,
+                message: err.message,
+            })) || [{ message: error.message }],
+            timestamp: new Date().toISOString(),
+        });
+    }
+};
+
+module.exports = {
+    // Schemas
+    attachmentsSchema,
+
+    // Middleware
+    validateAttachments,
+};
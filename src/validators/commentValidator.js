@@ -0,0 +1,37 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+const {
+    attachmentsSchema,
+    validateAttachments,
+} = require("./attachmentValidator");
+
+const positiveId = (label) =>
+    yup
+        .number()
+        .typeError(`${label} must be a number`)
+        .integer(`${label} must be an integer`)
+        .positive(`${label} must be a positive number`);
+
+// Comment Schema
+const commentSchema = yup.object({
+    content: yup
+        .string()
+        .trim()
+        .required("Comment cannot be empty")
+        .max(2000, "Comment cannot exceed 2000 characters"),
+
+    // Users mentioned by ID, in addition to @handles in the content
+    mentions: yup.array().of(positiveId("User ID")).default([]),
+});
+
+module.exports = {
+    // Schemas
+    commentSchema,
+    commentAttachmentsSchema: attachmentsSchema,
+
+    // Middleware
+    validateCommentAttachments: validateAttachments,
+
+    // Pre-configured validation middleware
+    validateComment: createValidationMiddleware(commentSchema, "body"),
+};
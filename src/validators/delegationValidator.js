@@ -0,0 +1,46 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+
+const positiveId = (label) =>
+    yup
+        .number()
+        .typeError(`${label} must be a number`)
+        .integer(`${label} must be an integer`)
+        .positive(`${label} must be a positive number`);
+
+// Approval Delegation Schema
+const delegationSchema = yup.object({
+    id_delegator: positiveId("Delegator ID").nullable().default(null),
+
+    id_delegate: positiveId("Delegate ID").required("Delegate is required"),
+
+    id_departments: yup
+        .array()
+        .of(positiveId("Department ID"))
+        .default([]),
+
+    start_date: yup
+        .date()
+        .typeError("Invalid start date format")
+        .required("Start date is required"),
+
+    end_date: yup
+        .date()
+        .typeError("Invalid end date format")
+        .required("End date is required")
+        .min(yup.ref("start_date"), "End date must be after start date"),
+
+    reason: yup
+        .string()
+        .nullable()
+        .max(255, "Reason cannot exceed 255 characters")
+        .default(null),
+});
+
+module.exports = {
+    // Schemas
+    delegationSchema,
+
+    // Pre-configured validation middleware
+    validateDelegation: createValidationMiddleware(delegationSchema, "body"),
+};
@@ -1,4 +1,95 @@
 const yup = require("yup");
+const Location = require("../models/Location");
+const BoxType = require("../models/BoxType");
+const Klasifikasi = require("../models/Klasifikasi");
+const {
+    BOARD_COLUMNS,
+    DEFAULT_KLASIFIKASI,
+    PRIORITY,
+    STATUS,
+} = require("../utils/constants");
+const { config } = require("../config");
+const { parseKanbanCode } = require("../utils/kanbanCode");
+
+// Requests refer to an active production line of the location master,
+// once it has lines
+const isActiveLine = async (value) =>
+    !value ||
+    !(await Location.hasLines()) ||
+    Boolean(await Location.findActiveLine(value));
+
+// and, when a box is given, to an active box type
+const isActiveBoxType = async (value) =>
+    !value || Boolean(await BoxType.findActive(value));
+
+// Classifications come from the klasifikasi catalogue
+const isActiveKlasifikasi = async (value) =>
+    !value || Boolean(await Klasifikasi.findActive(value));
+
+const PARTS_NUMBER_PATTERN = /^[A-Z0-9-_]+$/i;
+
+// A line item of a request: one part with its quantity
+const kanbanLineSchema = yup.object({
+    parts_number: yup
+        .string()
+        .trim()
+        .required("Parts number is required")
+        .max(50, "Parts number cannot exceed 50 characters")
+        .matches(
+            PARTS_NUMBER_PATTERN,
+            "Parts number can only contain letters, numbers, hyphens, and underscores"
+        ),
+
+    quantity: yup
+        .number()
+        .typeError("Quantity must be a number")
+        .required("Quantity is required")
+        .integer("Quantity must be a whole number")
+        .positive("Quantity must be greater than zero")
+        .max(100000, "Quantity cannot exceed 100000"),
+
+    unit: yup.string().trim().max(20, "Unit cannot exceed 20 characters"),
+
+    box: yup
+        .string()
+        .trim()
+        .max(50, "Box cannot exceed 50 characters")
+        .test(
+            "active-box-type",
+            "Box must be an active box type",
+            isActiveBoxType
+        ),
+
+    remark: yup
+        .string()
+        .trim()
+        .max(255, "Remark cannot exceed 255 characters")
+        .default(""),
+});
+
+// The line items of a request, each part at most once
+const kanbanLinesSchema = yup
+    .array()
+    .of(kanbanLineSchema)
+    .min(1, "At least one line is required")
+    .max(
+        config.business.kanban.maxLines,
+        `A request cannot have more than ${config.business.kanban.maxLines} lines`
+    )
+    .test(
+        "unique-parts",
+        "Each part can only appear once in a request",
+        (lines) => {
+            if (!lines) return true;
+            const parts = lines.map((line) =>
+                line.parts_number?.toUpperCase()
+            );
+            return new Set(parts).size === parts.length;
+        }
+    );
+
+// Legacy single-part requests send parts_number instead of lines
+const hasLines = (lines) => Array.isArray(lines) && lines.length > 0;
 
 // Create Kanban Request Schema
 const createKanbanSchema = yup.object({
@@ -45,33 +136,78 @@ const createKanbanSchema = yup.object({
 
     parts_number: yup
         .string()
-        .required("Parts number is required")
         .min(3, "Parts number must be at least 3 characters")
         .max(50, "Parts number cannot exceed 50 characters")
         .matches(
-            /^[A-Z0-9-_]+$/i,
+            PARTS_NUMBER_PATTERN,
             "Parts number can only contain letters, numbers, hyphens, and underscores"
-        ),
+        )
+        .when("lines", {
+            is: hasLines,
+            then: (schema) => schema.notRequired(),
+            otherwise: (schema) => schema.required("Parts number is required"),
+        }),
+
+    quantity: yup
+        .number()
+        .typeError("Quantity must be a number")
+        .integer("Quantity must be a whole number")
+        .positive("Quantity must be greater than zero")
+        .max(100000, "Quantity cannot exceed 100000"),
+
+    lines: kanbanLinesSchema,
 
     lokasi: yup
         .string()
         .required("Location is required")
         .min(2, "Location must be at least 2 characters")
-        .max(100, "Location cannot exceed 100 characters"),
+        .max(100, "Location cannot exceed 100 characters")
+        .test(
+            "active-line",
+            "Location must be an active production line",
+            isActiveLine
+        ),
 
-    box: yup.string().max(50, "Box cannot exceed 50 characters").default(""),
+    box: yup
+        .string()
+        .max(50, "Box cannot exceed 50 characters")
+        .test(
+            "active-box-type",
+            "Box must be an active box type",
+            isActiveBoxType
+        )
+        .default(""),
 
     klasifikasi: yup
         .string()
         .max(50, "Classification cannot exceed 50 characters")
-        .default("NORMAL"),
+        .test(
+            "active-klasifikasi",
+            "Classification must be an active catalogue entry",
+            isActiveKlasifikasi
+        )
+        .default(DEFAULT_KLASIFIKASI),
 
     keterangan: yup
         .string()
         .max(500, "Description cannot exceed 500 characters")
         .default(""),
+
+    priority: yup
+        .string()
+        .oneOf(
+            Object.values(PRIORITY),
+            "Priority must be LOW, NORMAL, HIGH or CRITICAL"
+        )
+        .default(PRIORITY.NORMAL),
+
+    // Submit even when a matching open request exists
+    force: yup.boolean().default(false),
 });
 
+// A request saved for later use, without its production date
+const savedRequestSchema = createKanbanSchema.omit(["tgl_produksi", "force"]);
+
 // Update Kanban Request Schema (more flexible than create)
 const updateKanbanSchema = yup
     .object({
@@ -119,19 +255,58 @@ const updateKanbanSchema = yup
             .string()
             .nullable()
             .min(2, "Location must be at least 2 characters")
-            .max(100, "Location cannot exceed 100 characters"),
+            .max(100, "Location cannot exceed 100 characters")
+            .test(
+                "active-line",
+                "Location must be an active production line",
+                isActiveLine
+            ),
 
-        box: yup.string().nullable().max(50, "Box cannot exceed 50 characters"),
+        box: yup
+            .string()
+            .nullable()
+            .max(50, "Box cannot exceed 50 characters")
+            .test(
+                "active-box-type",
+                "Box must be an active box type",
+                isActiveBoxType
+            ),
 
         klasifikasi: yup
             .string()
             .nullable()
-            .max(50, "Classification cannot exceed 50 characters"),
+            .max(50, "Classification cannot exceed 50 characters")
+            .test(
+                "active-klasifikasi",
+                "Classification must be an active catalogue entry",
+                isActiveKlasifikasi
+            ),
 
         keterangan: yup
             .string()
             .nullable()
             .max(500, "Description cannot exceed 500 characters"),
+
+        priority: yup
+            .string()
+            .nullable()
+            .oneOf(
+                [...Object.values(PRIORITY), null],
+                "Priority must be LOW, NORMAL, HIGH or CRITICAL"
+            ),
+
+        quantity: yup
+            .number()
+            .typeError("Quantity must be a number")
+            .integer("Quantity must be a whole number")
+            .positive("Quantity must be greater than zero")
+            .max(100000, "Quantity cannot exceed 100000"),
+
+        // Replaces every line of the request when given
+        lines: kanbanLinesSchema,
+
+        // Save even when a matching open request exists
+        force: yup.boolean().default(false),
     })
     .noUnknown(false); // Changed to false to be more permissive
 
@@ -171,6 +346,84 @@ const rejectKanbanSchema = yup.object({
         .max(500, "Rejection reason cannot exceed 500 characters"),
 });
 
+// Override the priority of a request
+const priorityOverrideSchema = yup.object({
+    priority: yup
+        .string()
+        .required("Priority is required")
+        .oneOf(
+            Object.values(PRIORITY),
+            "Priority must be LOW, NORMAL, HIGH or CRITICAL"
+        ),
+
+    reason: yup
+        .string()
+        .trim()
+        .required("Reason is required")
+        .min(5, "Reason must be at least 5 characters long")
+        .max(500, "Reason cannot exceed 500 characters"),
+});
+
+// Reject individual lines of a request
+const rejectLinesSchema = yup.object({
+    line_ids: yup
+        .array()
+        .of(
+            yup
+                .number()
+                .typeError("Line ID must be a number")
+                .integer("Line ID must be a whole number")
+                .positive("Line ID must be a positive number")
+        )
+        .required("Line IDs are required")
+        .min(1, "At least one line is required"),
+
+    reason: yup
+        .string()
+        .trim()
+        .required("Rejection reason is required")
+        .min(10, "Rejection reason must be at least 10 characters long")
+        .max(500, "Rejection reason cannot exceed 500 characters"),
+});
+
+// Scan of a printed kanban card from a shop-floor device
+const scanKanbanSchema = yup.object({
+    code: yup
+        .string()
+        .trim()
+        .required("Kanban code is required")
+        .max(50, "Kanban code cannot exceed 50 characters")
+        .test(
+            "kanban-code",
+            "Code is not a kanban code",
+            (value) => !value || parseKanbanCode(value) !== null
+        ),
+
+    device_id: yup
+        .string()
+        .trim()
+        .max(100, "Device ID cannot exceed 100 characters")
+        .default(""),
+
+    device_name: yup
+        .string()
+        .trim()
+        .max(100, "Device name cannot exceed 100 characters")
+        .default(""),
+
+    // PC Staff scans close the request unless only a lookup is asked for
+    lookup_only: yup.boolean().default(false),
+});
+
+// Cancel Kanban Schema
+const cancelKanbanSchema = yup.object({
+    alasan: yup
+        .string()
+        .trim()
+        .required("Cancellation reason is required")
+        .max(500, "Cancellation reason cannot exceed 500 characters"),
+});
+
 // Query Parameters Schema
 const queryParamsSchema = yup.object({
     page: yup
@@ -247,6 +500,8 @@ const queryParamsSchema = yup.object({
                 "APPROVED_BY_PC",
                 "REJECTED_BY_DEPARTMENT",
                 "REJECTED_BY_PC",
+                "CLOSED",
+                "CANCELLED",
                 "",
             ],
             "Invalid status filter"
@@ -288,8 +543,171 @@ const queryParamsSchema = yup.object({
                 return dateTo >= dateFrom;
             }
         ),
+
+    departmentId: yup
+        .number()
+        .transform((value, original) => (original === "" ? undefined : value))
+        .typeError("Department ID must be a number")
+        .integer("Department ID must be an integer")
+        .positive("Department ID must be a positive number"),
+
+    format: yup
+        .string()
+        .oneOf(["csv", "json", "xlsx", ""], "Format must be csv, json or xlsx")
+        .default("csv"),
+});
+
+// Comma separated values of a list filter, each passing the check
+const listFilter = (isValidItem, message) =>
+    yup
+        .string()
+        .trim()
+        .default("")
+        .test(
+            "valid-list",
+            message,
+            (value) =>
+                !value ||
+                value.split(",").every((item) => isValidItem(item.trim()))
+        );
+
+const isValidDate = (value) => !value || !isNaN(new Date(value).getTime());
+
+const isPositiveInteger = (value) =>
+    Number.isInteger(Number(value)) && Number(value) > 0;
+
+// Request List Search Schema, extending the query parameters with list
+// filters, production date and approver filters, multi-field sort and
+// cursor pagination
+const searchKanbanSchema = queryParamsSchema.shape({
+    search: yup
+        .string()
+        .trim()
+        .max(100, "Search term cannot exceed 100 characters")
+        .matches(
+            /^[a-zA-Z0-9\s._-]*$/,
+            "Search term contains invalid characters"
+        )
+        .default(""),
+
+    status: listFilter(
+        (item) => Object.values(STATUS).includes(item),
+        "Invalid status filter"
+    ),
+
+    departmentId: listFilter(isPositiveInteger, "Invalid department filter"),
+
+    klasifikasi: listFilter(
+        (item) => /^[A-Z0-9_-]{1,50}$/i.test(item),
+        "Invalid classification filter"
+    ),
+
+    priority: listFilter(
+        (item) => Object.values(PRIORITY).includes(item),
+        "Invalid priority filter"
+    ),
+
+    prodFrom: yup
+        .string()
+        .nullable()
+        .test("is-valid-date", "Invalid date format", isValidDate),
+
+    prodTo: yup
+        .string()
+        .nullable()
+        .test("is-valid-date", "Invalid date format", isValidDate)
+        .test(
+            "after-prod-from",
+            "Production date to must be after production date from",
+            function (value) {
+                if (!value || !this.parent.prodFrom) return true;
+                return new Date(value) >= new Date(this.parent.prodFrom);
+            }
+        ),
+
+    approverId: yup
+        .number()
+        .transform((value, original) => (original === "" ? undefined : value))
+        .typeError("Approver ID must be a number")
+        .integer("Approver ID must be an integer")
+        .positive("Approver ID must be a positive number"),
+
+    // e.g. sort=tgl_produksi:asc,created_at:desc
+    sort: yup
+        .string()
+        .trim()
+        .max(200, "Sort cannot exceed 200 characters")
+        .matches(
+            /^([a-z_]+(:(asc|desc))?)(,[a-z_]+(:(asc|desc))?)*$|^$/i,
+            "Sort must be a list of field:asc or field:desc"
+        ),
+
+    // ID of the last request of the previous page
+    cursor: yup
+        .string()
+        .trim()
+        .test(
+            "is-positive-number",
+            "Cursor must be a positive number",
+            (value) => !value || isPositiveInteger(value)
+        ),
+});
+
+// Kanban Card Sheet Query Schema, a production date and, for PC and
+// admins, a department
+const cardSheetQuerySchema = queryParamsSchema.pick(["departmentId"]).shape({
+    date: yup
+        .string()
+        .trim()
+        .test("is-valid-date", "Invalid date format", isValidDate),
 });
 
+// Kanban Board Query Schema
+const boardQuerySchema = yup.object({
+    departmentId: yup
+        .number()
+        .transform((value, original) => (original === "" ? undefined : value))
+        .typeError("Department ID must be a number")
+        .integer("Department ID must be an integer")
+        .positive("Department ID must be a positive number"),
+
+    // Cards listed per column
+    limit: yup
+        .number()
+        .typeError("Limit must be a number")
+        .integer("Limit must be an integer")
+        .min(1, "Limit must be at least 1")
+        .max(100, "Limit cannot exceed 100")
+        .default(20),
+
+    // How far back the done column goes
+    doneDays: yup
+        .number()
+        .typeError("Done days must be a number")
+        .integer("Done days must be an integer")
+        .min(1, "Done days must be at least 1")
+        .max(90, "Done days cannot exceed 90")
+        .default(7),
+});
+
+// Kanban Board WIP Limits Schema, a limit or null (no limit) per column
+const wipLimitsSchema = yup.object(
+    BOARD_COLUMNS.filter((column) => column.has_wip_limit).reduce(
+        (fields, column) => ({
+            ...fields,
+            [column.key]: yup
+                .number()
+                .typeError(`WIP limit of ${column.name} must be a number`)
+                .integer(`WIP limit of ${column.name} must be an integer`)
+                .min(1, `WIP limit of ${column.name} must be at least 1`)
+                .max(10000, `WIP limit of ${column.name} cannot exceed 10000`)
+                .nullable()
+                .default(null),
+        }),
+        {}
+    )
+);
+
 // Bulk Operations Schema
 const bulkOperationSchema = yup.object({
     kanban_ids: yup
@@ -310,6 +728,12 @@ const bulkOperationSchema = yup.object({
         .min(1, "At least one Kanban ID is required")
         .max(50, "Cannot process more than 50 items at once"),
 
+    // Preview the outcome of every item without applying anything
+    dry_run: yup.boolean().default(false),
+
+    // Apply all items or none of them
+    transactional: yup.boolean().default(false),
+
     action: yup
         .string()
         .required("Action is required")
@@ -338,6 +762,7 @@ const bulkOperationSchema = yup.object({
                         "APPROVED_BY_PC",
                         "REJECTED_BY_DEPARTMENT",
                         "REJECTED_BY_PC",
+                        "CLOSED",
                     ],
                     "Invalid status"
                 ),
@@ -496,108 +921,23 @@ const securityValidation = (req, res, next) => {
     }
 };
 
-// File upload validation (if needed for attachments)
-const fileUploadValidation = {
-    allowedTypes: [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/gif",
-        "application/pdf",
-        "text/plain",
-    ],
-    maxSize: 5 * 1024 * 1024, // 5MB
-
-    validate: (req, res, next) => {
-        if (!req.files || Object.keys(req.files).length === 0) {
-            return next();
-        }
-
-        try {
-            const files = Array.isArray(req.files.attachment)
-                ? req.files.attachment
-                : [req.files.attachment];
-
-            for (const file of files) {
-                // Check file type
-                if (
-                    !fileUploadValidation.allowedTypes.includes(file.mimetype)
-                ) {
-                    return res.status(400).json({
-                        success: false,
-                        message: "Invalid file type",
-                        code: "INVALID_FILE_TYPE",
-                        details: {
-                            allowed_types: fileUploadValidation.allowedTypes,
-                            received_type: file.mimetype,
-                        },
-                        timestamp: new Date().toISOString(),
-                    });
-                }
-
-                // Check file size
-                if (file.size > fileUploadValidation.maxSize) {
-                    return res.status(400).json({
-                        success: false,
-                        message: "File size too large",
-                        code: "FILE_TOO_LARGE",
-                        details: {
-                            max_size: fileUploadValidation.maxSize,
-                            file_size: file.size,
-                        },
-                        timestamp: new Date().toISOString(),
-                    });
-                }
-
-                // Check filename for suspicious content
-                const suspiciousExtensions = [
-                    ".exe",
-                    ".bat",
-                    ".cmd",
-                    ".scr",
-                    ".vbs",
-                    ".js",
-                    ".jar",
-                ];
-                const fileExtension = file.name
-                    .toLowerCase()
-                    .substring(file.name.lastIndexOf("."));
-
-                if (suspiciousExtensions.includes(fileExtension)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: "Suspicious file extension",
-                        code: "SUSPICIOUS_FILE",
-                        details: {
-                            filename: file.name,
-                            extension: fileExtension,
-                        },
-                        timestamp: new Date().toISOString(),
-                    });
-                }
-            }
-
-            next();
-        } catch (error) {
-            console.error("File validation error:", error);
-            return res.status(400).json({
-                success: false,
-                message: "File validation failed",
-                code: "FILE_VALIDATION_ERROR",
-                details: error.message,
-                timestamp: new Date().toISOString(),
-            });
-        }
-    },
-};
-
 module.exports = {
     // Schemas
     createKanbanSchema,
+    savedRequestSchema,
     updateKanbanSchema,
     approveKanbanSchema,
     rejectKanbanSchema,
+    rejectLinesSchema,
+    priorityOverrideSchema,
+    scanKanbanSchema,
+    cancelKanbanSchema,
+    kanbanLineSchema,
     queryParamsSchema,
+    searchKanbanSchema,
+    cardSheetQuerySchema,
+    boardQuerySchema,
+    wipLimitsSchema,
     bulkOperationSchema,
     pathParamsSchema,
 
@@ -606,7 +946,6 @@ module.exports = {
 
     // Security middleware
     securityValidation,
-    fileUploadValidation,
 
     // Pre-configured validation middleware
     validateCreateKanban: createValidationMiddleware(
@@ -625,7 +964,33 @@ module.exports = {
         rejectKanbanSchema,
         "body"
     ),
+    validateRejectLines: createValidationMiddleware(
+        rejectLinesSchema,
+        "body"
+    ),
+    validatePriorityOverride: createValidationMiddleware(
+        priorityOverrideSchema,
+        "body"
+    ),
+    validateScanKanban: createValidationMiddleware(
+        scanKanbanSchema,
+        "body"
+    ),
+    validateCancelKanban: createValidationMiddleware(
+        cancelKanbanSchema,
+        "body"
+    ),
     validateQueryParams: createValidationMiddleware(queryParamsSchema, "query"),
+    validateSearchKanban: createValidationMiddleware(
+        searchKanbanSchema,
+        "query"
+    ),
+    validateCardSheetQuery: createValidationMiddleware(
+        cardSheetQuerySchema,
+        "query"
+    ),
+    validateBoardQuery: createValidationMiddleware(boardQuerySchema, "query"),
+    validateWipLimits: createValidationMiddleware(wipLimitsSchema, "body"),
     validatePathParams: createValidationMiddleware(pathParamsSchema, "params"),
     validateBulkOperation: createValidationMiddleware(
         bulkOperationSchema,
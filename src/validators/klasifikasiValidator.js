@@ -0,0 +1,73 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+
+// Managers give the final sign-off and PC staff close requests, so only
+// the lower approval roles can be skipped by a classification
+const SKIPPABLE_ROLE_VALUES = ["LEADER", "SUPERVISOR"];
+
+// Klasifikasi Schema
+const klasifikasiSchema = yup.object({
+    code: yup
+        .string()
+        .trim()
+        .required("Classification code is required")
+        .min(2, "Classification code must be at least 2 characters")
+        .max(50, "Classification code cannot exceed 50 characters")
+        .matches(
+            /^[A-Z0-9-_]+$/i,
+            "Classification code can only contain letters, numbers, hyphens, and underscores"
+        )
+        .transform((value) => (value ? value.toUpperCase() : value)),
+
+    name: yup
+        .string()
+        .trim()
+        .required("Classification name is required")
+        .max(100, "Classification name cannot exceed 100 characters"),
+
+    lead_time_days: yup
+        .number()
+        .typeError("Lead time must be a number")
+        .integer("Lead time must be an integer")
+        .min(0, "Lead time cannot be negative")
+        .max(365, "Lead time cannot exceed 365 days")
+        .required("Lead time is required"),
+
+    color: yup
+        .string()
+        .trim()
+        .required("Color is required")
+        .matches(/^#[0-9A-F]{6}$/i, "Color must be a hex color like #DC3545")
+        .transform((value) => (value ? value.toUpperCase() : value)),
+
+    urgency_rank: yup
+        .number()
+        .typeError("Urgency rank must be a number")
+        .integer("Urgency rank must be an integer")
+        .min(1, "Urgency rank must be at least 1")
+        .max(100, "Urgency rank cannot exceed 100")
+        .required("Urgency rank is required"),
+
+    skipped_roles: yup
+        .array()
+        .of(
+            yup
+                .string()
+                .oneOf(
+                    SKIPPABLE_ROLE_VALUES,
+                    "Only LEADER and SUPERVISOR can be skipped"
+                )
+        )
+        .default([])
+        .transform((value) => (value ? [...new Set(value)] : value)),
+
+    is_active: yup.boolean().default(true),
+});
+
+module.exports = {
+    // Schemas
+    klasifikasiSchema,
+
+    // Pre-configured validation middleware
+    validateKlasifikasi: createValidationMiddleware(klasifikasiSchema, "body"),
+};
@@ -0,0 +1,82 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+
+const positiveId = (label) =>
+    yup
+        .number()
+        .typeError(`${label} must be a number`)
+        .integer(`${label} must be an integer`)
+        .positive(`${label} must be a positive number`);
+
+const codeSchema = (label) =>
+    yup
+        .string()
+        .trim()
+        .required(`${label} code is required`)
+        .min(2, `${label} code must be at least 2 characters`)
+        .max(50, `${label} code cannot exceed 50 characters`)
+        .matches(
+            /^[A-Z0-9-_]+$/i,
+            `${label} code can only contain letters, numbers, hyphens, and underscores`
+        )
+        .transform((value) => (value ? value.toUpperCase() : value));
+
+// Location Schema (plant -> area -> line)
+const locationSchema = yup.object({
+    code: codeSchema("Location"),
+
+    name: yup
+        .string()
+        .trim()
+        .required("Location name is required")
+        .max(100, "Location name cannot exceed 100 characters"),
+
+    level: yup
+        .string()
+        .oneOf(["PLANT", "AREA", "LINE"], "Level must be PLANT, AREA or LINE")
+        .required("Level is required"),
+
+    id_parent: positiveId("Parent location ID")
+        .nullable()
+        .default(null)
+        .when("level", {
+            is: "PLANT",
+            then: (schema) =>
+                schema.test(
+                    "no-parent",
+                    "Plants cannot have a parent location",
+                    (value) => !value
+                ),
+            otherwise: (schema) =>
+                schema.required(
+                    "Parent location is required for areas and lines"
+                ),
+        }),
+
+    is_active: yup.boolean().default(true),
+});
+
+// Box Type Schema
+const boxTypeSchema = yup.object({
+    code: codeSchema("Box type"),
+
+    name: yup
+        .string()
+        .trim()
+        .required("Box type name is required")
+        .max(100, "Box type name cannot exceed 100 characters"),
+
+    capacity: positiveId("Capacity").nullable().default(null),
+
+    is_active: yup.boolean().default(true),
+});
+
+module.exports = {
+    // Schemas
+    locationSchema,
+    boxTypeSchema,
+
+    // Pre-configured validation middleware
+    validateLocation: createValidationMiddleware(locationSchema, "body"),
+    validateBoxType: createValidationMiddleware(boxTypeSchema, "body"),
+};
@@ -0,0 +1,56 @@
+const yup = require("yup");
+const { createValidationMiddleware } = require("./kanbanValidator");
+
+// Part Schema
+const partSchema = yup.object({
+    parts_number: yup
+        .string()
+        .trim()
+        .required("Parts number is required")
+        .min(3, "Parts number must be at least 3 characters")
+        .max(50, "Parts number cannot exceed 50 characters")
+        .matches(
+            /^[A-Z0-9-_]+$/i,
+            "Parts number can only contain letters, numbers, hyphens, and underscores"
+        )
+        .transform((value) => (value ? value.toUpperCase() : value)),
+
+    description: yup
+        .string()
+        .trim()
+        .required("Description is required")
+        .max(255, "Description cannot exceed 255 characters"),
+
+    unit: yup
+        .string()
+        .trim()
+        .max(20, "Unit cannot exceed 20 characters")
+        .transform((value) => (value ? value.toUpperCase() : "PCS"))
+        .default("PCS"),
+
+    default_lokasi: yup
+        .string()
+        .trim()
+        .nullable()
+        .max(100, "Default location cannot exceed 100 characters")
+        .transform((value) => value || null)
+        .default(null),
+
+    default_box: yup
+        .string()
+        .trim()
+        .nullable()
+        .max(50, "Default box cannot exceed 50 characters")
+        .transform((value) => value || null)
+        .default(null),
+
+    is_active: yup.boolean().default(true),
+});
+
+module.exports = {
+    // Schemas
+    partSchema,
+
+    // Pre-configured validation middleware
+    validatePart: createValidationMiddleware(partSchema, "body"),
+};
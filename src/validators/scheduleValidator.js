@@ -0,0 +1,100 @@
+const yup = require("yup");
+const {
+    savedRequestSchema,
+    createValidationMiddleware,
+} = require("./kanbanValidator");
+const { SCHEDULE_FREQUENCY } = require("../utils/constants");
+
+// Recurring Request Schedule Schema
+const scheduleSchema = yup.object({
+    name: yup
+        .string()
+        .trim()
+        .required("Schedule name is required")
+        .max(100, "Schedule name cannot exceed 100 characters"),
+
+    frequency: yup
+        .string()
+        .required("Frequency is required")
+        .oneOf(
+            Object.values(SCHEDULE_FREQUENCY),
+            "Frequency must be DAILY, WEEKLY or MONTHLY"
+        ),
+
+    weekdays: yup
+        .array()
+        .of(
+            yup
+                .number()
+                .typeError("Weekday must be a number")
+                .integer("Weekday must be an integer")
+                .min(1, "Weekday must be between 1 (Monday) and 7 (Sunday)")
+                .max(7, "Weekday must be between 1 (Monday) and 7 (Sunday)")
+        )
+        .default([])
+        .when("frequency", {
+            is: SCHEDULE_FREQUENCY.WEEKLY,
+            then: (schema) =>
+                schema.min(1, "At least one weekday is required"),
+        }),
+
+    day_of_month: yup
+        .number()
+        .typeError("Day of month must be a number")
+        .integer("Day of month must be an integer")
+        .min(1, "Day of month must be between 1 and 31")
+        .max(31, "Day of month must be between 1 and 31")
+        .nullable()
+        .default(null)
+        .when("frequency", {
+            is: SCHEDULE_FREQUENCY.MONTHLY,
+            then: (schema) => schema.required("Day of month is required"),
+        }),
+
+    lead_days: yup
+        .number()
+        .typeError("Lead days must be a number")
+        .integer("Lead days must be an integer")
+        .min(0, "Lead days cannot be negative")
+        .max(30, "Lead days cannot exceed 30")
+        .default(0),
+
+    start_date: yup
+        .date()
+        .typeError("Invalid start date format")
+        .required("Start date is required"),
+
+    end_date: yup
+        .date()
+        .typeError("Invalid end date format")
+        .nullable()
+        .default(null)
+        .min(yup.ref("start_date"), "End date must be after start date"),
+
+    // Each occurrence adds its production date to the saved request
+    request: savedRequestSchema.required("Request is required"),
+});
+
+// Upcoming Occurrences Query Schema
+const upcomingQuerySchema = yup.object({
+    count: yup
+        .number()
+        .typeError("Count must be a number")
+        .integer("Count must be an integer")
+        .min(1, "Count must be at least 1")
+        .max(30, "Count cannot exceed 30")
+        .default(5),
+});
+
+module.exports = {
+    // Schemas
+    scheduleSchema,
+    upcomingQuerySchema,
+
+    // Pre-configured validation middleware
+    validateSchedule: createValidationMiddleware(scheduleSchema, "body"),
+    validateUpcomingQuery: createValidationMiddleware(
+        upcomingQuerySchema,
+        "query"
+    ),
+};
@@ -0,0 +1,34 @@
+const yup = require("yup");
+const {
+    savedRequestSchema,
+    createValidationMiddleware,
+} = require("./kanbanValidator");
+
+// Request Template Schema. The requester name may be left for the
+// request made from the template.
+const templateSchema = yup.object({
+    name: yup
+        .string()
+        .trim()
+        .required("Template name is required")
+        .max(100, "Template name cannot exceed 100 characters"),
+
+    is_shared: yup.boolean().default(false),
+
+    is_favourite: yup.boolean().default(false),
+
+    request: savedRequestSchema
+        .shape({
+            nama_requester:
+                savedRequestSchema.fields.nama_requester.notRequired(),
+        })
+        .required("Request is required"),
+});
+
+module.exports = {
+    // Schemas
+    templateSchema,
+
+    // Pre-configured validation middleware
+    validateTemplate: createValidationMiddleware(templateSchema, "body"),
+};